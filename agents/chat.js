@@ -0,0 +1,126 @@
+// agents/chat.js
+// Chat helpers: request validation and the system prompt that grounds the
+// assistant in today's composeDaily output plus the policy disclaimer.
+
+import { LOCALES } from './locale.js';
+import { badRequest } from './utils.js';
+
+const ROLES = new Set(['user', 'assistant']);
+const MAX_TURNS = 20;
+const MAX_CHARS = 4000;
+
+/** Validate client messages; keeps the last MAX_TURNS user/assistant turns. */
+export function normalizeChatMessages(messages) {
+  if (!Array.isArray(messages) || !messages.length) throw badRequest('messages must be a non-empty array');
+  const out = messages.map((m, i) => {
+    const role = String(m?.role || '').toLowerCase();
+    if (!ROLES.has(role)) throw badRequest(`messages[${i}].role must be "user" or "assistant"`);
+    const content = typeof m?.content === 'string' ? m.content.trim() : '';
+    if (!content) throw badRequest(`messages[${i}].content must be a non-empty string`);
+    return { role, content: content.slice(0, MAX_CHARS) };
+  });
+  if (out[out.length - 1].role !== 'user') throw badRequest('last message must be from the user');
+  return out.slice(-MAX_TURNS);
+}
+
+function dailyContext(daily) {
+  if (!daily) return '';
+  const lines = [
+    `Sign: ${daily.signLabel} (${daily.sign}) • Date: ${daily.date}`,
+    `Day: ${daily.deityLine?.bold || ''}`,
+    `Theme: ${daily.themeLead}`,
+    daily.luckyLine,
+    `Opportunities: ${(daily.sections?.opportunities || []).join(' | ')}`,
+    `Cautions: ${(daily.sections?.cautions || []).join(' | ')}`,
+    `Remedy: ${daily.sections?.remedy || ''}`,
+    `Vedic timings (${daily.vedic?.tz || 'Asia/Kolkata'}): ` +
+      (daily.vedicList || []).map((v) => `${v.label} ${v.value}`).join('; '),
+  ];
+  if (daily.special?.observance) lines.push(`Observance: ${daily.special.observance.title} — ${daily.special.observance.line}`);
+  if (daily.special?.birthday) lines.push(`Birthday: ${daily.special.birthday}`);
+  return lines.filter(Boolean).join('\n');
+}
+
+function userContext(user) {
+  if (!user) return '';
+  const bits = [];
+  if (user.name)    bits.push(`name ${user.name}`);
+  if (user.dob)     bits.push(`born ${user.dob}${user.tob || user.time ? ' ' + (user.tob || user.time) : ''}`);
+  if (user.place)   bits.push(`place ${user.place}`);
+  if (user.persona) bits.push(`persona ${user.persona}`);
+  return bits.length ? `User: ${bits.join(', ')}` : '';
+}
+
+export function chatSystemPrompt({ daily, lang = 'en', user = null, disclaimer = '', summary = '' } = {}) {
+  const locale = LOCALES[lang];
+  const reply = locale && lang !== 'en'
+    ? `Reply in simple, natural ${locale.name} (${locale.script} script).`
+    : 'Reply in clear, simple English.';
+  return [
+    'You are Astro-Baba, a warm and practical Vedic astrology guide.',
+    'Ground answers in today\'s reading below; do not invent planetary positions or timings that are not listed.',
+    'Keep replies short (under 150 words), kind and actionable. No medical, legal or financial guarantees; suggest a professional for those.',
+    reply,
+    '',
+    "Today's reading:",
+    dailyContext(daily),
+    userContext(user) || null,
+    summary ? `\nEarlier in this conversation (summary): ${summary}` : null,
+    '',
+    `Always keep this disclaimer in spirit: ${disclaimer}`,
+  ].filter((x) => x !== null && x !== undefined).join('\n').trim();
+}
+
+/**
+ * Fold old turns into a running summary. Falls back to a plain excerpt if the
+ * provider fails, so compaction never loses the thread.
+ */
+export async function summarizeTurns(provider, previous, turns) {
+  const transcript = turns.map((m) => `${m.role}: ${m.content}`).join('\n');
+  try {
+    const out = await provider.complete({
+      messages: [
+        { role: 'system', content: 'Summarize this astrology chat in under 120 words. Keep facts about the user (birth details, sign, persona, language, concerns) and any advice already given.' },
+        { role: 'user', content: `${previous ? `Previous summary: ${previous}\n\n` : ''}${transcript}` },
+      ],
+      temperature: 0.2,
+      maxTokens: 250,
+    });
+    if (out.text) return out.text;
+  } catch (e) {
+    console.error('chat summary failed:', e?.message || e);
+  }
+  return `${previous ? previous + ' ' : ''}${transcript}`.slice(-1200);
+}
+
+/**
+ * Buffers streamed deltas and releases them at sentence/line boundaries so a
+ * whole-phrase transform (cleanHi) sees complete phrases. Edge whitespace is
+ * preserved because the transform may trim.
+ */
+export function sentenceBuffer(transform = (x) => x) {
+  let buf = '';
+  const apply = (chunk) => {
+    const lead = chunk.match(/^\s*/)[0];
+    const body = chunk.slice(lead.length);
+    if (!body) return chunk;
+    const trail = body.match(/\s*$/)[0];
+    return lead + transform(body) + trail;
+  };
+  return {
+    push(delta) {
+      buf += delta;
+      let cut = -1;
+      for (const m of buf.matchAll(/[।.!?\n]/g)) cut = m.index;
+      if (cut < 0) return '';
+      const out = buf.slice(0, cut + 1);
+      buf = buf.slice(cut + 1);
+      return apply(out);
+    },
+    flush() {
+      const out = buf;
+      buf = '';
+      return out ? apply(out) : '';
+    },
+  };
+}
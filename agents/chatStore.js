@@ -0,0 +1,158 @@
+// agents/chatStore.js
+// JSON-file conversation store under data/chat/<userId>/:
+//   profile.json        remembered facts (dob, sign, persona, lang, name, place)
+//   <threadId>.json     { id, userId, title, summary, summarizedTurns, messages[] }
+// Old turns are folded into `summary` once the thread exceeds its token budget.
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+import { estimateTokens } from './llm.js';
+import { httpError } from './utils.js';
+import { normalizeLang } from './locale.js';
+
+const ROOT = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'data', 'chat');
+const ID_RE = /^[A-Za-z0-9_-]{1,64}$/;
+const PROFILE_KEYS = ['dob', 'sign', 'persona', 'lang', 'name', 'place'];
+const SIGNS = ['aries', 'taurus', 'gemini', 'cancer', 'leo', 'virgo',
+  'libra', 'scorpio', 'sagittarius', 'capricorn', 'aquarius', 'pisces'];
+// Self-descriptions → content persona; first match wins, so "not working" beats "working"
+const I_AM = "(?:i am|i'm|im|main)\\s+(?:an?\\s+)?";
+const PERSONA_PATTERNS = [
+  ['not_working', new RegExp(`\\b(?:${I_AM}(?:unemployed|not working|between jobs|retired)|looking for (?:a )?job)\\b`, 'i')],
+  ['self_employed', new RegExp(`\\b(?:${I_AM}(?:self[- ]employed|freelancer|business ?owner|entrepreneur)|i run (?:a|my own) business)\\b`, 'i')],
+  ['student', new RegExp(`\\b${I_AM}(?:college |school |university )?student\\b`, 'i')],
+  ['homemaker', new RegExp(`\\b${I_AM}(?:homemaker|housewife|househusband|stay[- ]at[- ]home)`, 'i')],
+  ['job_working', new RegExp(`\\b(?:${I_AM}(?:employed|salaried|working (?:at|in|as|for))|i work (?:at|in|as|for)|i have a job)\\b`, 'i')],
+];
+const LANG_NAMES = 'english|hindi|hinglish|marathi|gujarati|bengali|bangla|tamil|telugu';
+
+export const TOKEN_BUDGET = Number(process.env.CHAT_TOKEN_BUDGET || 3000);
+const KEEP_RECENT = 6;
+
+function checkId(id, what) {
+  const v = String(id ?? '');
+  if (!ID_RE.test(v)) throw httpError(`${what} must be 1–64 characters of A-Z, a-z, 0-9, _ or -`);
+  return v;
+}
+
+const userDir = (userId) => path.join(ROOT, checkId(userId, 'userId'));
+const threadFile = (userId, threadId) => path.join(userDir(userId), `${checkId(threadId, 'threadId')}.json`);
+
+function readJSON(file, fallback = null) {
+  try { return JSON.parse(fs.readFileSync(file, 'utf8')); } catch { return fallback; }
+}
+function writeJSON(file, obj) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(obj, null, 2), 'utf8');
+  fs.renameSync(tmp, file);
+}
+
+// ── Profile ──────────────────────────────────────────────────────────────────
+export function getProfile(userId) {
+  return readJSON(path.join(userDir(userId), 'profile.json'), {});
+}
+
+/** Merge known facts into the stored profile; returns the updated profile. */
+export function rememberProfile(userId, facts = {}) {
+  const current = getProfile(userId);
+  const next = { ...current };
+  for (const k of PROFILE_KEYS) {
+    const v = facts[k];
+    if (v == null || !String(v).trim()) continue;
+    next[k] = k === 'sign' ? String(v).trim().toLowerCase() : k === 'lang' ? normalizeLang(v) || current.lang : String(v).trim();
+  }
+  if (JSON.stringify(next) !== JSON.stringify(current)) {
+    next.updatedAt = new Date().toISOString();
+    writeJSON(path.join(userDir(userId), 'profile.json'), next);
+  }
+  return next;
+}
+
+/**
+ * Facts stated in a chat message: "born 1990-05-12", "I am a Leo", "my sign is
+ * Virgo", "I am a student" (persona), "please reply in Hindi" (language).
+ */
+export function factsFromText(text) {
+  const t = String(text || '');
+  const facts = {};
+  const dob = t.match(/\b(?:born|dob|birth\s*date|date of birth)\b[^0-9]{0,12}(\d{4}-\d{2}-\d{2})/i);
+  if (dob) facts.dob = dob[1];
+  const sign = t.match(new RegExp(`\\b(?:i am an?|i'm an?|my (?:sun )?sign is)\\s+(${SIGNS.join('|')})\\b`, 'i'));
+  if (sign) facts.sign = sign[1].toLowerCase();
+  const persona = PERSONA_PATTERNS.find(([, re]) => re.test(t));
+  if (persona) facts.persona = persona[0];
+  const lang = t.match(new RegExp(`\\b(?:reply|respond|answer|write|talk|speak|chat)\\b[^.?!]{0,20}?\\bin\\s+(${LANG_NAMES})\\b`, 'i'))
+    || t.match(new RegExp(`\\b(${LANG_NAMES})\\s+(?:mein|me)\\b`, 'i'));
+  if (lang) facts.lang = normalizeLang(lang[1]);
+  return facts;
+}
+
+// ── Threads ──────────────────────────────────────────────────────────────────
+export function createThread(userId, { title = '' } = {}) {
+  const now = new Date().toISOString();
+  const thread = {
+    id: crypto.randomUUID().replace(/-/g, '').slice(0, 16),
+    userId: checkId(userId, 'userId'),
+    title: String(title || '').slice(0, 120) || null,
+    createdAt: now,
+    updatedAt: now,
+    summary: '',
+    summarizedTurns: 0,
+    messages: [],
+  };
+  writeJSON(threadFile(userId, thread.id), thread);
+  return thread;
+}
+
+export function getThread(userId, threadId) {
+  const t = readJSON(threadFile(userId, threadId));
+  if (!t) throw httpError('thread not found', 404);
+  return t;
+}
+
+export function listThreads(userId) {
+  let files = [];
+  try { files = fs.readdirSync(userDir(userId)); } catch { return []; }
+  return files
+    .filter((f) => f.endsWith('.json') && f !== 'profile.json')
+    .map((f) => readJSON(path.join(userDir(userId), f)))
+    .filter(Boolean)
+    .map(({ id, title, createdAt, updatedAt, messages, summarizedTurns }) => ({
+      id, title, createdAt, updatedAt, turns: (messages?.length || 0) + (summarizedTurns || 0),
+    }))
+    .sort((a, b) => String(b.updatedAt).localeCompare(String(a.updatedAt)));
+}
+
+export function deleteThread(userId, threadId) {
+  try { fs.unlinkSync(threadFile(userId, threadId)); } catch { throw httpError('thread not found', 404); }
+}
+
+export function saveThread(thread) {
+  thread.updatedAt = new Date().toISOString();
+  if (!thread.title) {
+    const first = thread.messages.find((m) => m.role === 'user');
+    if (first) thread.title = first.content.slice(0, 60);
+  }
+  writeJSON(threadFile(thread.userId, thread.id), thread);
+  return thread;
+}
+
+export function threadTokens(thread) {
+  return estimateTokens(thread.summary) + thread.messages.reduce((n, m) => n + estimateTokens(m.content), 0);
+}
+
+/**
+ * If the thread is over budget, fold everything but the last KEEP_RECENT
+ * messages into the running summary via `summarize(previousSummary, turns)`.
+ */
+export async function compactThread(thread, summarize, { budget = TOKEN_BUDGET } = {}) {
+  if (threadTokens(thread) <= budget || thread.messages.length <= KEEP_RECENT) return false;
+  const old = thread.messages.slice(0, -KEEP_RECENT);
+  thread.summary = await summarize(thread.summary, old);
+  thread.summarizedTurns = (thread.summarizedTurns || 0) + old.length;
+  thread.messages = thread.messages.slice(-KEEP_RECENT);
+  return true;
+}
@@ -0,0 +1,177 @@
+// agents/chatTools.js
+// Function-calling bridge: exposes our own agents to the chat model as typed
+// tools, runs the calls it asks for and feeds the results back until it
+// answers in text. Implementations are injected by server.js so this module
+// stays free of route-level state.
+
+import { badRequest } from './utils.js';
+
+const SIGNS = ['aries', 'taurus', 'gemini', 'cancer', 'leo', 'virgo',
+  'libra', 'scorpio', 'sagittarius', 'capricorn', 'aquarius', 'pisces'];
+const PLANETS = ['sun', 'moon', 'mars', 'mercury', 'jupiter', 'venus', 'saturn', 'rahu', 'ketu'];
+const PERSONAS = ['student', 'homemaker', 'job_working', 'self_employed', 'not_working'];
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+const PANCHANG_KEYS = ['tithi', 'paksha', 'nakshatra', 'yoga', 'karana', 'moonSign'];
+
+const fn = (name, description, properties = {}, required = []) => ({
+  type: 'function',
+  function: { name, description, parameters: { type: 'object', properties, required, additionalProperties: false } },
+});
+const signProp = { type: 'string', enum: SIGNS, description: 'Zodiac sign; defaults to the user\'s sign' };
+const dateProp = { type: 'string', description: 'Local date YYYY-MM-DD; defaults to today' };
+
+export const CHAT_TOOLS = [
+  fn('compose_daily',
+    'Daily reading for a sign and date: theme, lucky line, opportunities, cautions, remedy, and Vedic timings (Rahu Kaal, Yamaganda, Gulika, Abhijit, sunrise/sunset, tithi, nakshatra) for the user\'s location.',
+    { sign: signProp, date: dateProp }),
+  fn('gem_plan_for_sign',
+    'Traditional gemstone suggestion (primary, alternative, tone) based on the sign\'s ruling planet.',
+    { sign: signProp }),
+  fn('mantra_for_planet',
+    'Seed (beej) mantra and repetition count for a graha.',
+    { planet: { type: 'string', enum: PLANETS } }, ['planet']),
+  fn('get_yearly_for_user',
+    'Twelve-month roadmap for a sign and persona: summary, planet highlights, favourable windows and month themes.',
+    { sign: signProp, persona: { type: 'string', enum: PERSONAS }, anchorDate: { type: 'string', description: 'First month YYYY-MM-DD' } }),
+  fn('special_day',
+    'Festival/observance and birthday greeting for a date, if any.',
+    { date: dateProp }),
+];
+
+function pickDate(date, fallback) {
+  if (date == null || date === '') return fallback;
+  if (!DATE_RE.test(String(date))) throw badRequest('date must be YYYY-MM-DD');
+  return String(date);
+}
+
+/**
+ * Build the tool runner for one chat request.
+ * impl: { composeDaily, gemPlanForSign, mantraForPlanet, getYearlyForUser, specialDayAgent, dateToInstant }
+ * ctx:  { sign, lang, user, loc } — defaults for arguments the model leaves out
+ */
+export function createToolBridge(impl, ctx = {}) {
+  const sign = (s) => {
+    const v = String(s || ctx.sign || 'aries').toLowerCase();
+    if (!SIGNS.includes(v)) throw badRequest(`unknown sign "${s}"`);
+    return v;
+  };
+  const instant = (date) => (date ? impl.dateToInstant(date, ctx.loc) : new Date());
+
+  const handlers = {
+    async compose_daily(args) {
+      const d = await impl.composeDaily({
+        sign: sign(args.sign), lang: ctx.lang, user: ctx.user, loc: ctx.loc,
+        now: instant(pickDate(args.date, null)),
+      });
+      const { rahuKaal, yamaganda, gulikaKaal, abhijitMuhurat, sunrise, sunset, tz } = d.vedic || {};
+      return {
+        date: d.date,
+        sign: d.sign,
+        day: d.deityLine?.bold,
+        themeLead: d.themeLead,
+        luckyLine: d.luckyLine,
+        opportunities: d.sections?.opportunities,
+        cautions: d.sections?.cautions,
+        remedy: d.sections?.remedy,
+        vedic: { rahuKaal, yamaganda, gulikaKaal, abhijitMuhurat, sunrise, sunset, tz },
+        panchang: Object.fromEntries((d.vedicList || []).filter((v) => PANCHANG_KEYS.includes(v.key)).map((v) => [v.key, v.value])),
+      };
+    },
+    async gem_plan_for_sign(args) {
+      const s = sign(args.sign);
+      return { sign: s, ...impl.gemPlanForSign(s) };
+    },
+    async mantra_for_planet(args) {
+      const planet = String(args.planet || '').toLowerCase();
+      if (!PLANETS.includes(planet)) throw badRequest(`unknown planet "${args.planet}"`);
+      return { planet, ...impl.mantraForPlanet(planet) };
+    },
+    async get_yearly_for_user(args) {
+      if (typeof impl.getYearlyForUser !== 'function') throw new Error('yearly agent unavailable');
+      const s = sign(args.sign);
+      const persona = args.persona || ctx.user?.persona || 'homemaker';
+      const anchorDate = args.anchorDate ? pickDate(args.anchorDate) : null;
+      const Y = await impl.getYearlyForUser({ sign: s, persona, anchorDate, lang: ctx.lang });
+      return {
+        sign: s,
+        persona,
+        anchor: Y.anchor,
+        summary: Y.meta?.summary,
+        planetHighlights: Y.meta?.planetHighlights,
+        favorableWindows: Y.meta?.favorableWindows,
+        months: (Y.months || []).map((m) => ({ label: m.label, outlook: m.outlook })),
+      };
+    },
+    async special_day(args) {
+      const out = impl.specialDayAgent({ now: instant(pickDate(args.date, null)), lang: ctx.lang, user: ctx.user });
+      return out || { none: true };
+    },
+  };
+
+  return {
+    tools: CHAT_TOOLS,
+    async run(name, rawArgs) {
+      const handler = handlers[name];
+      if (!handler) throw badRequest(`unknown tool "${name}"`);
+      let args = rawArgs;
+      if (typeof rawArgs === 'string') {
+        try { args = rawArgs.trim() ? JSON.parse(rawArgs) : {}; } catch { throw badRequest('arguments are not valid JSON'); }
+      }
+      return handler(args || {});
+    },
+  };
+}
+
+const parseArgs = (raw) => {
+  if (typeof raw !== 'string') return raw ?? {};
+  try { return JSON.parse(raw || '{}'); } catch { return raw; }
+};
+
+const addUsage = (a, b) => {
+  const sum = (x, y) => (x == null && y == null ? null : (x || 0) + (y || 0));
+  return {
+    promptTokens: sum(a?.promptTokens, b?.promptTokens),
+    completionTokens: sum(a?.completionTokens, b?.completionTokens),
+    totalTokens: sum(a?.totalTokens, b?.totalTokens),
+  };
+};
+
+/**
+ * Ask → run requested tools → feed results back, up to maxRounds model calls.
+ * Returns { text, model, usage (summed), toolCalls: [log entries] }.
+ */
+export async function runWithTools({ provider, messages, bridge, maxRounds = 4 }) {
+  const convo = [...messages];
+  const toolCalls = [];
+  let usage = null, model = provider.model;
+
+  for (let round = 1; round <= maxRounds; round++) {
+    // Final round forbids further calls so the model has to answer
+    const toolChoice = round === maxRounds ? 'none' : 'auto';
+    const out = await provider.complete({ messages: convo, tools: bridge.tools, toolChoice });
+    usage = addUsage(usage, out.usage);
+    model = out.model || model;
+    if (!out.toolCalls?.length) return { text: out.text, model, usage, toolCalls };
+
+    convo.push({ role: 'assistant', content: out.text || null, tool_calls: out.toolCalls.map((c) => ({
+      id: c.id, type: 'function', function: { name: c.name, arguments: c.arguments },
+    })) });
+
+    for (const call of out.toolCalls) {
+      const started = Date.now();
+      const entry = { round, id: call.id, name: call.name, arguments: parseArgs(call.arguments), ok: true };
+      let result;
+      try {
+        result = await bridge.run(call.name, call.arguments);
+      } catch (e) {
+        entry.ok = false;
+        entry.error = e?.message || String(e);
+        result = { error: entry.error };
+      }
+      entry.durationMs = Date.now() - started;
+      toolCalls.push(entry);
+      convo.push({ role: 'tool', tool_call_id: call.id, content: JSON.stringify(result) });
+    }
+  }
+  return { text: '', model, usage, toolCalls };
+}
@@ -0,0 +1,98 @@
+// agents/choghadiya.js
+// Choghadiya (8 day + 8 night slots) and planetary Hora (12 + 12) from real
+// sunrise/sunset via panchang.js. Night runs from sunset to next sunrise.
+
+import { sunTimes, normalizeLocation, localDateParts, fmtClock } from './panchang.js';
+
+export const CHOGHADIYA = {
+  amrit: { en: 'Amrit', hi: 'अमृत', nature: 'good' },
+  shubh: { en: 'Shubh', hi: 'शुभ', nature: 'good' },
+  labh:  { en: 'Labh',  hi: 'लाभ', nature: 'good' },
+  char:  { en: 'Char',  hi: 'चर', nature: 'neutral' },
+  rog:   { en: 'Rog',   hi: 'रोग', nature: 'bad' },
+  kaal:  { en: 'Kaal',  hi: 'काल', nature: 'bad' },
+  udveg: { en: 'Udveg', hi: 'उद्वेग', nature: 'bad' },
+};
+// Traditional cycles; each weekday starts at a fixed point in the cycle
+const DAY_CYCLE   = ['udveg', 'char', 'labh', 'amrit', 'kaal', 'shubh', 'rog'];
+const NIGHT_CYCLE = ['shubh', 'amrit', 'char', 'rog', 'kaal', 'labh', 'udveg'];
+const DAY_START   = ['udveg', 'amrit', 'rog', 'labh', 'shubh', 'char', 'kaal'];   // Sun..Sat
+const NIGHT_START = ['shubh', 'char', 'kaal', 'udveg', 'amrit', 'rog', 'labh'];
+
+export const PLANETS = {
+  sun:     { en: 'Sun',     hi: 'सूर्य' },
+  moon:    { en: 'Moon',    hi: 'चंद्र' },
+  mars:    { en: 'Mars',    hi: 'मंगल' },
+  mercury: { en: 'Mercury', hi: 'बुध' },
+  jupiter: { en: 'Jupiter', hi: 'गुरु' },
+  venus:   { en: 'Venus',   hi: 'शुक्र' },
+  saturn:  { en: 'Saturn',  hi: 'शनि' },
+};
+// Hora lords follow the Chaldean order; the day's first hora belongs to the weekday lord
+const HORA_CYCLE = ['sun', 'venus', 'mercury', 'moon', 'saturn', 'jupiter', 'mars'];
+const WEEKDAY_LORD = ['sun', 'moon', 'mars', 'mercury', 'jupiter', 'venus', 'saturn'];
+
+function nextDateStr(dateStr) {
+  const [y, m, d] = dateStr.split('-').map(Number);
+  return new Date(Date.UTC(y, m - 1, d + 1)).toISOString().slice(0, 10);
+}
+
+function slots(startMs, endMs, count) {
+  const part = (endMs - startMs) / count;
+  return Array.from({ length: count }, (_, i) => [startMs + i * part, startMs + (i + 1) * part]);
+}
+
+/**
+ * Raw slot boundaries (epoch ms) for a local day. Returns null when the sun
+ * does not rise/set there (no meaningful day/night division).
+ */
+export function dayNightSlots({ date = new Date(), lat, lon, tz } = {}) {
+  const loc = normalizeLocation({ lat, lon, tz });
+  const today = sunTimes({ date, ...loc });
+  const tomorrow = sunTimes({ date: nextDateStr(today.dateStr), ...loc });
+  if (today.sunrise == null || today.sunset == null || tomorrow.sunrise == null) return null;
+
+  const w = today.weekday;
+  const dayStart = DAY_CYCLE.indexOf(DAY_START[w]);
+  const nightStart = NIGHT_CYCLE.indexOf(NIGHT_START[w]);
+  const horaStart = HORA_CYCLE.indexOf(WEEKDAY_LORD[w]);
+
+  const choghadiya = {
+    day:   slots(today.sunrise, today.sunset, 8).map(([s, e], i) => ({ key: DAY_CYCLE[(dayStart + i) % 7], s, e })),
+    night: slots(today.sunset, tomorrow.sunrise, 8).map(([s, e], i) => ({ key: NIGHT_CYCLE[(nightStart + i) % 7], s, e })),
+  };
+  const hora = [
+    ...slots(today.sunrise, today.sunset, 12),
+    ...slots(today.sunset, tomorrow.sunrise, 12),
+  ].map(([s, e], i) => ({ key: HORA_CYCLE[(horaStart + i) % 7], s, e, night: i >= 12 }));
+
+  return { ...today, nextSunrise: tomorrow.sunrise, loc, choghadiya, hora };
+}
+
+export function choghadiyaAgent({ date = new Date(), lat, lon, tz } = {}) {
+  const loc = normalizeLocation({ lat, lon, tz });
+  const raw = dayNightSlots({ date, ...loc });
+  if (!raw) {
+    return { date: localDateParts(date, loc.tz).dateStr, ...loc, available: false, choghadiya: { day: [], night: [] }, hora: [] };
+  }
+
+  const clock = (ms) => fmtClock(ms, loc.tz);
+  const chogRow = ({ key, s, e }, i) => ({ index: i + 1, key, ...CHOGHADIYA[key], start: clock(s), end: clock(e) });
+
+  return {
+    date: raw.dateStr,
+    weekday: raw.weekday,
+    ...loc,
+    available: true,
+    sunrise: clock(raw.sunrise),
+    sunset: clock(raw.sunset),
+    nextSunrise: clock(raw.nextSunrise),
+    choghadiya: {
+      day: raw.choghadiya.day.map(chogRow),
+      night: raw.choghadiya.night.map(chogRow),
+    },
+    hora: raw.hora.map(({ key, s, e, night }, i) => ({
+      index: i + 1, key, ...PLANETS[key], night, start: clock(s), end: clock(e),
+    })),
+  };
+}
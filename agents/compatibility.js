@@ -0,0 +1,294 @@
+// agents/compatibility.js
+// Kundli Milan (Ashtakoot guna matching) from two birth charts: the eight
+// kootas scored out of 36 from the Moon's rashi and nakshatra, Manglik status
+// of each person, and the classical cancellations for Nadi, Bhakoot and Gana
+// dosha and for Manglik dosha. Ashtakoot is read groom → bride; Varna, Tara
+// and Gana are directional. Names come as { en, hi }; the caller localizes.
+
+import { kundliChart } from './kundli.js';
+import { SIGNS } from './sunSign.js';
+import { badRequest } from './utils.js';
+import { t } from './locale.js';
+
+export const KOOTAS = [
+  { key: 'varna',   en: 'Varna',        hi: 'वर्ण',       max: 1 },
+  { key: 'vashya',  en: 'Vashya',       hi: 'वश्य',       max: 2 },
+  { key: 'tara',    en: 'Tara',         hi: 'तारा',       max: 3 },
+  { key: 'yoni',    en: 'Yoni',         hi: 'योनि',       max: 4 },
+  { key: 'maitri',  en: 'Graha Maitri', hi: 'ग्रह मैत्री',  max: 5 },
+  { key: 'gana',    en: 'Gana',         hi: 'गण',        max: 6 },
+  { key: 'bhakoot', en: 'Bhakoot',      hi: 'भकूट',       max: 7 },
+  { key: 'nadi',    en: 'Nadi',         hi: 'नाड़ी',       max: 8 },
+];
+export const MAX_GUNAS = 36;
+
+const SIGN_LORD = {
+  aries: 'mars', taurus: 'venus', gemini: 'mercury', cancer: 'moon', leo: 'sun', virgo: 'mercury',
+  libra: 'venus', scorpio: 'mars', sagittarius: 'jupiter', capricorn: 'saturn', aquarius: 'saturn', pisces: 'jupiter',
+};
+const GRAHA = {
+  sun: { en: 'Sun', hi: 'सूर्य' }, moon: { en: 'Moon', hi: 'चंद्र' }, mars: { en: 'Mars', hi: 'मंगल' },
+  mercury: { en: 'Mercury', hi: 'बुध' }, jupiter: { en: 'Jupiter', hi: 'गुरु' }, venus: { en: 'Venus', hi: 'शुक्र' },
+  saturn: { en: 'Saturn', hi: 'शनि' },
+};
+
+// Varna by Moon sign (water → Brahmin, fire → Kshatriya, earth → Vaishya, air → Shudra)
+const VARNA = [
+  { en: 'Shudra', hi: 'शूद्र' }, { en: 'Vaishya', hi: 'वैश्य' },
+  { en: 'Kshatriya', hi: 'क्षत्रिय' }, { en: 'Brahmin', hi: 'ब्राह्मण' },
+];
+const VARNA_RANK = [2, 1, 0, 3, 2, 1, 0, 3, 2, 1, 0, 3]; // Aries…Pisces
+
+// Vashya groups; Sagittarius and Capricorn change group at 15°
+const VASHYA = [
+  { en: 'Chatushpada', hi: 'चतुष्पद' }, { en: 'Manava', hi: 'मानव' }, { en: 'Jalachara', hi: 'जलचर' },
+  { en: 'Vanachara', hi: 'वनचर' }, { en: 'Keeta', hi: 'कीट' },
+];
+const VASHYA_GROUP = [0, 0, 1, 2, 3, 1, 1, 4, [1, 0], [0, 2], 1, 2];
+const VASHYA_POINTS = [
+  [2, 1, 1, 0.5, 1],
+  [1, 2, 0.5, 0, 1],
+  [1, 0.5, 2, 1, 1],
+  [0.5, 0, 1, 2, 0],
+  [1, 1, 1, 0, 2],
+];
+
+// Yoni animal per nakshatra (Ashwini…Revati) and the 14×14 points table
+const YONI = [
+  { en: 'Horse', hi: 'अश्व' }, { en: 'Elephant', hi: 'गज' }, { en: 'Sheep', hi: 'मेष' }, { en: 'Serpent', hi: 'सर्प' },
+  { en: 'Dog', hi: 'श्वान' }, { en: 'Cat', hi: 'मार्जार' }, { en: 'Rat', hi: 'मूषक' }, { en: 'Cow', hi: 'गौ' },
+  { en: 'Buffalo', hi: 'महिष' }, { en: 'Tiger', hi: 'व्याघ्र' }, { en: 'Deer', hi: 'मृग' }, { en: 'Monkey', hi: 'वानर' },
+  { en: 'Mongoose', hi: 'नकुल' }, { en: 'Lion', hi: 'सिंह' },
+];
+const NAK_YONI = [0, 1, 2, 3, 3, 4, 5, 2, 5, 6, 6, 7, 8, 9, 8, 9, 10, 10, 4, 11, 12, 11, 13, 0, 13, 7, 1];
+const YONI_POINTS = [
+  [4, 2, 2, 3, 2, 2, 2, 1, 0, 1, 3, 3, 2, 1],
+  [2, 4, 3, 3, 2, 2, 2, 2, 3, 1, 2, 3, 2, 0],
+  [2, 3, 4, 2, 1, 2, 1, 3, 3, 1, 2, 0, 3, 1],
+  [3, 3, 2, 4, 2, 1, 1, 1, 1, 2, 2, 2, 0, 2],
+  [2, 2, 1, 2, 4, 2, 1, 2, 2, 1, 0, 2, 1, 1],
+  [2, 2, 2, 1, 2, 4, 0, 2, 2, 1, 3, 3, 2, 1],
+  [2, 2, 1, 1, 1, 0, 4, 2, 2, 2, 2, 2, 1, 2],
+  [1, 2, 3, 1, 2, 2, 2, 4, 3, 0, 3, 2, 2, 1],
+  [0, 3, 3, 1, 2, 2, 2, 3, 4, 1, 2, 2, 2, 1],
+  [1, 1, 1, 2, 1, 1, 2, 0, 1, 4, 1, 1, 2, 1],
+  [3, 2, 2, 2, 0, 3, 2, 3, 2, 1, 4, 2, 2, 1],
+  [3, 3, 0, 2, 2, 3, 2, 2, 2, 1, 2, 4, 3, 2],
+  [2, 2, 3, 0, 1, 2, 1, 2, 2, 2, 2, 3, 4, 2],
+  [1, 0, 1, 2, 1, 1, 2, 1, 1, 1, 1, 2, 2, 4],
+];
+
+// Natural friendships (Parashara): each lord's friends and enemies; the rest are neutral
+const FRIENDS = {
+  sun: ['moon', 'mars', 'jupiter'], moon: ['sun', 'mercury'], mars: ['sun', 'moon', 'jupiter'],
+  mercury: ['sun', 'venus'], jupiter: ['sun', 'moon', 'mars'], venus: ['mercury', 'saturn'], saturn: ['mercury', 'venus'],
+};
+const ENEMIES = {
+  sun: ['venus', 'saturn'], moon: [], mars: ['mercury'], mercury: ['moon'],
+  jupiter: ['mercury', 'venus'], venus: ['sun', 'moon'], saturn: ['sun', 'moon', 'mars'],
+};
+
+const GANA = [{ en: 'Deva', hi: 'देव' }, { en: 'Manushya', hi: 'मनुष्य' }, { en: 'Rakshasa', hi: 'राक्षस' }];
+const NAK_GANA = [0, 1, 2, 1, 0, 1, 0, 0, 2, 2, 1, 1, 0, 2, 0, 2, 0, 2, 2, 1, 1, 0, 2, 2, 1, 1, 0];
+const GANA_POINTS = [ // groom row, bride column
+  [6, 6, 1],
+  [5, 6, 0],
+  [1, 0, 6],
+];
+
+const NADI = [{ en: 'Adi', hi: 'आदि' }, { en: 'Madhya', hi: 'मध्य' }, { en: 'Antya', hi: 'अंत्य' }];
+const NAK_NADI = [0, 1, 2, 2, 1, 0, 0, 1, 2, 2, 1, 0, 0, 1, 2, 2, 1, 0, 0, 1, 2, 2, 1, 0, 0, 1, 2];
+
+// Houses that make Mars Manglik, counted from the Lagna, Moon and Venus
+const MANGLIK_HOUSES = new Set([1, 2, 4, 7, 8, 12]);
+// Mars in these signs does not harm the given house
+const MANGLIK_EXEMPT = { 2: ['gemini', 'virgo'], 4: ['aries', 'scorpio'], 7: ['cancer', 'capricorn'], 8: ['sagittarius', 'pisces'], 12: ['taurus', 'libra'] };
+
+const signIdx = (sign) => SIGNS.indexOf(sign);
+const houseFrom = (fromSign, sign) => ((signIdx(sign) - signIdx(fromSign) + 12) % 12) + 1;
+
+function relation(a, b) {
+  if (FRIENDS[a].includes(b)) return 'friend';
+  if (ENEMIES[a].includes(b)) return 'enemy';
+  return 'neutral';
+}
+
+function maitriPoints(a, b) {
+  if (a === b) return 5;
+  const pair = [relation(a, b), relation(b, a)].sort().join('/');
+  return { 'friend/friend': 5, 'friend/neutral': 4, 'neutral/neutral': 3, 'enemy/friend': 1, 'enemy/neutral': 0.5, 'enemy/enemy': 0 }[pair];
+}
+
+// Moon-based facts the kootas read
+function moonFacts(chart) {
+  const moon = chart.grahas.find((g) => g.key === 'moon');
+  const s = signIdx(moon.sign);
+  const group = VASHYA_GROUP[s];
+  return {
+    sign: moon.sign,
+    degree: moon.degree,
+    nakshatra: moon.nakshatra,
+    lord: SIGN_LORD[moon.sign],
+    varna: VARNA_RANK[s],
+    vashya: Array.isArray(group) ? group[moon.degree < 15 ? 0 : 1] : group,
+    yoni: NAK_YONI[moon.nakshatra.index],
+    gana: NAK_GANA[moon.nakshatra.index],
+    nadi: NAK_NADI[moon.nakshatra.index],
+  };
+}
+
+// Tara counted from one nakshatra to the other; 3rd, 5th and 7th are inauspicious
+const taraGood = (from, to) => ![3, 5, 7].includes((((to - from + 27) % 27) % 9) + 1);
+
+/** Manglik status of one chart, with the cancellations that apply to it. */
+export function manglikStatus(chart) {
+  const mars = chart.grahas.find((g) => g.key === 'mars');
+  const moon = chart.grahas.find((g) => g.key === 'moon');
+  const venus = chart.grahas.find((g) => g.key === 'venus');
+  const jupiter = chart.grahas.find((g) => g.key === 'jupiter');
+  const from = {
+    lagna: mars.house,
+    moon: houseFrom(moon.sign, mars.sign),
+    venus: houseFrom(venus.sign, mars.sign),
+  };
+  const hits = Object.keys(from).filter((k) => MANGLIK_HOUSES.has(from[k]));
+  // Venus alone is a minor indication; the dosha needs the Lagna or the Moon
+  const manglik = hits.includes('lagna') || hits.includes('moon');
+
+  const cancellations = [];
+  if (manglik) {
+    if (['aries', 'scorpio', 'capricorn'].includes(mars.sign)) {
+      cancellations.push({ key: 'marsStrong', en: 'Mars is in its own or exaltation sign.', hi: 'मंगल स्वराशि या उच्च राशि में है।' });
+    }
+    if (MANGLIK_EXEMPT[mars.house]?.includes(mars.sign)) {
+      cancellations.push({ key: 'marsExemptSign', en: 'Mars’s sign exempts this house.', hi: 'इस भाव में मंगल की राशि दोष नहीं देती।' });
+    }
+    if (jupiter.sign === mars.sign) {
+      cancellations.push({ key: 'jupiterWithMars', en: 'Jupiter is conjunct Mars.', hi: 'गुरु मंगल के साथ युति में है।' });
+    }
+  }
+  return {
+    manglik,
+    from,
+    indications: hits,
+    marsSign: mars.sign,
+    cancelled: manglik && cancellations.length > 0,
+    cancellations,
+  };
+}
+
+/**
+ * Ashtakoot match of two kundli charts. Returns { total, max, kootas[], doshas[],
+ * manglik: { groom, bride, match }, verdict }. Koota details and reasons are
+ * { en, hi } objects.
+ */
+export function ashtakoot(groomChart, brideChart) {
+  const g = moonFacts(groomChart);
+  const b = moonFacts(brideChart);
+  const kootas = [];
+  const add = (key, score, detail) => kootas.push({ ...KOOTAS.find((k) => k.key === key), score, ...detail });
+
+  add('varna', g.varna >= b.varna ? 1 : 0, { groom: VARNA[g.varna], bride: VARNA[b.varna] });
+  add('vashya', VASHYA_POINTS[g.vashya][b.vashya], { groom: VASHYA[g.vashya], bride: VASHYA[b.vashya] });
+  const taras = [taraGood(b.nakshatra.index, g.nakshatra.index), taraGood(g.nakshatra.index, b.nakshatra.index)];
+  add('tara', taras.filter(Boolean).length * 1.5, {
+    groom: { en: taras[0] ? 'Auspicious' : 'Inauspicious', hi: taras[0] ? 'शुभ' : 'अशुभ' },
+    bride: { en: taras[1] ? 'Auspicious' : 'Inauspicious', hi: taras[1] ? 'शुभ' : 'अशुभ' },
+  });
+  add('yoni', YONI_POINTS[g.yoni][b.yoni], { groom: YONI[g.yoni], bride: YONI[b.yoni] });
+  const maitri = maitriPoints(g.lord, b.lord);
+  add('maitri', maitri, { groom: GRAHA[g.lord], bride: GRAHA[b.lord] });
+  add('gana', GANA_POINTS[g.gana][b.gana], { groom: GANA[g.gana], bride: GANA[b.gana] });
+  // Groom's Moon sign counted from the bride's, and back: 2/12, 5/9 and 6/8 are doshas
+  const dist = houseFrom(b.sign, g.sign);
+  const back = houseFrom(g.sign, b.sign);
+  const bhakootBad = [2, 12, 5, 9, 6, 8].includes(dist);
+  add('bhakoot', bhakootBad ? 0 : 7, {
+    groom: { en: `${dist}/${back}`, hi: `${dist}/${back}` },
+    bride: { en: `${back}/${dist}`, hi: `${back}/${dist}` },
+  });
+  add('nadi', g.nadi === b.nadi ? 0 : 8, { groom: NADI[g.nadi], bride: NADI[b.nadi] });
+
+  const lordsFriendly = maitri === 5;
+  const doshas = [];
+  if (g.nadi === b.nadi) {
+    const reasons = [];
+    if (g.sign === b.sign && g.nakshatra.index !== b.nakshatra.index) {
+      reasons.push({ key: 'sameRashi', en: 'Same Moon sign, different nakshatras.', hi: 'चंद्र राशि एक, नक्षत्र अलग।' });
+    }
+    if (g.nakshatra.index === b.nakshatra.index && g.sign !== b.sign) {
+      reasons.push({ key: 'sameNakshatra', en: 'Same nakshatra, different Moon signs.', hi: 'नक्षत्र एक, चंद्र राशि अलग।' });
+    }
+    if (g.nakshatra.index === b.nakshatra.index && g.nakshatra.pada !== b.nakshatra.pada) {
+      reasons.push({ key: 'differentPada', en: 'Same nakshatra, different padas.', hi: 'नक्षत्र एक, पद अलग।' });
+    }
+    doshas.push({ key: 'nadi', en: 'Nadi dosha', hi: 'नाड़ी दोष', cancelled: reasons.length > 0, reasons });
+  }
+  if (bhakootBad) {
+    const reasons = [];
+    if (g.lord === b.lord) reasons.push({ key: 'sameLord', en: 'Both Moon signs share a lord.', hi: 'दोनों चंद्र राशियों का स्वामी एक है।' });
+    else if (lordsFriendly) reasons.push({ key: 'friendlyLords', en: 'The Moon-sign lords are mutual friends.', hi: 'चंद्र राशियों के स्वामी परस्पर मित्र हैं।' });
+    doshas.push({ key: 'bhakoot', en: 'Bhakoot dosha', hi: 'भकूट दोष', cancelled: reasons.length > 0, reasons });
+  }
+  if (GANA_POINTS[g.gana][b.gana] <= 1) {
+    const reasons = [];
+    if (lordsFriendly) reasons.push({ key: 'friendlyLords', en: 'The Moon-sign lords are same or mutual friends.', hi: 'चंद्र राशियों के स्वामी एक या परस्पर मित्र हैं।' });
+    if (!bhakootBad) reasons.push({ key: 'bhakootClean', en: 'Bhakoot is free of dosha.', hi: 'भकूट दोष-मुक्त है।' });
+    doshas.push({ key: 'gana', en: 'Gana dosha', hi: 'गण दोष', cancelled: reasons.length > 0, reasons });
+  }
+
+  const groomM = manglikStatus(groomChart);
+  const brideM = manglikStatus(brideChart);
+  const active = (m) => m.manglik && !m.cancelled;
+  let match;
+  if (active(groomM) && active(brideM)) match = { key: 'mutual', en: 'Both are Manglik, so the dosha cancels out.', hi: 'दोनों मांगलिक हैं, इसलिए दोष परस्पर शांत होता है।' };
+  else if (active(groomM) || active(brideM)) match = { key: 'mismatch', en: 'Only one partner is Manglik; a remedy is advised.', hi: 'केवल एक पक्ष मांगलिक है; उपाय की सलाह है।' };
+  else match = { key: 'clear', en: 'No Manglik dosha between the two.', hi: 'दोनों के बीच मांगलिक दोष नहीं है।' };
+
+  const total = kootas.reduce((sum, k) => sum + k.score, 0);
+  const verdict =
+    total >= 33 ? { key: 'excellent', en: 'Excellent match', hi: 'उत्तम मिलान' }
+    : total >= 25 ? { key: 'good', en: 'Good match', hi: 'अच्छा मिलान' }
+    : total >= 18 ? { key: 'average', en: 'Average match', hi: 'सामान्य मिलान' }
+    : { key: 'weak', en: 'Not recommended', hi: 'अनुशंसित नहीं' };
+
+  return {
+    total,
+    max: MAX_GUNAS,
+    kootas,
+    doshas,
+    manglik: { groom: groomM, bride: brideM, match },
+    verdict,
+  };
+}
+
+/**
+ * Kundli Milan from two people's birth details ({ dob, tob|time, place | lat+lon+tz }).
+ * Bad details answer a localized 400 naming whose details are wrong.
+ */
+export function compatibility({ groom, bride, ayanamsa = 'lahiri', lang = 'en' } = {}) {
+  if (!groom || !bride || typeof groom !== 'object' || typeof bride !== 'object') {
+    throw badRequest(
+      t(lang, 'Send birth details for both groom and bride.', 'वर और वधू दोनों का जन्म विवरण भेजें।'),
+      'bad_partner',
+    );
+  }
+  const chartFor = (person, who) => {
+    try {
+      return kundliChart({
+        dob: person.dob, tob: person.tob, time: person.time,
+        place: person.birthPlace ?? person.placeOfBirth ?? person.place,
+        lat: person.lat, lon: person.lon, tz: person.tz,
+        ayanamsa, lang,
+      });
+    } catch (e) {
+      if (e?.status === 400) e.message = `${who}: ${e.message}`;
+      throw e;
+    }
+  };
+  const charts = {
+    groom: chartFor(groom, t(lang, 'Groom', 'वर')),
+    bride: chartFor(bride, t(lang, 'Bride', 'वधू')),
+  };
+  return { charts, ...ashtakoot(charts.groom, charts.bride) };
+}
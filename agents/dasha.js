@@ -0,0 +1,99 @@
+// agents/dasha.js
+// Vimshottari Dasha from the Moon's birth nakshatra: the 120-year
+// Mahadasha sequence starting with the nakshatra lord (only the unexpired
+// share of the first period remains at birth), each split into nine
+// Antardashas in the same order starting from the Mahadasha lord.
+// Period lengths use the 365.25-day year.
+
+import { natalChart, NAK_LORDS } from './natal.js';
+import { GRAHAS } from './kundli.js';
+import { localDateParts } from './panchang.js';
+
+export const DASHA_YEARS = {
+  ketu: 7, venus: 20, sun: 6, moon: 10, mars: 7, rahu: 18, jupiter: 16, saturn: 19, mercury: 17,
+};
+const TOTAL_YEARS = 120;
+const YEAR_MS = 365.25 * 86400000;
+const NAK_SPAN = 360 / 27;
+
+const lordNames = (lord) => {
+  const g = GRAHAS.find((x) => x.key === lord);
+  return { en: g.en, hi: g.hi };
+};
+// The nine lords in Vimshottari order starting from `lord`
+const sequenceFrom = (lord) => {
+  const i = NAK_LORDS.indexOf(lord);
+  return [...NAK_LORDS.slice(i), ...NAK_LORDS.slice(0, i)];
+};
+
+function antardashas(maha, startMs, tz) {
+  let at = startMs;
+  return sequenceFrom(maha).map((lord) => {
+    const span = (DASHA_YEARS[maha] * DASHA_YEARS[lord] / TOTAL_YEARS) * YEAR_MS;
+    const period = { lord, ...lordNames(lord), startMs: at, endMs: at + span };
+    at += span;
+    return withDates(period, tz);
+  });
+}
+
+function withDates(period, tz) {
+  return {
+    ...period,
+    start: localDateParts(new Date(period.startMs), tz).dateStr,
+    end: localDateParts(new Date(period.endMs), tz).dateStr,
+  };
+}
+
+/**
+ * Mahadasha/Antardasha timeline for a sidereal Moon longitude at birth.
+ * The first Mahadasha started before birth; `balance` is what was left of it.
+ */
+export function vimshottari(moonLongitude, birthMs, { tz = 'Asia/Kolkata' } = {}) {
+  const nakIdx = Math.floor(moonLongitude / NAK_SPAN) % 27;
+  const first = NAK_LORDS[nakIdx % 9];
+  const elapsed = (moonLongitude % NAK_SPAN) / NAK_SPAN;
+  const balanceYears = DASHA_YEARS[first] * (1 - elapsed);
+
+  let at = birthMs - DASHA_YEARS[first] * elapsed * YEAR_MS;
+  const mahadashas = sequenceFrom(first).map((lord) => {
+    const span = DASHA_YEARS[lord] * YEAR_MS;
+    const period = withDates({ lord, ...lordNames(lord), years: DASHA_YEARS[lord], startMs: at, endMs: at + span }, tz);
+    period.antardashas = antardashas(lord, at, tz);
+    at += span;
+    return period;
+  });
+
+  return {
+    startLord: first,
+    balance: { lord: first, ...lordNames(first), years: +balanceYears.toFixed(4) },
+    mahadashas,
+  };
+}
+
+/** Mahadasha + Antardasha running at an instant, or null outside the 120 years. */
+export function dashaAt(timeline, ms) {
+  const maha = timeline.mahadashas.find((p) => ms >= p.startMs && ms < p.endMs);
+  if (!maha) return null;
+  return { maha, antar: maha.antardashas.find((p) => ms >= p.startMs && ms < p.endMs) || null };
+}
+
+/** Antardashas overlapping [fromMs, toMs), each tagged with its Mahadasha lord. */
+export function antardashasBetween(timeline, fromMs, toMs) {
+  return timeline.mahadashas
+    .filter((m) => m.endMs > fromMs && m.startMs < toMs)
+    .flatMap((m) => m.antardashas
+      .filter((a) => a.endMs > fromMs && a.startMs < toMs)
+      .map((a) => ({ ...a, maha: m.lord, mahaNames: { en: m.en, hi: m.hi } })));
+}
+
+/** Natal chart + Vimshottari timeline from full birth details (localized 400s on bad input). */
+export function dashaForBirth({ ayanamsa = 'lahiri', ...details } = {}) {
+  const natal = natalChart({ ...details, ayanamsa });
+  const birthMs = Date.parse(natal.birth.utc);
+  return { natal, ...vimshottari(natal.moon.longitude, birthMs, { tz: natal.birth.tz }) };
+}
+
+/** JSON shape without the internal epoch-ms fields. */
+export function publicPeriod({ startMs, endMs, antardashas: subs, ...rest }) {
+  return subs ? { ...rest, antardashas: subs.map(publicPeriod) } : rest;
+}
@@ -0,0 +1,223 @@
+// agents/ephemeris.js
+// Offline geocentric Sun/Moon longitudes (Meeus, "Astronomical Algorithms",
+// ch. 25 & 47 truncated series) and sidereal conversion via a selectable
+// ayanamsa. Accuracy is well under an arc-minute for the Sun and ~10" for the
+// Moon — plenty for tithi/nakshatra boundaries to the minute. Sidereal time
+// and the ascendant (Lagna) come from Meeus ch. 12/13; Mercury–Saturn from
+// the JPL approximate Keplerian elements, Rahu/Ketu as the mean lunar node.
+
+const RAD = Math.PI / 180;
+
+export const norm360 = (x) => ((x % 360) + 360) % 360;
+const sin = (deg) => Math.sin(deg * RAD);
+
+/** Julian Day (UT) from epoch ms. */
+export function julianDay(ms) {
+  return ms / 86400000 + 2440587.5;
+}
+
+// ΔT (TT − UT) in seconds; polynomial fits good to a few seconds for 1900–2100
+function deltaT(year) {
+  const t = year - 2000;
+  if (year >= 2005 && year < 2050) return 62.92 + 0.32217 * t + 0.005589 * t * t;
+  if (year >= 1986 && year < 2005) {
+    return 63.86 + 0.3345 * t - 0.060374 * t ** 2 + 0.0017275 * t ** 3 + 0.000651814 * t ** 4 + 0.00002373599 * t ** 5;
+  }
+  if (year >= 1961 && year < 1986) {
+    const u = year - 1975;
+    return 45.45 + 1.067 * u - u ** 2 / 260 - u ** 3 / 718;
+  }
+  if (year >= 1941 && year < 1961) {
+    const u = year - 1950;
+    return 29.07 + 0.407 * u - u ** 2 / 233 + u ** 3 / 2547;
+  }
+  const u = (year - 1820) / 100;
+  return -20 + 32 * u * u;
+}
+
+/** Julian centuries (TT) since J2000.0 for an epoch-ms instant. */
+export function centuriesTT(ms) {
+  const year = new Date(ms).getUTCFullYear();
+  return (julianDay(ms) + deltaT(year) / 86400 - 2451545.0) / 36525;
+}
+
+// Nutation in longitude (degrees), two dominant terms
+function nutationLon(T) {
+  const omega = 125.04452 - 1934.136261 * T;
+  const Ls = 280.4665 + 36000.7698 * T;
+  const Lm = 218.3165 + 481267.8813 * T;
+  return (-17.20 * sin(omega) - 1.32 * sin(2 * Ls) - 0.23 * sin(2 * Lm) + 0.21 * sin(2 * omega)) / 3600;
+}
+
+/** Apparent tropical longitude of the Sun (degrees). */
+export function sunLongitude(ms) {
+  const T = centuriesTT(ms);
+  const L0 = 280.46646 + 36000.76983 * T + 0.0003032 * T * T;
+  const M  = 357.52911 + 35999.05029 * T - 0.0001537 * T * T;
+  const C  = (1.914602 - 0.004817 * T - 0.000014 * T * T) * sin(M)
+           + (0.019993 - 0.000101 * T) * sin(2 * M)
+           + 0.000289 * sin(3 * M);
+  const aberration = -0.00569;
+  return norm360(L0 + C + aberration + nutationLon(T));
+}
+
+// Meeus table 47.A — [D, M, M', F, Σl (1e-6 deg)]
+const MOON_LON_TERMS = [
+  [0, 0, 1, 0, 6288774], [2, 0, -1, 0, 1274027], [2, 0, 0, 0, 658314], [0, 0, 2, 0, 213618],
+  [0, 1, 0, 0, -185116], [0, 0, 0, 2, -114332], [2, 0, -2, 0, 58793], [2, -1, -1, 0, 57066],
+  [2, 0, 1, 0, 53322], [2, -1, 0, 0, 45758], [0, 1, -1, 0, -40923], [1, 0, 0, 0, -34720],
+  [0, 1, 1, 0, -30383], [2, 0, 0, -2, 15327], [0, 0, 1, 2, -12528], [0, 0, 1, -2, 10980],
+  [4, 0, -1, 0, 10675], [0, 0, 3, 0, 10034], [4, 0, -2, 0, 8548], [2, 1, -1, 0, -7888],
+  [2, 1, 0, 0, -6766], [1, 0, -1, 0, -5163], [1, 1, 0, 0, 4987], [2, -1, 1, 0, 4036],
+  [2, 0, 2, 0, 3994], [4, 0, 0, 0, 3861], [2, 0, -3, 0, 3665], [0, 1, -2, 0, -2689],
+  [2, 0, -1, 2, -2602], [2, -1, -2, 0, 2390], [1, 0, 1, 0, -2348], [2, -2, 0, 0, 2236],
+  [0, 1, 2, 0, -2120], [0, 2, 0, 0, -2069], [2, -2, -1, 0, 2048], [2, 0, 1, -2, -1773],
+  [2, 0, 0, 2, -1595], [4, -1, -1, 0, 1215], [0, 0, 2, 2, -1110], [3, 0, -1, 0, -892],
+  [2, 1, 1, 0, -810], [4, -1, -2, 0, 759], [0, 2, -1, 0, -713], [2, 2, -1, 0, -700],
+  [2, 1, -2, 0, 691], [2, -1, 0, -2, 596], [4, 0, 1, 0, 549], [0, 0, 4, 0, 537],
+  [4, -1, 0, 0, 520], [1, 0, -2, 0, -487], [2, 1, 0, -2, -399], [0, 0, 2, -2, -381],
+  [1, 1, 1, 0, 351], [3, 0, -2, 0, -340], [4, 0, -3, 0, 330], [2, -1, 2, 0, 327],
+  [0, 2, 1, 0, -323], [1, 1, -1, 0, 299], [2, 0, 3, 0, 294],
+];
+
+/** Apparent tropical longitude of the Moon (degrees). */
+export function moonLongitude(ms) {
+  const T = centuriesTT(ms);
+  const Lp = 218.3164477 + 481267.88123421 * T - 0.0015786 * T ** 2 + T ** 3 / 538841 - T ** 4 / 65194000;
+  const D  = 297.8501921 + 445267.1114034 * T - 0.0018819 * T ** 2 + T ** 3 / 545868 - T ** 4 / 113065000;
+  const M  = 357.5291092 + 35999.0502909 * T - 0.0001536 * T ** 2 + T ** 3 / 24490000;
+  const Mp = 134.9633964 + 477198.8675055 * T + 0.0087414 * T ** 2 + T ** 3 / 69699 - T ** 4 / 14712000;
+  const F  = 93.2720950 + 483202.0175233 * T - 0.0036539 * T ** 2 - T ** 3 / 3526000 + T ** 4 / 863310000;
+  const A1 = 119.75 + 131.849 * T;
+  const A2 = 53.09 + 479264.290 * T;
+  const E  = 1 - 0.002516 * T - 0.0000074 * T * T;
+
+  let sl = 0;
+  for (const [d, m, mp, f, coeff] of MOON_LON_TERMS) {
+    const e = Math.abs(m) === 1 ? E : Math.abs(m) === 2 ? E * E : 1;
+    sl += coeff * e * sin(d * D + m * M + mp * Mp + f * F);
+  }
+  sl += 3958 * sin(A1) + 1962 * sin(Lp - F) + 318 * sin(A2);
+
+  return norm360(Lp + sl / 1e6 + nutationLon(T));
+}
+
+// JPL "Keplerian Elements for Approximate Positions of the Major Planets"
+// (Standish), table 1, valid 1800–2050 — heliocentric, J2000 ecliptic.
+// [a AU, e, I°, L°, ϖ°, Ω°] and their rates per Julian century.
+const PLANET_ELEMENTS = {
+  mercury: [[0.38709927, 0.20563593, 7.00497902, 252.25032350, 77.45779628, 48.33076593],
+            [0.00000037, 0.00001906, -0.00594749, 149472.67411175, 0.16047689, -0.12534081]],
+  venus:   [[0.72333566, 0.00677672, 3.39467605, 181.97909950, 131.60246718, 76.67984255],
+            [0.00000390, -0.00004107, -0.00078890, 58517.81538729, 0.00268329, -0.27769418]],
+  earth:   [[1.00000261, 0.01671123, -0.00001531, 100.46457166, 102.93768193, 0],
+            [0.00000562, -0.00004392, -0.01294668, 35999.37244981, 0.32327364, 0]],
+  mars:    [[1.52371034, 0.09339410, 1.84969142, -4.55343205, -23.94362959, 49.55953891],
+            [0.00001847, 0.00007882, -0.00813131, 19140.30268499, 0.44441088, -0.29257343]],
+  jupiter: [[5.20288700, 0.04838624, 1.30439695, 34.39644051, 14.72847983, 100.47390909],
+            [-0.00011607, -0.00013253, -0.00183714, 3034.74612775, 0.21252668, 0.20469106]],
+  saturn:  [[9.53667594, 0.05386179, 2.48599187, 49.95424423, 92.59887831, 113.66242448],
+            [-0.00125060, -0.00050991, 0.00193609, 1222.49362201, -0.41897216, -0.28867794]],
+};
+export const PLANETS = ['mercury', 'venus', 'mars', 'jupiter', 'saturn'];
+
+// Heliocentric J2000-ecliptic rectangular coordinates (AU)
+function heliocentric(name, T) {
+  const [base, rate] = PLANET_ELEMENTS[name];
+  const [a, e, I, L, peri, node] = base.map((v, i) => v + rate[i] * T);
+  const w = peri - node;
+  const M = norm360(L - peri);
+  // Kepler's equation, Newton iterations
+  let E = M + (e / RAD) * sin(M);
+  for (let i = 0; i < 8; i++) {
+    const dE = (M - (E - (e / RAD) * sin(E))) / (1 - e * Math.cos(E * RAD));
+    E += dE;
+    if (Math.abs(dE) < 1e-7) break;
+  }
+  const xp = a * (Math.cos(E * RAD) - e);
+  const yp = a * Math.sqrt(1 - e * e) * sin(E);
+  const [cw, sw, cO, sO, cI, sI] = [Math.cos(w * RAD), sin(w), Math.cos(node * RAD), sin(node), Math.cos(I * RAD), sin(I)];
+  return {
+    x: (cw * cO - sw * sO * cI) * xp + (-sw * cO - cw * sO * cI) * yp,
+    y: (cw * sO + sw * cO * cI) * xp + (-sw * sO + cw * cO * cI) * yp,
+    z: (sw * sI) * xp + (cw * sI) * yp,
+  };
+}
+
+/**
+ * Apparent tropical geocentric longitude (degrees) of Mercury…Saturn, from
+ * the JPL mean elements precessed to the equinox of date. Good to a few
+ * arc-minutes for Mercury–Mars and ~0.2° for Jupiter/Saturn: sign, degree
+ * and retrograde state, not eclipse timing.
+ */
+export function planetLongitude(name, ms) {
+  if (!PLANET_ELEMENTS[name] || name === 'earth') throw new Error(`unknown planet "${name}"`);
+  const T = centuriesTT(ms);
+  const p = heliocentric(name, T);
+  const earth = heliocentric('earth', T);
+  const lonJ2000 = Math.atan2(p.y - earth.y, p.x - earth.x) / RAD;
+  const precession = (5028.796195 * T + 1.1054348 * T * T) / 3600;
+  return norm360(lonJ2000 + precession + nutationLon(T));
+}
+
+/** Mean ascending lunar node (Rahu), tropical degrees; Ketu is opposite. Meeus 47.7. */
+export function meanNodeLongitude(ms) {
+  const T = centuriesTT(ms);
+  return norm360(125.0445479 - 1934.1362891 * T + 0.0020754 * T * T + T ** 3 / 467441 - T ** 4 / 60616000);
+}
+
+/** Mean obliquity of the ecliptic (degrees), Meeus 22.2 truncated. */
+export function obliquity(ms) {
+  const T = centuriesTT(ms);
+  return 23.4392911 - (46.815 * T + 0.00059 * T * T - 0.001813 * T ** 3) / 3600;
+}
+
+/** Greenwich mean sidereal time (degrees), Meeus 12.4. */
+export function siderealTime(ms) {
+  const d = julianDay(ms) - 2451545.0;
+  const T = d / 36525;
+  return norm360(280.46061837 + 360.98564736629 * d + 0.000387933 * T * T - T ** 3 / 38710000);
+}
+
+/** Tropical ascendant (degrees) for an instant and place; longitude east-positive. */
+export function ascendant(ms, lat, lon) {
+  const ramc = norm360(siderealTime(ms) + lon);
+  const eps = obliquity(ms);
+  const y = Math.cos(ramc * RAD);
+  const x = -(sin(ramc) * Math.cos(eps * RAD) + Math.tan(lat * RAD) * sin(eps));
+  return norm360(Math.atan2(y, x) / RAD);
+}
+
+// Ayanamsa values at J2000.0 (degrees); advanced by general precession
+export const AYANAMSA = {
+  lahiri: 23.857092,
+  raman:  22.410791,
+  kp:     23.760240,
+};
+
+/** Known ayanamsa key for a request value ("KP" → "kp"); anything else is "lahiri". */
+export function ayanamsaName(name) {
+  const key = String(name || '').trim().toLowerCase();
+  return AYANAMSA[key] ? key : 'lahiri';
+}
+
+/** Ayanamsa (degrees) for an instant; unknown names fall back to Lahiri. */
+export function ayanamsa(ms, name = 'lahiri') {
+  const base = AYANAMSA[ayanamsaName(name)];
+  const T = centuriesTT(ms);
+  return base + (5028.796195 * T + 1.1054348 * T * T) / 3600;
+}
+
+export function siderealLongitude(tropical, ms, name = 'lahiri') {
+  return norm360(tropical - ayanamsa(ms, name));
+}
+
+/** Sidereal Sun & Moon longitudes plus the ayanamsa used. */
+export function sunMoonSidereal(ms, name = 'lahiri') {
+  const ay = ayanamsa(ms, name);
+  return {
+    sun:  norm360(sunLongitude(ms) - ay),
+    moon: norm360(moonLongitude(ms) - ay),
+    ayanamsa: ay,
+  };
+}
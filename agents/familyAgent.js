@@ -1,14 +1,81 @@
 // agents/familyAgent.js
-const { getYearlyForUser } = require("./yearlyAgent");
+// Family report data: each member's yearly window (the same model as the
+// yearly PDF) and the months the family can lean on together. A month favours
+// a member when a slow or monthly graha transits a supportive house from their
+// sign (Gochara: Sun 3/6/10/11, Jupiter 2/5/7/9/11, Saturn 3/6/11) and Saturn
+// is not in their 8th; harmony windows are runs of months that favour everyone.
 
-function buildFamilySections(members, contentBank) {
-  // members: [{ name, sign, persona, anchorDate }]
-  return members.map(m => ({
+import { getYearlyForUser } from './yearlyAgent.js';
+import { grahaPositions } from './kundli.js';
+import { SIGNS } from './sunSign.js';
+import { houseFrom } from './transits.js';
+
+const SUPPORT = {
+  sun:     new Set([3, 6, 10, 11]),
+  jupiter: new Set([2, 5, 7, 9, 11]),
+  saturn:  new Set([3, 6, 11]),
+};
+
+/**
+ * Yearly data per member ({ name, sign, persona, dob? }), in input order:
+ * { name, sign, persona, dob, anchor, meta, phaseBlocks, months }.
+ */
+export async function buildFamilySections(members, { anchorDate = null, lang = 'en' } = {}) {
+  return Promise.all(members.map(async (m) => ({
     name: m.name,
     sign: m.sign,
     persona: m.persona,
-    ...getYearlyForUser({ sign: m.sign, persona: m.persona, anchorDate: m.anchorDate, contentBank })
-  }));
+    dob: m.dob ?? null,
+    ...(await getYearlyForUser({ sign: m.sign, persona: m.persona, anchorDate, lang, dob: m.dob })),
+  })));
+}
+
+// Which of the member's supporting grahas hold on the 15th of a month
+function monthSupport(member, signs) {
+  const by = Object.keys(SUPPORT).filter((g) => SUPPORT[g].has(houseFrom(member.sign, signs[g])));
+  return { by, favoured: by.length > 0 && houseFrom(member.sign, signs.saturn) !== 8 };
 }
 
-module.exports = { buildFamilySections };
\ No newline at end of file
+/**
+ * Harmony windows over `months` months from `anchor` (first of a month, UTC):
+ * [{ from, to: 'YYYY-MM', everyone, members: [{ name, by: ['sun'|'jupiter'|'saturn'] }] }],
+ * `by` listing every graha that supports the member at some point in the window.
+ * Without a month that favours everyone, the months favouring the most members
+ * (at least two) are returned with everyone: false; [] when even that is missing.
+ */
+export function familyHarmonyWindows(members, { anchor, months = 12, ayanamsa = 'lahiri' } = {}) {
+  const rows = [];
+  for (let i = 0; i < months; i++) {
+    const ms = Date.UTC(anchor.getUTCFullYear(), anchor.getUTCMonth() + i, 15, 6, 30);
+    const signs = Object.fromEntries(grahaPositions(ms, ayanamsa).map((p) => [p.key, SIGNS[Math.floor(p.longitude / 30)]]));
+    const d = new Date(ms);
+    const month = `${d.getUTCFullYear()}-${String(d.getUTCMonth() + 1).padStart(2, '0')}`;
+    const support = members.map((m) => ({ name: m.name, ...monthSupport(m, signs) }));
+    rows.push({ month, support, count: support.filter((s) => s.favoured).length });
+  }
+
+  const target = Math.max(0, ...rows.map((r) => r.count));
+  if (!target || target < Math.min(2, members.length)) return [];
+
+  // Merge consecutive target months that favour the same members
+  const windows = [];
+  const key = (r) => r.support.map((s) => (s.favoured ? 1 : 0)).join('');
+  rows.forEach((r, i) => {
+    if (r.count !== target) return;
+    const last = windows[windows.length - 1];
+    if (last && last.end === i - 1 && last.key === key(r)) {
+      last.end = i;
+      last.to = r.month;
+      last.support.forEach((s, j) => { s.by = [...new Set([...s.by, ...r.support[j].by])]; });
+      return;
+    }
+    windows.push({ key: key(r), end: i, from: r.month, to: r.month, support: r.support.map((s) => ({ ...s, by: [...s.by] })) });
+  });
+
+  return windows.map((w) => ({
+    from: w.from,
+    to: w.to,
+    everyone: target === members.length,
+    members: w.support.filter((s) => s.favoured).map(({ name, by }) => ({ name, by })),
+  }));
+}
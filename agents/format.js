@@ -1,13 +1,11 @@
 import { dayDateHeaderUpper } from './utils.js';
+import { t, localeSection } from './locale.js';
 
-export function greeting(lang='en'){ return lang==='hi' ? 'नमस्ते जी,' : 'Namaste ji,'; }
+export function greeting(lang='en'){ return t(lang, 'Namaste ji,', 'नमस्ते जी,'); }
 
 export function formatAgent({ lang='en', dateIST=new Date(), deityPair='Vishnu/Brihaspati' } = {}) {
-  const dayHeader = dayDateHeaderUpper(lang, dateIST); // EN: CAPS, HI: natural
-  const deitySentenceParts = {
-    pre: lang==='hi' ? 'आज ' : 'Today being ',
-    bold: deityPair,
-    post: lang==='hi' ? ' दिवस है।' : ' day.'
-  };
+  const dayHeader = dayDateHeaderUpper(lang, dateIST); // EN: CAPS, others: natural
+  const { pre, post } = localeSection(lang, 'deityLine');
+  const deitySentenceParts = { pre, bold: deityPair, post };
   return { dayHeader, deitySentenceParts };
 }
@@ -1,4 +1,6 @@
-import { pick, signIndex } from './utils.js';
+import { pick } from './utils.js';
+import { parseDob } from './sunSign.js';
+import { personalNumbers, universalDay } from './numerology.js';
 
 const COLORS_EN = ['saffron','leaf green','amber','turquoise','coral','royal blue','maroon','violet','silver','teal','indigo','crimson','pearl white','charcoal'];
 const COLORS_HI = {
@@ -7,8 +9,12 @@ const COLORS_HI = {
   'crimson':'गहरा लाल','pearl white':'मोती-सा सफ़ेद','charcoal':'गहरा स्लेटी'
 };
 
-export function fortuneLineAgent({ sign='aries', ist=new Date(), seed=0, lang='en' } = {}) {
-  const luckyNumber = ((ist.getDate() + signIndex(sign)) % 9) + 1;
+// Lucky number: the personal day number when the date of birth is known,
+// otherwise the day's universal number. `ist` carries the IST wall clock.
+export function fortuneLineAgent({ sign='aries', ist=new Date(), seed=0, lang='en', dob=null } = {}) {
+  const today = { y: ist.getFullYear(), m: ist.getMonth() + 1, d: ist.getDate() };
+  const birth = dob ? parseDob(dob) : null;
+  const luckyNumber = birth ? personalNumbers(birth, today).day : universalDay(today);
   const colorEn = pick(COLORS_EN, seed + 17);
   const colorHi = COLORS_HI[colorEn] || colorEn;
   const luckyLine = lang==='hi'
@@ -0,0 +1,145 @@
+// agents/gazetteer.js
+// Offline city lookup backed by data/gazetteer.json (Indian cities plus major
+// diaspora hubs). Resolves free-text place names — English, old names or
+// Hindi spellings — to coordinates and an IANA timezone.
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const DATA_FILE = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'data', 'gazetteer.json');
+
+const COUNTRY = {
+  IN: { en: 'India', hi: 'भारत' },
+  GB: { en: 'United Kingdom', hi: 'ब्रिटेन' },
+  US: { en: 'United States', hi: 'अमेरिका' },
+  CA: { en: 'Canada', hi: 'कनाडा' },
+  AE: { en: 'United Arab Emirates', hi: 'संयुक्त अरब अमीरात' },
+  QA: { en: 'Qatar', hi: 'क़तर' },
+  OM: { en: 'Oman', hi: 'ओमान' },
+  KW: { en: 'Kuwait', hi: 'कुवैत' },
+  SA: { en: 'Saudi Arabia', hi: 'सऊदी अरब' },
+  SG: { en: 'Singapore', hi: 'सिंगापुर' },
+  MY: { en: 'Malaysia', hi: 'मलेशिया' },
+  HK: { en: 'Hong Kong', hi: 'हांगकांग' },
+  JP: { en: 'Japan', hi: 'जापान' },
+  AU: { en: 'Australia', hi: 'ऑस्ट्रेलिया' },
+  NZ: { en: 'New Zealand', hi: 'न्यूज़ीलैंड' },
+  ZA: { en: 'South Africa', hi: 'दक्षिण अफ्रीका' },
+  KE: { en: 'Kenya', hi: 'केन्या' },
+  MU: { en: 'Mauritius', hi: 'मॉरीशस' },
+  FJ: { en: 'Fiji', hi: 'फ़िजी' },
+  SR: { en: 'Suriname', hi: 'सूरीनाम' },
+  TT: { en: 'Trinidad and Tobago', hi: 'त्रिनिदाद और टोबैगो' },
+  GY: { en: 'Guyana', hi: 'गयाना' },
+  NP: { en: 'Nepal', hi: 'नेपाल' },
+  LK: { en: 'Sri Lanka', hi: 'श्रीलंका' },
+  BD: { en: 'Bangladesh', hi: 'बांग्लादेश' },
+  DE: { en: 'Germany', hi: 'जर्मनी' },
+  NL: { en: 'Netherlands', hi: 'नीदरलैंड' },
+};
+
+// Lowercase, strip Latin accents and Devanagari nukta/chandrabindu variants,
+// collapse punctuation to single spaces.
+export function normalizePlace(s) {
+  return String(s ?? '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f\u093c]/g, '')
+    .replace(/\u0901/g, '\u0902')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{M}\p{N}]+/gu, ' ')
+    .trim();
+}
+
+let CITIES = null;
+function cities() {
+  if (CITIES) return CITIES;
+  const raw = JSON.parse(fs.readFileSync(DATA_FILE, 'utf8'));
+  CITIES = raw.map((c, rank) => ({
+    ...c,
+    rank,
+    keys: [...new Set([c.name, c.hi, c.id, ...(c.aliases || [])].map(normalizePlace).filter(Boolean))],
+    qualifiers: [c.state, c.country, COUNTRY[c.country]?.en, COUNTRY[c.country]?.hi].map(normalizePlace).filter(Boolean),
+  }));
+  return CITIES;
+}
+
+function levenshtein(a, b) {
+  if (a === b) return 0;
+  let prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i];
+    for (let j = 1; j <= b.length; j++) {
+      cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    prev = cur;
+  }
+  return prev[b.length];
+}
+
+// 100 exact, 85 prefix, 70 whole word inside a longer name, 55–65 for typos
+function keyScore(q, key) {
+  if (q === key) return 100;
+  if (q.length >= 3 && key.startsWith(q)) return 85 - Math.min(10, key.length - q.length);
+  if (q.length >= 3 && ` ${key} `.includes(` ${q} `)) return 70;
+  if (q.length >= 4) {
+    const d = levenshtein(q, key);
+    if (d === 1) return 65;
+    if (d === 2 && q.length >= 6) return 55;
+  }
+  return 0;
+}
+
+function publicCity(c, score) {
+  return {
+    id: c.id, name: c.name, hi: c.hi, state: c.state, country: c.country,
+    lat: c.lat, lon: c.lon, tz: c.tz, score,
+  };
+}
+
+/**
+ * Fuzzy search. "Bombay", "बम्बई" and "mumbai, maharashtra" all find Mumbai;
+ * text after the first comma only boosts entries whose state/country match.
+ */
+export function searchPlaces(query, { limit = 5 } = {}) {
+  const [head, ...rest] = String(query ?? '').split(',');
+  const q = normalizePlace(head);
+  if (!q) return [];
+  const qualifier = normalizePlace(rest.join(' '));
+
+  const hits = [];
+  for (const c of cities()) {
+    let score = Math.max(...c.keys.map((k) => keyScore(q, k)));
+    if (!score) continue;
+    if (qualifier) score += c.qualifiers.some((x) => x === qualifier || x.startsWith(qualifier)) ? 5 : -10;
+    hits.push({ c, score: Math.max(1, Math.min(100, score)) });
+  }
+  hits.sort((a, b) => b.score - a.score || a.c.rank - b.c.rank);
+  const n = Math.max(1, Math.min(Number(limit) || 5, 25));
+  return hits.slice(0, n).map(({ c, score }) => publicCity(c, score));
+}
+
+// resolvePlace takes at most a one-letter typo; two-letter typos ("Atlantis"
+// → Atlanta) are only offered as searchPlaces suggestions
+const RESOLVE_MIN_SCORE = 65;
+
+/** Best single match for a place string, or null if nothing is close enough. */
+export function resolvePlace(query, { minScore = RESOLVE_MIN_SCORE } = {}) {
+  const [best] = searchPlaces(query, { limit: 1 });
+  return best && best.score >= minScore ? best : null;
+}
+
+export function getPlace(id) {
+  const c = cities().find((x) => x.id === String(id || '').toLowerCase());
+  return c ? publicCity(c, 100) : null;
+}
+
+/** "Mumbai, Maharashtra, India" / "मुंबई, भारत" */
+export function placeLabel(p, lang = 'en') {
+  if (!p) return '';
+  const hi = lang === 'hi';
+  const country = COUNTRY[p.country]?.[hi ? 'hi' : 'en'] || p.country;
+  return [hi ? p.hi || p.name : p.name, hi ? null : p.state, country]
+    .filter((x, i, arr) => x && arr.indexOf(x) === i)
+    .join(', ');
+}
@@ -0,0 +1,100 @@
+// agents/kundli.js
+// Birth chart (Kundli) from full birth details, fully offline: sidereal
+// positions of the nine grahas, the Lagna and twelve equal-house cusps from
+// the Lagna degree. Charts are drawn whole-sign (house 1 = Lagna's rashi), so
+// `house` on each graha is its rashi counted from the Lagna.
+
+import {
+  sunLongitude, moonLongitude, planetLongitude, meanNodeLongitude,
+  ascendant, ayanamsa as ayanamsaAt, siderealLongitude, norm360, ayanamsaName,
+} from './ephemeris.js';
+import { birthMoment, signAt, nakshatraAt } from './natal.js';
+
+// Chart order; `abbr` is what fits inside a chart cell
+export const GRAHAS = [
+  { key: 'sun',     en: 'Sun',     hi: 'सूर्य',  abbr: { en: 'Su', hi: 'सू' } },
+  { key: 'moon',    en: 'Moon',    hi: 'चंद्र',  abbr: { en: 'Mo', hi: 'चं' } },
+  { key: 'mars',    en: 'Mars',    hi: 'मंगल',  abbr: { en: 'Ma', hi: 'मं' } },
+  { key: 'mercury', en: 'Mercury', hi: 'बुध',   abbr: { en: 'Me', hi: 'बु' } },
+  { key: 'jupiter', en: 'Jupiter', hi: 'गुरु',   abbr: { en: 'Ju', hi: 'गु' } },
+  { key: 'venus',   en: 'Venus',   hi: 'शुक्र',  abbr: { en: 'Ve', hi: 'शु' } },
+  { key: 'saturn',  en: 'Saturn',  hi: 'शनि',   abbr: { en: 'Sa', hi: 'श' } },
+  { key: 'rahu',    en: 'Rahu',    hi: 'राहु',   abbr: { en: 'Ra', hi: 'रा' } },
+  { key: 'ketu',    en: 'Ketu',    hi: 'केतु',   abbr: { en: 'Ke', hi: 'के' } },
+];
+
+const HALF_DAY = 43200000;
+
+/** Tropical longitude of a graha at an instant. */
+export function tropicalLongitude(key, ms) {
+  if (key === 'sun') return sunLongitude(ms);
+  if (key === 'moon') return moonLongitude(ms);
+  if (key === 'rahu') return meanNodeLongitude(ms);
+  if (key === 'ketu') return norm360(meanNodeLongitude(ms) + 180);
+  return planetLongitude(key, ms);
+}
+
+/** Signed daily motion (degrees/day), central difference over one day. */
+export function dailyMotion(key, ms) {
+  const d = tropicalLongitude(key, ms + HALF_DAY) - tropicalLongitude(key, ms - HALF_DAY);
+  return ((d + 540) % 360) - 180;
+}
+
+/** Sidereal longitudes of the nine grahas at an instant, with daily motion. */
+export function grahaPositions(ms, ayanamsa = 'lahiri') {
+  return GRAHAS.map((g) => {
+    const longitude = siderealLongitude(tropicalLongitude(g.key, ms), ms, ayanamsa);
+    const speed = dailyMotion(g.key, ms);
+    // The mean nodes always move backwards
+    return { key: g.key, longitude, speed, retrograde: g.key === 'rahu' || g.key === 'ketu' || speed < 0 };
+  });
+}
+
+/**
+ * Kundli for full birth details ({ dob, tob|time, place | lat+lon+tz }).
+ * Throws the same localized 400s as natalChart for missing/malformed details.
+ */
+export function kundliChart({ ayanamsa = 'lahiri', ...details } = {}) {
+  const birth = birthMoment(details);
+  const ay = ayanamsaName(ayanamsa);
+  const lagnaLon = siderealLongitude(ascendant(birth.ms, birth.lat, birth.lon), birth.ms, ay);
+  const lagna = signAt(lagnaLon);
+  const lagnaIdx = Math.floor(lagnaLon / 30);
+
+  const grahas = grahaPositions(birth.ms, ay).map((p) => {
+    const meta = GRAHAS.find((g) => g.key === p.key);
+    const signIdx = Math.floor(p.longitude / 30);
+    return {
+      key: p.key, en: meta.en, hi: meta.hi, abbr: meta.abbr,
+      ...signAt(p.longitude),
+      nakshatra: nakshatraAt(p.longitude),
+      house: ((signIdx - lagnaIdx + 12) % 12) + 1,
+      retrograde: p.retrograde,
+      speed: +p.speed.toFixed(4),
+    };
+  });
+
+  const houses = Array.from({ length: 12 }, (_, i) => {
+    const signIdx = (lagnaIdx + i) % 12;
+    return {
+      house: i + 1,
+      signIndex: signIdx,
+      sign: signAt(signIdx * 30).sign,
+      cusp: signAt(norm360(lagnaLon + i * 30)),
+      grahas: grahas.filter((g) => g.house === i + 1).map((g) => g.key),
+    };
+  });
+
+  return {
+    birth: {
+      dob: birth.dob, tob: birth.tob, place: birth.place,
+      lat: birth.lat, lon: birth.lon, tz: birth.tz,
+      utc: new Date(birth.ms).toISOString(),
+    },
+    ayanamsa: { name: ay, value: +ayanamsaAt(birth.ms, ay).toFixed(4) },
+    houseSystem: 'equal',
+    lagna: { ...lagna, nakshatra: nakshatraAt(lagnaLon) },
+    grahas,
+    houses,
+  };
+}
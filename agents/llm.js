@@ -0,0 +1,146 @@
+// agents/llm.js
+// Pluggable chat-completion providers. Each provider exposes
+//   complete({ messages, temperature, maxTokens, tools, toolChoice })
+//     → { text, model, usage, toolCalls: [{ id, name, arguments (JSON string) }] }
+//   stream({ messages, temperature, maxTokens, signal }) → async iterable of
+//     { type: 'delta', text } … then one { type: 'done', model, usage, finishReason }
+// Select with CHAT_PROVIDER=openai|mock (default openai). The mock provider is
+// deterministic and offline, for local runs and tests.
+
+import OpenAI from 'openai';
+import { httpError } from './utils.js';
+
+// Rough token estimate (~4 chars/token) for providers that don't report usage
+export function estimateTokens(text) {
+  return Math.ceil(String(text || '').length / 4);
+}
+
+function mapUsage(usage) {
+  return {
+    promptTokens: usage?.prompt_tokens ?? null,
+    completionTokens: usage?.completion_tokens ?? null,
+    totalTokens: usage?.total_tokens ?? null,
+  };
+}
+
+function openaiProvider({ apiKey = process.env.OPENAI_API_KEY, model = process.env.OPENAI_MODEL || 'gpt-4o-mini' } = {}) {
+  const key = String(apiKey || '').trim();
+  let client = null;
+  const getClient = () => {
+    if (!key) throw httpError('OPENAI_API_KEY is not configured', 503);
+    return (client ||= new OpenAI({ apiKey: key }));
+  };
+  return {
+    name: 'openai',
+    model,
+    async complete({ messages, temperature = 0.7, maxTokens = 600, tools, toolChoice = 'auto' }) {
+      const out = await getClient().chat.completions.create({
+        model,
+        messages,
+        temperature,
+        max_tokens: maxTokens,
+        ...(tools?.length ? { tools, tool_choice: toolChoice } : {}),
+      });
+      const msg = out.choices?.[0]?.message || {};
+      return {
+        text: msg.content?.trim() || '',
+        model: out.model || model,
+        usage: mapUsage(out.usage),
+        toolCalls: (msg.tool_calls || [])
+          .filter((c) => c.type === 'function')
+          .map((c) => ({ id: c.id, name: c.function.name, arguments: c.function.arguments })),
+      };
+    },
+    async *stream({ messages, temperature = 0.7, maxTokens = 600, signal }) {
+      const chunks = await getClient().chat.completions.create({
+        model,
+        messages,
+        temperature,
+        max_tokens: maxTokens,
+        stream: true,
+        stream_options: { include_usage: true },
+      }, { signal });
+      let usage = null, finishReason = null, used = model;
+      for await (const chunk of chunks) {
+        used = chunk.model || used;
+        if (chunk.usage) usage = chunk.usage;
+        const choice = chunk.choices?.[0];
+        if (choice?.finish_reason) finishReason = choice.finish_reason;
+        if (choice?.delta?.content) yield { type: 'delta', text: choice.delta.content };
+      }
+      yield { type: 'done', model: used, usage: mapUsage(usage), finishReason };
+    },
+  };
+}
+
+function mockProvider({ delayMs = Number(process.env.MOCK_STREAM_DELAY_MS || 20) } = {}) {
+  const reply = (messages) => {
+    const lastUser = [...messages].reverse().find((m) => m.role === 'user');
+    const text = `Mock reply: ${String(lastUser?.content || '').slice(0, 200)}`;
+    const promptTokens = messages.reduce((n, m) => n + estimateTokens(m.content), 0);
+    const completionTokens = estimateTokens(text);
+    return { text, usage: { promptTokens, completionTokens, totalTokens: promptTokens + completionTokens } };
+  };
+  // Keyword → tool, so the tool loop can be exercised offline
+  const pickTool = (text, tools) => {
+    const t = String(text || '').toLowerCase();
+    const rules = [
+      [/gem|stone|ratna|रत्न/, 'gem_plan_for_sign'],
+      [/mantra|मंत्र/, 'mantra_for_planet', { planet: 'saturn' }],
+      [/year|annual|वर्ष|साल/, 'get_yearly_for_user'],
+      [/festival|birthday|special|त्योहार/, 'special_day'],
+      [/rahu|kaal|muhurat|today|tomorrow|राहु|आज/, 'compose_daily'],
+    ];
+    const hit = rules.find(([re, name]) => re.test(t) && tools.some((x) => x.function?.name === name));
+    return hit ? { name: hit[1], args: hit[2] || {} } : null;
+  };
+  return {
+    name: 'mock',
+    model: 'mock-1',
+    async complete({ messages, tools = [], toolChoice = 'auto' }) {
+      const last = messages[messages.length - 1];
+      const tool = toolChoice !== 'none' && last?.role === 'user' ? pickTool(last.content, tools) : null;
+      if (tool) {
+        const args = JSON.stringify(tool.args);
+        return {
+          text: '',
+          model: 'mock-1',
+          usage: { promptTokens: 0, completionTokens: estimateTokens(args), totalTokens: estimateTokens(args) },
+          toolCalls: [{ id: `call_${tool.name}`, name: tool.name, arguments: args }],
+        };
+      }
+      if (last?.role === 'tool') {
+        const text = `Mock reply from tools: ${String(last.content).slice(0, 200)}`;
+        return { text, model: 'mock-1', usage: { promptTokens: 0, completionTokens: estimateTokens(text), totalTokens: estimateTokens(text) }, toolCalls: [] };
+      }
+      const { text, usage } = reply(messages);
+      return { text, model: 'mock-1', usage, toolCalls: [] };
+    },
+    async *stream({ messages, signal }) {
+      const { text, usage } = reply(messages);
+      for (const piece of text.match(/\S+\s*/g) || []) {
+        if (signal?.aborted) return;
+        await new Promise((r) => setTimeout(r, delayMs));
+        yield { type: 'delta', text: piece };
+      }
+      yield { type: 'done', model: 'mock-1', usage, finishReason: 'stop' };
+    },
+  };
+}
+
+const PROVIDERS = { openai: openaiProvider, mock: mockProvider };
+const cache = new Map();
+
+/** Provider instance by name (default: CHAT_PROVIDER env, else openai). */
+export function getChatProvider(name = process.env.CHAT_PROVIDER || 'openai') {
+  const key = String(name).toLowerCase();
+  if (!PROVIDERS[key]) throw httpError(`unknown chat provider "${name}"`, 500);
+  if (!cache.has(key)) cache.set(key, PROVIDERS[key]());
+  return cache.get(key);
+}
+
+/** Register a custom provider factory (e.g. a different vendor or a test double). */
+export function registerChatProvider(name, factory) {
+  PROVIDERS[String(name).toLowerCase()] = factory;
+  cache.delete(String(name).toLowerCase());
+}
@@ -0,0 +1,178 @@
+// agents/locale.js
+// Locale registry: supported languages, request negotiation, PDF fonts per
+// script and the per-language label files in data/locales/<code>.json:
+//   zodiac    sign key → display name
+//   vedic     Rahu Kaal, Tithi, … labels (same keys as getVedicNames)
+//   deityLine { pre, post } around the weekday deity pair
+//   days      weekday 0–6 → { name, pair, ritual }
+//   strings   English label → translation (used by t() / L(en, hi))
+// Anything a language file leaves out falls back to English. Hindi labels
+// passed inline as L(en, hi) win over hi.json so existing call sites keep working.
+// Romanized locales (hi-Latn, Hinglish) have no file of their own: they reuse
+// their base language's labels and content, transliterated to Latin script.
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { romanize, romanizeText } from './transliterate.js';
+
+const ROOT = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+const LOCALE_DIR = path.join(ROOT, 'data', 'locales');
+const FONT_DIR = path.join(ROOT, 'fonts');
+
+export const LOCALES = {
+  en: { name: 'English',  native: 'English',  script: 'Latin',      intl: 'en-GB' },
+  hi: { name: 'Hindi',    native: 'हिन्दी',     script: 'Devanagari', intl: 'hi-IN' },
+  mr: { name: 'Marathi',  native: 'मराठी',     script: 'Devanagari', intl: 'mr-IN-u-nu-latn' },
+  gu: { name: 'Gujarati', native: 'ગુજરાતી',    script: 'Gujarati',   intl: 'gu-IN' },
+  bn: { name: 'Bengali',  native: 'বাংলা',      script: 'Bengali',    intl: 'bn-IN-u-nu-latn' },
+  ta: { name: 'Tamil',    native: 'தமிழ்',      script: 'Tamil',      intl: 'ta-IN' },
+  te: { name: 'Telugu',   native: 'తెలుగు',     script: 'Telugu',     intl: 'te-IN' },
+  'hi-Latn': { name: 'Hinglish', native: 'Hinglish', script: 'Latin', intl: 'en-IN', base: 'hi', romanized: true },
+};
+export const SUPPORTED_LANGS = Object.keys(LOCALES);
+export const DEFAULT_LANG = 'en';
+
+// Script → Noto family; files are fonts/<family>-Regular.ttf / -Bold.ttf
+const SCRIPT_FONTS = {
+  Latin:      'NotoSans',
+  Devanagari: 'NotoSansDevanagari',
+  Gujarati:   'NotoSansGujarati',
+  Bengali:    'NotoSansBengali',
+  Tamil:      'NotoSansTamil',
+  Telugu:     'NotoSansTelugu',
+};
+
+export const FONT = Object.fromEntries(Object.entries(SCRIPT_FONTS).map(([script, family]) => [script, {
+  regular: path.join(FONT_DIR, `${family}-Regular.ttf`),
+  bold:    path.join(FONT_DIR, `${family}-Bold.ttf`),
+}]));
+
+const fontReady = new Map(Object.entries(FONT).map(([script, f]) =>
+  [script, fs.existsSync(f.regular) && fs.existsSync(f.bold)]));
+
+/** File-by-file font availability for /debug/fonts. */
+export function fontStatus() {
+  const exists = {};
+  for (const f of Object.values(FONT)) {
+    for (const file of [f.regular, f.bold]) exists[path.basename(file)] = fs.existsSync(file);
+  }
+  const scripts = Object.fromEntries(Object.keys(FONT).map((s) => [s, fontReady.get(s)]));
+  const langs = Object.fromEntries(SUPPORTED_LANGS.map((l) => [l, pdfLang(l)]));
+  return { exists, scripts, pdfLang: langs, paths: FONT };
+}
+
+/** Regular/bold font paths for a language, or null when its script's fonts are missing. */
+export function fontFor(lang) {
+  const script = LOCALES[lang]?.script || 'Latin';
+  return fontReady.get(script) ? FONT[script] : null;
+}
+
+/** Language a PDF can actually be set in: the requested one if its fonts exist, else English. */
+export function pdfLang(lang) {
+  return fontFor(lang) ? lang : DEFAULT_LANG;
+}
+
+// ── Negotiation ──────────────────────────────────────────────────────────────
+const ALIASES = {
+  english: 'en', hindi: 'hi', marathi: 'mr', gujarati: 'gu', bengali: 'bn', bangla: 'bn', tamil: 'ta', telugu: 'te',
+  hinglish: 'hi-Latn',
+};
+
+/** "hi-IN", "Marathi", "ta_IN", "hi-Latn-IN" → supported code, or null. */
+export function normalizeLang(tag) {
+  const t = String(tag ?? '').trim().toLowerCase().replace(/_/g, '-');
+  if (!t) return null;
+  if (ALIASES[t]) return ALIASES[t];
+  if (/^hi-latn(-|$)/.test(t)) return 'hi-Latn';
+  const primary = t.split('-')[0];
+  return LOCALES[primary] ? primary : null;
+}
+
+// Accept-Language entries in preference order ("mr-IN,mr;q=0.9,en;q=0.8")
+function acceptLanguages(header) {
+  return String(header || '')
+    .split(',')
+    .map((part, i) => {
+      const [tag, ...params] = part.trim().split(';');
+      const q = params.map((p) => p.trim()).find((p) => p.startsWith('q='));
+      return { tag, q: q ? Number(q.slice(2)) || 0 : 1, i };
+    })
+    .filter((x) => x.tag && x.q > 0)
+    .sort((a, b) => b.q - a.q || a.i - b.i)
+    .map((x) => x.tag);
+}
+
+/**
+ * Request language: explicit `lang`, then the x-lang header, then the first
+ * supported Accept-Language entry. An explicit but unsupported value means English.
+ */
+export function negotiateLang(direct, headers = {}) {
+  if (direct) return normalizeLang(direct) || DEFAULT_LANG;
+  const x = headers['x-lang'];
+  if (x) return normalizeLang(x) || DEFAULT_LANG;
+  for (const tag of acceptLanguages(headers['accept-language'])) {
+    const hit = normalizeLang(tag);
+    if (hit) return hit;
+  }
+  return DEFAULT_LANG;
+}
+
+export const isSupportedLang = (lang) => !!LOCALES[lang];
+export const intlLocale = (lang) => LOCALES[lang]?.intl || LOCALES[DEFAULT_LANG].intl;
+export const isRomanized = (lang) => !!LOCALES[lang]?.romanized;
+/** Language the content is composed in: the base language for romanized locales. */
+export const contentLang = (lang) => LOCALES[lang]?.base || lang;
+
+// ── Label files ──────────────────────────────────────────────────────────────
+const files = new Map();
+
+function localeFile(lang) {
+  if (!files.has(lang)) {
+    let data = {};
+    try {
+      data = JSON.parse(fs.readFileSync(path.join(LOCALE_DIR, `${lang}.json`), 'utf8'));
+    } catch (e) {
+      if (e.code !== 'ENOENT') console.error(`[locale] ${lang}.json failed to load:`, e?.message || e);
+    }
+    files.set(lang, data);
+  }
+  return files.get(lang);
+}
+
+const romanizedSections = new Map();
+
+/** A section of the label file merged over English (objects) or element-wise (arrays). */
+export function localeSection(lang, section) {
+  if (isRomanized(lang)) {
+    const key = `${lang}:${section}`;
+    if (!romanizedSections.has(key)) romanizedSections.set(key, romanize(localeSection(contentLang(lang), section)));
+    return romanizedSections.get(key);
+  }
+  const en = localeFile(DEFAULT_LANG)[section];
+  const own = lang === DEFAULT_LANG ? null : localeFile(lang)[section];
+  if (Array.isArray(en)) return en.map((v, i) => (own?.[i] && typeof v === 'object' ? { ...v, ...own[i] } : own?.[i] ?? v));
+  return { ...(en || {}), ...(own || {}) };
+}
+
+/** Translate a UI label by its English text; `hi` is the inline Hindi form. */
+export function t(lang, en, hi) {
+  if (isRomanized(lang)) return romanizeText(t(contentLang(lang), en, hi));
+  if (lang === 'hi' && hi != null) return hi;
+  if (lang === DEFAULT_LANG) return en;
+  return localeFile(lang).strings?.[en] ?? en;
+}
+
+/** Pick the `lang` field of an agent's { en, hi, … } name object, falling back to English. */
+export function localized(names, lang) {
+  if (!names) return null;
+  if (names[lang] != null) return names[lang];
+  const base = contentLang(lang);
+  if (base !== lang && names[base] != null) return romanizeText(names[base]);
+  return names.en;
+}
+
+/** Per-request label helper: const L = labeler(lang); L('Remedy', 'उपाय'). */
+export function labeler(lang) {
+  return (en, hi) => t(lang, en, hi);
+}
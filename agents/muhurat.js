@@ -0,0 +1,208 @@
+// agents/muhurat.js
+// Muhurat finder: scans daytime Choghadiya slots across a date range, drops
+// those that coincide with Rahu Kaal / Yamaganda / Gulika (each is exactly one
+// eighth of the day, i.e. one slot), and scores the rest on tithi, nakshatra,
+// yoga, karana, weekday and Abhijit overlap for the requested activity.
+
+import { dayNightSlots, CHOGHADIYA } from './choghadiya.js';
+import { kaalSegments, panchangElements, vedicExplain, normalizeLocation, fmtClock, NAKSHATRA } from './panchang.js';
+import { dayDeityAgent } from './dayDeity.js';
+import { badRequest } from './utils.js';
+
+const nak = (...names) => names.map(n => NAKSHATRA.findIndex(([en]) => en === n));
+
+// Activity rules: favourable nakshatras, preferred / avoided weekdays (0=Sun)
+export const ACTIVITIES = {
+  travel: {
+    en: 'Travel', hi: 'यात्रा',
+    nakshatras: nak('Ashwini', 'Mrigashira', 'Punarvasu', 'Pushya', 'Hasta', 'Anuradha', 'Shravana', 'Dhanishta', 'Revati'),
+    goodDays: [1, 3, 4, 5], badDays: [2],
+    charOk: true,
+  },
+  griha_pravesh: {
+    en: 'Griha Pravesh', hi: 'गृह प्रवेश',
+    nakshatras: nak('Rohini', 'Mrigashira', 'Uttara Phalguni', 'Chitra', 'Anuradha', 'Uttara Ashadha', 'Uttara Bhadrapada', 'Revati'),
+    goodDays: [1, 3, 4, 5], badDays: [0, 2],
+    shuklaOnly: true,
+  },
+  business_start: {
+    en: 'Business start', hi: 'व्यापार आरंभ',
+    nakshatras: nak('Ashwini', 'Rohini', 'Pushya', 'Uttara Phalguni', 'Hasta', 'Chitra', 'Anuradha', 'Uttara Ashadha', 'Shravana', 'Uttara Bhadrapada', 'Revati'),
+    goodDays: [3, 4, 5], badDays: [2, 6],
+    shuklaOnly: true,
+  },
+  purchase: {
+    en: 'Purchase', hi: 'खरीदारी',
+    nakshatras: nak('Ashwini', 'Rohini', 'Mrigashira', 'Punarvasu', 'Pushya', 'Hasta', 'Chitra', 'Swati', 'Anuradha', 'Revati'),
+    goodDays: [3, 4, 5], badDays: [2],
+  },
+  naming: {
+    en: 'Naming (Namakaran)', hi: 'नामकरण',
+    nakshatras: nak('Ashwini', 'Rohini', 'Mrigashira', 'Punarvasu', 'Pushya', 'Uttara Phalguni', 'Hasta', 'Chitra', 'Swati',
+      'Anuradha', 'Uttara Ashadha', 'Shravana', 'Dhanishta', 'Shatabhisha', 'Uttara Bhadrapada', 'Revati'),
+    goodDays: [1, 3, 4, 5], badDays: [2, 6],
+    shuklaOnly: true,
+  },
+};
+
+// Nakshatras of fierce/sharp nature — avoided for auspicious starts
+const HARSH_NAKSHATRAS = nak('Bharani', 'Krittika', 'Ardra', 'Ashlesha', 'Magha', 'Jyeshtha', 'Mula', 'Purva Phalguni', 'Purva Ashadha', 'Purva Bhadrapada');
+const RIKTA_TITHIS = [4, 9, 14];                       // Chaturthi, Navami, Chaturdashi
+const BAD_YOGAS = [16, 26];                            // Vyatipata, Vaidhriti
+const VISHTI = 'Vishti';
+
+const CHOG_SCORE = { amrit: 15, shubh: 12, labh: 12, char: 4 };
+
+const R = {
+  choghadiya:  (l, c) => l === 'hi' ? `${c.hi} चौघड़िया` : `${c.en} Choghadiya`,
+  goodNak:     (l, n) => l === 'hi' ? `${n.hi} नक्षत्र इस कार्य हेतु शुभ` : `${n.en} nakshatra suits this activity`,
+  harshNak:    (l, n) => l === 'hi' ? `${n.hi} नक्षत्र — उग्र स्वभाव, शुभारंभ हेतु टालें` : `${n.en} nakshatra is harsh — avoid for auspicious starts`,
+  rikta:       (l, t) => l === 'hi' ? `${t.hi} रिक्ता तिथि है` : `${t.en} is a Rikta (empty) tithi`,
+  krishna:     (l) => l === 'hi' ? 'कृष्ण पक्ष — इस कार्य हेतु शुक्ल पक्ष बेहतर' : 'Krishna Paksha — Shukla Paksha is preferred for this',
+  shukla:      (l) => l === 'hi' ? 'शुक्ल पक्ष — बढ़ता चंद्रमा' : 'Shukla Paksha — waxing Moon',
+  badYoga:     (l, y) => l === 'hi' ? `${y.hi} योग अशुभ माना जाता है` : `${y.en} yoga is considered inauspicious`,
+  goodDay:     (l, d) => l === 'hi' ? `${d} इस कार्य हेतु अनुकूल` : `${d} is favourable for this`,
+  badDay:      (l, d) => l === 'hi' ? `${d} इस कार्य हेतु प्रतिकूल` : `${d} is unfavourable for this`,
+  charTravel:  (l) => l === 'hi' ? 'चर चौघड़िया यात्रा हेतु उपयुक्त' : 'Char Choghadiya suits travel',
+  abhijitWed:  (l) => l === 'hi' ? 'बुधवार को अभिजीत मुहूर्त का विशेष लाभ नहीं माना जाता' : 'Abhijit is not counted on Wednesdays',
+};
+
+function nextDateStr(dateStr, n = 1) {
+  const [y, m, d] = dateStr.split('-').map(Number);
+  return new Date(Date.UTC(y, m - 1, d + n)).toISOString().slice(0, 10);
+}
+function daysBetween(a, b) {
+  return Math.round((Date.parse(`${b}T00:00:00Z`) - Date.parse(`${a}T00:00:00Z`)) / 86400000);
+}
+
+export function normalizeActivity(raw) {
+  const k = String(raw || '').toLowerCase().trim().replace(/[\s-]+/g, '_');
+  if (ACTIVITIES[k]) return k;
+  if (/griha|house|home/.test(k)) return 'griha_pravesh';
+  if (/business|shop|launch/.test(k)) return 'business_start';
+  if (/name|namkaran|namakaran/.test(k)) return 'naming';
+  if (/buy|purchase|vehicle/.test(k)) return 'purchase';
+  if (/travel|trip|journey/.test(k)) return 'travel';
+  return null;
+}
+
+// Score one end of a window from its panchang elements; returns { score, reasons, blocked }
+function judge(el, rule, lang) {
+  const reasons = [];
+  let score = 0, blocked = false;
+
+  if (el.tithi.index === 29) { blocked = true; reasons.push(lang === 'hi' ? 'अमावस्या — शुभारंभ वर्जित' : 'Amavasya — no auspicious starts'); }
+  if (el.karana.en === VISHTI) { blocked = true; reasons.push(lang === 'hi' ? 'विष्टि (भद्रा) करण — शुभ कार्य वर्जित' : 'Vishti (Bhadra) karana — avoid auspicious work'); }
+
+  if (RIKTA_TITHIS.includes(el.tithi.number) && el.tithi.index !== 29) { score -= 25; reasons.push(R.rikta(lang, el.tithi)); }
+  if (rule.shuklaOnly) {
+    if (el.paksha.key === 'krishna') { score -= 10; reasons.push(R.krishna(lang)); }
+    else { score += 5; reasons.push(R.shukla(lang)); }
+  }
+  if (rule.nakshatras.includes(el.nakshatra.index)) { score += 20; reasons.push(R.goodNak(lang, el.nakshatra)); }
+  else if (HARSH_NAKSHATRAS.includes(el.nakshatra.index)) { score -= 25; reasons.push(R.harshNak(lang, el.nakshatra)); }
+  if (BAD_YOGAS.includes(el.yoga.index)) { score -= 30; reasons.push(R.badYoga(lang, el.yoga)); }
+
+  return { score, reasons, blocked };
+}
+
+/**
+ * Ranked auspicious windows for an activity across [from, to] (inclusive, ≤ 31 days).
+ * Throws with `status = 400` on bad input so routes can answer directly.
+ */
+export function muhuratSearch({ activity, from, to, lat, lon, tz, lang = 'en', limit = 10, ayanamsa = 'lahiri' } = {}) {
+  const key = normalizeActivity(activity);
+  if (!key) {
+    throw badRequest(`Unknown activity. Use one of: ${Object.keys(ACTIVITIES).join(', ')}`);
+  }
+  const re = /^\d{4}-\d{2}-\d{2}$/;
+  if ((from && !re.test(from)) || (to && !re.test(to))) {
+    throw badRequest('from/to must be YYYY-MM-DD');
+  }
+  const loc = normalizeLocation({ lat, lon, tz });
+  const start = from || new Intl.DateTimeFormat('en-CA', { timeZone: loc.tz }).format(new Date());
+  const end = to || nextDateStr(start, 6);
+  const span = daysBetween(start, end);
+  if (span < 0 || span > 30) {
+    throw badRequest('Date range must be 1–31 days with from ≤ to');
+  }
+
+  const rule = ACTIVITIES[key];
+  const windows = [];
+  let considered = 0, excluded = 0;
+
+  for (let i = 0; i <= span; i++) {
+    const dateStr = nextDateStr(start, i);
+    const day = dayNightSlots({ date: dateStr, ...loc });
+    if (!day) continue;
+
+    const kaal = kaalSegments(day.weekday);
+    const kaalBySeg = Object.fromEntries(Object.entries(kaal).map(([k, seg]) => [seg, k]));
+    const weekdayName = dayDeityAgent(day.weekday, lang).name;
+    const muhurta = (day.sunset - day.sunrise) / 15;
+    const noon = (day.sunrise + day.sunset) / 2;
+    const abhijit = [noon - muhurta / 2, noon + muhurta / 2];
+
+    day.choghadiya.day.forEach((slot, idx) => {
+      considered++;
+      const seg = idx + 1;
+      if (kaalBySeg[seg]) { excluded++; return; }                 // Rahu / Yamaganda / Gulika
+      const chog = CHOG_SCORE[slot.key];
+      if (chog == null) { excluded++; return; }                    // Rog / Kaal / Udveg
+      if (slot.key === 'char' && !rule.charOk) { excluded++; return; }
+
+      const a = judge(panchangElements(slot.s, ayanamsa), rule, lang);
+      const b = judge(panchangElements(slot.e - 60000, ayanamsa), rule, lang);
+      if (a.blocked || b.blocked) { excluded++; return; }
+
+      const el = panchangElements((slot.s + slot.e) / 2, ayanamsa);
+      const reasons = [R.choghadiya(lang, CHOGHADIYA[slot.key])];
+      let score = 50 + chog + Math.min(a.score, b.score);
+      if (slot.key === 'char' && rule.charOk) { score += 6; reasons.push(R.charTravel(lang)); }
+      reasons.push(...new Set([...a.reasons, ...b.reasons]));
+
+      if (rule.goodDays.includes(day.weekday)) { score += 8; reasons.push(R.goodDay(lang, weekdayName)); }
+      if (rule.badDays.includes(day.weekday)) { score -= 15; reasons.push(R.badDay(lang, weekdayName)); }
+
+      const overlapsAbhijit = slot.s < abhijit[1] && slot.e > abhijit[0];
+      if (overlapsAbhijit) {
+        if (day.weekday === 3) reasons.push(R.abhijitWed(lang));
+        else { score += 10; reasons.push(vedicExplain(lang, 'abhijitMuhurat')); }
+      }
+      const pick = (x) => (lang === 'hi' ? x.hi : x.en);
+      windows.push({
+        date: dateStr,
+        weekday: weekdayName,
+        start: fmtClock(slot.s, loc.tz),
+        end: fmtClock(slot.e, loc.tz),
+        score: Math.max(0, Math.min(100, Math.round(score))),
+        choghadiya: { key: slot.key, label: pick(CHOGHADIYA[slot.key]) },
+        abhijit: overlapsAbhijit && day.weekday !== 3,
+        tithi: pick(el.tithi),
+        paksha: pick(el.paksha),
+        nakshatra: `${pick(el.nakshatra)} (${el.nakshatra.pada})`,
+        yoga: pick(el.yoga),
+        karana: pick(el.karana),
+        reasons,
+        _sort: slot.s,
+      });
+    });
+  }
+
+  const ranked = windows
+    .sort((x, y) => y.score - x.score || x._sort - y._sort)
+    .slice(0, Math.max(1, Math.min(50, Number(limit) || 10)))
+    .map(({ _sort, ...w }, i) => ({ rank: i + 1, ...w }));
+
+  return {
+    activity: key,
+    activityLabel: lang === 'hi' ? rule.hi : rule.en,
+    from: start,
+    to: end,
+    ...loc,
+    considered,
+    excluded,
+    avoided: ['rahuKaal', 'yamaganda', 'gulikaKaal'].map(k => vedicExplain(lang, k)),
+    windows: ranked,
+  };
+}
@@ -0,0 +1,118 @@
+// agents/natal.js
+// Birth-chart basics from full birth details (dob, tob/time, place):
+// sidereal Moon sign (Rashi), birth nakshatra + pada and ascendant (Lagna).
+// The birth place is resolved through the offline gazetteer unless lat/lon
+// are given. Also picks the content sign for `basis=moon|sun|lagna`.
+
+import { sunLongitude, moonLongitude, ascendant, ayanamsa as ayanamsaAt, siderealLongitude, ayanamsaName } from './ephemeris.js';
+import { NAKSHATRA, RASHI } from './panchang.js';
+import { resolvePlace, placeLabel } from './gazetteer.js';
+import { zonedTimeToUtc, badRequest, parseTob } from './utils.js';
+import { parseDob, invalidDob, invalidTob, resolveSign } from './sunSign.js';
+import { t } from './locale.js';
+
+const NAK_SPAN = 360 / 27;
+// Vimshottari order: nakshatra i is ruled by NAK_LORDS[i % 9]
+export const NAK_LORDS = ['ketu', 'venus', 'sun', 'moon', 'mars', 'rahu', 'jupiter', 'saturn', 'mercury'];
+export const BASES = ['sun', 'moon', 'lagna'];
+
+/** Rashi entry for a sidereal longitude, with the degree inside the sign. */
+export function signAt(lon) {
+  const [key, en, hi] = RASHI[Math.floor(lon / 30) % 12];
+  return { sign: key, en, hi, longitude: +lon.toFixed(4), degree: +(lon % 30).toFixed(2) };
+}
+
+/** Nakshatra, pada and Vimshottari lord for a sidereal longitude. */
+export function nakshatraAt(lon) {
+  const index = Math.floor(lon / NAK_SPAN) % 27;
+  const [en, hi] = NAKSHATRA[index];
+  return { index, en, hi, pada: Math.floor((lon % NAK_SPAN) / (NAK_SPAN / 4)) + 1, lord: NAK_LORDS[index % 9] };
+}
+
+/** Birth instant and place from user-style details; throws localized 400s. */
+export function birthMoment({ dob, tob, time, place, lat, lon, tz, lang = 'en' } = {}) {
+  const date = parseDob(dob);
+  if (!date) throw invalidDob(lang);
+  const clock = parseTob(tob ?? time);
+  if (!clock) throw invalidTob(lang);
+
+  let where;
+  if (lat != null && lon != null && Number.isFinite(Number(lat)) && Number.isFinite(Number(lon))) {
+    where = { lat: Number(lat), lon: Number(lon), tz: tz || 'Asia/Kolkata', place: place || null };
+  } else {
+    const hit = place ? resolvePlace(place) : null;
+    if (!hit) {
+      throw badRequest(
+        t(lang, 'Birth place not found — send a city name or lat/lon.', 'जन्म स्थान नहीं मिला — शहर का नाम या lat/lon भेजें।'),
+        'bad_place',
+      );
+    }
+    where = { lat: hit.lat, lon: hit.lon, tz: tz || hit.tz, place: placeLabel(hit, lang === 'hi' ? 'hi' : 'en') };
+  }
+
+  let ms;
+  try { ms = zonedTimeToUtc({ ...date, ...clock }, where.tz); }
+  catch { throw badRequest(t(lang, 'Unknown time zone.', 'अज्ञात समय क्षेत्र।'), 'bad_tz'); }
+  const pad = (n) => String(n).padStart(2, '0');
+  return {
+    ms,
+    dob: `${date.y}-${pad(date.m)}-${pad(date.d)}`,
+    tob: `${pad(clock.hh)}:${pad(clock.mm)}`,
+    ...where,
+  };
+}
+
+/**
+ * Sidereal Moon sign, nakshatra (+pada, Vimshottari lord), Lagna and Sun sign
+ * for full birth details. Names come as { en, hi }; the caller localizes.
+ */
+export function natalChart({ ayanamsa = 'lahiri', ...details } = {}) {
+  const birth = birthMoment(details);
+  const ay = ayanamsaName(ayanamsa);
+  const sid = (tropical) => siderealLongitude(tropical, birth.ms, ay);
+
+  const moon = sid(moonLongitude(birth.ms));
+
+  return {
+    birth: {
+      dob: birth.dob, tob: birth.tob, place: birth.place,
+      lat: birth.lat, lon: birth.lon, tz: birth.tz,
+      utc: new Date(birth.ms).toISOString(),
+    },
+    ayanamsa: { name: ay, value: +ayanamsaAt(birth.ms, ay).toFixed(4) },
+    moon: signAt(moon),
+    nakshatra: nakshatraAt(moon),
+    lagna: signAt(sid(ascendant(birth.ms, birth.lat, birth.lon))),
+    sun: signAt(sid(sunLongitude(birth.ms))),
+  };
+}
+
+/** "moon" | "sun" | "lagna" (also "rashi", "ascendant"); null when absent; 400 otherwise. */
+export function normalizeBasis(basis, lang = 'en') {
+  if (basis == null || basis === '') return null;
+  const b = String(basis).trim().toLowerCase();
+  const out = { rashi: 'moon', ascendant: 'lagna', asc: 'lagna' }[b] || b;
+  if (!BASES.includes(out)) {
+    throw badRequest(t(lang, 'basis must be "moon", "sun" or "lagna".', 'basis केवल "moon", "sun" या "lagna" हो सकता है।'), 'bad_basis');
+  }
+  return out;
+}
+
+/**
+ * Content sign for a request. basis=moon|lagna reads the natal chart from
+ * full birth details (and overrides `sign`); otherwise the Sun-sign rules of
+ * resolveSign apply. signRule echoes the basis used.
+ */
+export function resolveSignForBasis({ basis, sign, user = null, zodiac, ayanamsa, lang = 'en' } = {}) {
+  const b = normalizeBasis(basis, lang);
+  if (b === 'moon' || b === 'lagna') {
+    const natal = natalChart({ ...(user || {}), ayanamsa, lang });
+    return {
+      sign: natal[b].sign,
+      signRule: { source: 'natal', basis: b, zodiac: 'sidereal', ayanamsa: natal.ayanamsa.name, longitude: natal[b].longitude },
+      natal,
+    };
+  }
+  const out = resolveSign({ sign, user, zodiac, ayanamsa, lang });
+  return b ? { ...out, signRule: { basis: b, ...out.signRule } } : out;
+}
@@ -0,0 +1,159 @@
+// agents/numerology.js
+// Numerology from a date of birth and a name:
+//   life path (Bhagyank)   dob reduced part by part, masters 11/22/33 kept
+//   root number (Mulank)   day of birth reduced
+//   destiny / expression   name letters, Pythagorean (1–9 cycle) and Chaldean (1–8) tables
+//   personal year/month/day for a calendar date (IST by default), 1–9
+//   lucky dates            days of the month that reduce to the Mulank or life path
+// Devanagari names are transliterated before the letters are counted.
+
+import { parseDob } from './sunSign.js';
+import { localDateParts } from './panchang.js';
+import { badRequest } from './utils.js';
+import { romanizeText } from './transliterate.js';
+import { t } from './locale.js';
+
+export const SYSTEMS = ['pythagorean', 'chaldean'];
+const MASTERS = new Set([11, 22, 33]);
+
+const PYTHAGOREAN = Object.fromEntries([...'ABCDEFGHIJKLMNOPQRSTUVWXYZ'].map((c, i) => [c, (i % 9) + 1]));
+const CHALDEAN = {
+  A: 1, B: 2, C: 3, D: 4, E: 5, F: 8, G: 3, H: 5, I: 1, J: 1, K: 2, L: 3, M: 4,
+  N: 5, O: 7, P: 8, Q: 1, R: 2, S: 3, T: 4, U: 6, V: 6, W: 6, X: 5, Y: 1, Z: 7,
+};
+
+export const MEANINGS = {
+  1:  { en: 'leadership, new starts', hi: 'नेतृत्व, नई शुरुआत' },
+  2:  { en: 'cooperation, patience', hi: 'सहयोग, धैर्य' },
+  3:  { en: 'creativity, expression', hi: 'रचनात्मकता, अभिव्यक्ति' },
+  4:  { en: 'systems, foundations', hi: 'व्यवस्था, नींव' },
+  5:  { en: 'change, travel, freedom', hi: 'परिवर्तन, यात्रा, स्वतंत्रता' },
+  6:  { en: 'home, care, responsibility', hi: 'घर, देखभाल, ज़िम्मेदारी' },
+  7:  { en: 'study, reflection', hi: 'अध्ययन, चिंतन' },
+  8:  { en: 'money, authority, results', hi: 'धन, अधिकार, परिणाम' },
+  9:  { en: 'completion, giving', hi: 'पूर्णता, दान' },
+  11: { en: 'intuition, inspiration', hi: 'अंतर्ज्ञान, प्रेरणा' },
+  22: { en: 'building on a large scale', hi: 'बड़े स्तर पर निर्माण' },
+  33: { en: 'compassionate teaching', hi: 'करुणामय मार्गदर्शन' },
+};
+
+const digitSum = (n) => String(n).split('').reduce((s, d) => s + Number(d), 0);
+
+/** Reduce to one digit; masters (11, 22, 33) stay unless `masters` is false. */
+export function reduceNumber(n, { masters = true } = {}) {
+  let x = Math.abs(Math.trunc(n));
+  while (x > 9 && !(masters && MASTERS.has(x))) x = digitSum(x);
+  return x;
+}
+
+/** Life path: month, day and year reduced separately, then summed and reduced. */
+export function lifePath({ y, m, d }) {
+  return reduceNumber(reduceNumber(m) + reduceNumber(d) + reduceNumber(y));
+}
+
+/** Name letters (Latin A–Z after transliteration), or '' when nothing countable is left. */
+function nameLetters(name) {
+  return romanizeText(String(name ?? '')).normalize('NFD').toUpperCase().replace(/[^A-Z]/g, '');
+}
+
+/** Destiny (expression) number of a name: { number, compound } or null without letters. */
+export function destinyNumber(name, system = 'pythagorean') {
+  const letters = nameLetters(name);
+  if (!letters) return null;
+  const table = system === 'chaldean' ? CHALDEAN : PYTHAGOREAN;
+  const compound = [...letters].reduce((s, c) => s + table[c], 0);
+  return { number: reduceNumber(compound), compound };
+}
+
+/** Personal year, month and day (each 1–9) of a birth date on a calendar date. */
+export function personalNumbers(birth, { y, m, d }) {
+  const year = reduceNumber(reduceNumber(birth.m) + reduceNumber(birth.d) + reduceNumber(y), { masters: false });
+  const month = reduceNumber(year + m, { masters: false });
+  const day = reduceNumber(month + d, { masters: false });
+  return { year, month, day };
+}
+
+/** Universal day number of a calendar date (the day's own number, 1–9). */
+export const universalDay = ({ y, m, d }) => reduceNumber(digitSum(y) + m + d, { masters: false });
+
+/** Days of a month that reduce to the Mulank or the life path's root. */
+export function luckyDates({ y, m }, numbers) {
+  const roots = new Set(numbers.map((n) => reduceNumber(n, { masters: false })));
+  const days = new Date(Date.UTC(y, m, 0)).getUTCDate();
+  const pad = (n) => String(n).padStart(2, '0');
+  return Array.from({ length: days }, (_, i) => i + 1)
+    .filter((day) => roots.has(reduceNumber(day, { masters: false })))
+    .map((day) => `${y}-${pad(m)}-${pad(day)}`);
+}
+
+/** "pythagorean" (default) | "chaldean"; 400 for anything else. */
+export function normalizeSystem(system, lang = 'en') {
+  if (system == null || system === '') return 'pythagorean';
+  const s = String(system).trim().toLowerCase();
+  if (!SYSTEMS.includes(s)) {
+    throw badRequest(t(lang, 'system must be "pythagorean" or "chaldean".', 'system केवल "pythagorean" या "chaldean" हो सकता है।'), 'bad_system');
+  }
+  return s;
+}
+
+/**
+ * Full numerology profile for { dob, name?, date? (Date or "YYYY-MM-DD"), system?, tz? }.
+ * Throws localized 400s for a malformed dob ("bad_dob"), date or system.
+ * Each number comes with its { en, hi } meaning.
+ */
+export function numerologyProfile({ dob, name = null, date = new Date(), system, tz = 'Asia/Kolkata', lang = 'en' } = {}) {
+  const birth = parseDob(dob);
+  if (!birth) {
+    throw badRequest(
+      t(lang, 'Numerology needs a date of birth as YYYY-MM-DD (e.g. 1990-04-15).', 'अंक ज्योतिष के लिए जन्म तिथि YYYY-MM-DD रूप में चाहिए (जैसे 1990-04-15)।'),
+      'bad_dob',
+    );
+  }
+  const sys = normalizeSystem(system, lang);
+  const isDay = typeof date === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(date) && !Number.isNaN(Date.parse(`${date}T00:00:00Z`));
+  const valid = isDay || (date instanceof Date && !Number.isNaN(date.getTime()));
+  if (!valid) throw badRequest(t(lang, 'date must be YYYY-MM-DD.', 'date YYYY-MM-DD रूप में होनी चाहिए।'), 'bad_date');
+  const on = localDateParts(date, tz);
+  const withMeaning = (number) => ({ number, meaning: MEANINGS[number] });
+
+  const life = lifePath(birth);
+  const mulank = reduceNumber(birth.d, { masters: false });
+  const destinies = Object.fromEntries(SYSTEMS.map((s) => [s, destinyNumber(name, s)]));
+  const personal = personalNumbers(birth, on);
+  const pad = (n) => String(n).padStart(2, '0');
+
+  return {
+    dob: `${birth.y}-${pad(birth.m)}-${pad(birth.d)}`,
+    name: name || null,
+    date: on.dateStr,
+    system: sys,
+    lifePath: withMeaning(life),
+    mulank: withMeaning(mulank),
+    destiny: destinies[sys] ? { ...destinies[sys], meaning: MEANINGS[destinies[sys].number] } : null,
+    destinyBySystem: destinies,
+    personal: {
+      year: withMeaning(personal.year),
+      month: withMeaning(personal.month),
+      day: withMeaning(personal.day),
+    },
+    luckyNumbers: [...new Set([mulank, reduceNumber(life, { masters: false })])],
+    luckyDates: luckyDates(on, [mulank, life]),
+  };
+}
+
+/**
+ * Personal-year lines for the calendar years a window touches, e.g.
+ * "2026: Personal Year 5 — change, travel, freedom". [] for a malformed dob.
+ */
+export function numerologyArc({ dob, from = new Date(), months = 12, lang = 'en' } = {}) {
+  const birth = parseDob(dob);
+  if (!birth) return [];
+  const first = from.getUTCFullYear();
+  const last = new Date(Date.UTC(first, from.getUTCMonth() + months - 1, 1)).getUTCFullYear();
+  const lines = [];
+  for (let y = first; y <= last; y++) {
+    const { year } = personalNumbers(birth, { y, m: 1, d: 1 });
+    lines.push(`${y}: ${t(lang, 'Personal Year', 'व्यक्तिगत वर्ष')} ${year} — ${t(lang, MEANINGS[year].en, MEANINGS[year].hi)}`);
+  }
+  return lines;
+}
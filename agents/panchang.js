@@ -1,9 +1,360 @@
-// Stub for now; replace with Panchang API later
-export function panchangAgent() {
+// agents/panchang.js
+// Offline panchang: sunrise/sunset from solar geometry (no API), then the
+// traditional eight-part division of the day for Rahu Kaal / Yamaganda / Gulika
+// and the midday muhurta for Abhijit. Falls back to the 06:00–18:00 table when
+// the sun does not rise/set (polar latitudes) or inputs are unusable.
+// Tithi / nakshatra / yoga / karana / paksha / moon sign come from the offline
+// sidereal Sun/Moon in ./ephemeris.js, evaluated at local sunrise.
+
+import { sunMoonSidereal, ayanamsaName } from './ephemeris.js';
+import { zonedTimeToUtc } from './utils.js';
+
+// Default location when the caller has none (New Delhi)
+export const DEFAULT_LOCATION = { lat: 28.6139, lon: 77.2090, tz: 'Asia/Kolkata' };
+
+const DAY_MS = 86400000;
+const RAD = Math.PI / 180;
+
+// 1-based segment (of 8) per weekday 0..6 (Sun..Sat)
+const RAHU_SEG      = [8, 2, 7, 5, 6, 4, 3];
+const YAMAGANDA_SEG = [5, 4, 3, 2, 1, 7, 6];
+const GULIKA_SEG    = [7, 6, 5, 4, 3, 2, 1];
+
+/** 1-based day segment (of 8) covered by each inauspicious window on a weekday. */
+export function kaalSegments(weekday) {
+  return { rahuKaal: RAHU_SEG[weekday], yamaganda: YAMAGANDA_SEG[weekday], gulikaKaal: GULIKA_SEG[weekday] };
+}
+
+// What each window means — shared by the daily "About the Vedic Periods" block and the muhurat finder
+const VEDIC_EXPLAIN = {
+  rahuKaal:       ['Rahu Kaal — Not favourable for new beginnings.', 'राहु काल — नई शुरुआत के लिए अनुकूल नहीं।'],
+  yamaganda:      ['Yamaganda — Avoid travel/major starts.', 'यमगण्ड — यात्रा/बड़ी शुरुआत से बचें।'],
+  gulikaKaal:     ['Gulika Kaal — Routine is fine; avoid fresh starts.', 'गुलिक काल — सामान्य कार्य ठीक; नई शुरुआत टालें।'],
+  abhijitMuhurat: ['Abhijit Muhurat — Auspicious window for beginnings.', 'अभिजीत मुहूर्त — नई शुरुआत के लिए शुभ।'],
+};
+export function vedicExplain(lang = 'en', key = null) {
+  const pick = ([en, hi]) => (lang === 'hi' ? hi : en);
+  if (key) return VEDIC_EXPLAIN[key] ? pick(VEDIC_EXPLAIN[key]) : null;
+  return Object.values(VEDIC_EXPLAIN).map(pick);
+}
+
+// ── Element names (EN/HI) ────────────────────────────────────────────────────
+const TITHI = [
+  ['Pratipada', 'प्रतिपदा'], ['Dwitiya', 'द्वितीया'], ['Tritiya', 'तृतीया'], ['Chaturthi', 'चतुर्थी'],
+  ['Panchami', 'पंचमी'], ['Shashthi', 'षष्ठी'], ['Saptami', 'सप्तमी'], ['Ashtami', 'अष्टमी'],
+  ['Navami', 'नवमी'], ['Dashami', 'दशमी'], ['Ekadashi', 'एकादशी'], ['Dwadashi', 'द्वादशी'],
+  ['Trayodashi', 'त्रयोदशी'], ['Chaturdashi', 'चतुर्दशी'], ['Purnima', 'पूर्णिमा'],
+];
+const AMAVASYA = ['Amavasya', 'अमावस्या'];
+const PAKSHA = {
+  shukla:  ['Shukla Paksha', 'शुक्ल पक्ष'],
+  krishna: ['Krishna Paksha', 'कृष्ण पक्ष'],
+};
+export const NAKSHATRA = [
+  ['Ashwini', 'अश्विनी'], ['Bharani', 'भरणी'], ['Krittika', 'कृत्तिका'], ['Rohini', 'रोहिणी'],
+  ['Mrigashira', 'मृगशिरा'], ['Ardra', 'आर्द्रा'], ['Punarvasu', 'पुनर्वसु'], ['Pushya', 'पुष्य'],
+  ['Ashlesha', 'आश्लेषा'], ['Magha', 'मघा'], ['Purva Phalguni', 'पूर्वा फाल्गुनी'], ['Uttara Phalguni', 'उत्तरा फाल्गुनी'],
+  ['Hasta', 'हस्त'], ['Chitra', 'चित्रा'], ['Swati', 'स्वाति'], ['Vishakha', 'विशाखा'],
+  ['Anuradha', 'अनुराधा'], ['Jyeshtha', 'ज्येष्ठा'], ['Mula', 'मूल'], ['Purva Ashadha', 'पूर्वाषाढ़ा'],
+  ['Uttara Ashadha', 'उत्तराषाढ़ा'], ['Shravana', 'श्रवण'], ['Dhanishta', 'धनिष्ठा'], ['Shatabhisha', 'शतभिषा'],
+  ['Purva Bhadrapada', 'पूर्वा भाद्रपद'], ['Uttara Bhadrapada', 'उत्तरा भाद्रपद'], ['Revati', 'रेवती'],
+];
+const YOGA = [
+  ['Vishkambha', 'विष्कम्भ'], ['Priti', 'प्रीति'], ['Ayushman', 'आयुष्मान'], ['Saubhagya', 'सौभाग्य'],
+  ['Shobhana', 'शोभन'], ['Atiganda', 'अतिगण्ड'], ['Sukarma', 'सुकर्मा'], ['Dhriti', 'धृति'],
+  ['Shula', 'शूल'], ['Ganda', 'गण्ड'], ['Vriddhi', 'वृद्धि'], ['Dhruva', 'ध्रुव'],
+  ['Vyaghata', 'व्याघात'], ['Harshana', 'हर्षण'], ['Vajra', 'वज्र'], ['Siddhi', 'सिद्धि'],
+  ['Vyatipata', 'व्यतीपात'], ['Variyana', 'वरीयान'], ['Parigha', 'परिघ'], ['Shiva', 'शिव'],
+  ['Siddha', 'सिद्ध'], ['Sadhya', 'साध्य'], ['Shubha', 'शुभ'], ['Shukla', 'शुक्ल'],
+  ['Brahma', 'ब्रह्म'], ['Indra', 'इन्द्र'], ['Vaidhriti', 'वैधृति'],
+];
+const KARANA_MOVABLE = [
+  ['Bava', 'बव'], ['Balava', 'बालव'], ['Kaulava', 'कौलव'], ['Taitila', 'तैतिल'],
+  ['Garaja', 'गर'], ['Vanija', 'वणिज'], ['Vishti', 'विष्टि'],
+];
+const KARANA_FIXED = {
+  0:  ['Kimstughna', 'किंस्तुघ्न'],
+  57: ['Shakuni', 'शकुनि'],
+  58: ['Chatushpada', 'चतुष्पाद'],
+  59: ['Naga', 'नाग'],
+};
+export const RASHI = [
+  ['aries', 'Aries', 'मेष'], ['taurus', 'Taurus', 'वृषभ'], ['gemini', 'Gemini', 'मिथुन'],
+  ['cancer', 'Cancer', 'कर्क'], ['leo', 'Leo', 'सिंह'], ['virgo', 'Virgo', 'कन्या'],
+  ['libra', 'Libra', 'तुला'], ['scorpio', 'Scorpio', 'वृश्चिक'], ['sagittarius', 'Sagittarius', 'धनु'],
+  ['capricorn', 'Capricorn', 'मकर'], ['aquarius', 'Aquarius', 'कुंभ'], ['pisces', 'Pisces', 'मीन'],
+];
+const NAK_SPAN = 360 / 27;
+
+// 12-hour day approximation (sunrise 06:00) — used only as a fallback
+export function approxVedicSlots12h(weekday /*0..6*/) {
+  const rahu = {
+    0: '16:30–18:00', 1: '07:30–09:00', 2: '15:00–16:30',
+    3: '12:00–13:30', 4: '13:30–15:00', 5: '10:30–12:00', 6: '09:00–10:30',
+  }[weekday];
+  const yamaganda = {
+    0: '12:00–13:30', 1: '10:30–12:00', 2: '09:00–10:30',
+    3: '07:30–09:00', 4: '06:00–07:30', 5: '15:00–16:30', 6: '13:30–15:00',
+  }[weekday];
+  const gulika = {
+    0: '15:00–16:30', 1: '13:30–15:00', 2: '12:00–13:30',
+    3: '10:30–12:00', 4: '09:00–10:30', 5: '07:30–09:00', 6: '06:00–07:30',
+  }[weekday];
+  const abhijit = '12:05–12:52';
+  return { rahuKaal: rahu, yamaganda, gulikaKaal: gulika, abhijitMuhurat: abhijit };
+}
+
+function validTz(tz) {
+  try { new Intl.DateTimeFormat('en-GB', { timeZone: tz }); return true; } catch { return false; }
+}
+
+/** Local calendar date (YYYY-MM-DD) of a Date or date string in the given IANA zone. */
+export function localDateParts(date = new Date(), tz = DEFAULT_LOCATION.tz) {
+  if (typeof date === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(date)) {
+    const [y, m, d] = date.split('-').map(Number);
+    return { y, m, d, dateStr: date, weekday: new Date(Date.UTC(y, m - 1, d)).getUTCDay() };
+  }
+  const dt = (date instanceof Date) ? date : new Date(date);
+  const parts = new Intl.DateTimeFormat('en-GB', { timeZone: tz, year: 'numeric', month: '2-digit', day: '2-digit' })
+    .formatToParts(dt);
+  const get = (t) => Number(parts.find(p => p.type === t).value);
+  const y = get('year'), m = get('month'), d = get('day');
+  const dateStr = `${y}-${String(m).padStart(2, '0')}-${String(d).padStart(2, '0')}`;
+  return { y, m, d, dateStr, weekday: new Date(Date.UTC(y, m - 1, d)).getUTCDay() };
+}
+
+/** "HH:MM" (24h) for an epoch-ms instant in the given zone. */
+export function fmtClock(ms, tz = DEFAULT_LOCATION.tz) {
+  const parts = new Intl.DateTimeFormat('en-GB', { timeZone: tz, hour: '2-digit', minute: '2-digit', hourCycle: 'h23' })
+    .formatToParts(new Date(ms));
+  const hh = parts.find(p => p.type === 'hour').value;
+  const mm = parts.find(p => p.type === 'minute').value;
+  return `${hh}:${mm}`;
+}
+export function fmtRange(startMs, endMs, tz) {
+  return `${fmtClock(startMs, tz)}–${fmtClock(endMs, tz)}`;
+}
+
+/**
+ * Sunrise or sunset (apparent, zenith 90.833°) for a civil date at lon/lat.
+ * Returns epoch ms, or null if the sun stays above/below the horizon.
+ */
+function solarEvent(y, m, d, lat, lon, rising) {
+  const n = Math.floor((Date.UTC(y, m - 1, d) - Date.UTC(y, 0, 0)) / DAY_MS);
+  const lngHour = lon / 15;
+  const t = n + (((rising ? 6 : 18) - lngHour) / 24);
+
+  const M = 0.9856 * t - 3.289;
+  let L = M + 1.916 * Math.sin(M * RAD) + 0.020 * Math.sin(2 * M * RAD) + 282.634;
+  L = ((L % 360) + 360) % 360;
+
+  let RA = Math.atan(0.91764 * Math.tan(L * RAD)) / RAD;
+  RA = ((RA % 360) + 360) % 360;
+  RA = (RA + Math.floor(L / 90) * 90 - Math.floor(RA / 90) * 90) / 15;
+
+  const sinDec = 0.39782 * Math.sin(L * RAD);
+  const cosDec = Math.cos(Math.asin(sinDec));
+  const cosH = (Math.cos(90.833 * RAD) - sinDec * Math.sin(lat * RAD)) / (cosDec * Math.cos(lat * RAD));
+  if (cosH > 1 || cosH < -1) return null;
+
+  const H = (rising ? 360 - Math.acos(cosH) / RAD : Math.acos(cosH) / RAD) / 15;
+  const T = H + RA - 0.06571 * t - 6.622;
+  const UT = (((T - lngHour) % 24) + 24) % 24;
+
+  // Pin to the instant nearest local mean 06:00/18:00 of that civil date
+  const expected = Date.UTC(y, m - 1, d) + ((rising ? 6 : 18) - lngHour) * 3600000;
+  let ms = Date.UTC(y, m - 1, d) + UT * 3600000;
+  while (ms - expected > DAY_MS / 2) ms -= DAY_MS;
+  while (expected - ms > DAY_MS / 2) ms += DAY_MS;
+  return ms;
+}
+
+/**
+ * Sunrise/sunset instants for the local date of `date` at a location.
+ * Returns { dateStr, weekday, sunrise, sunset } (epoch ms; null when no event).
+ */
+export function sunTimes({ date = new Date(), lat, lon, tz } = {}) {
+  const loc = normalizeLocation({ lat, lon, tz });
+  const { y, m, d, dateStr, weekday } = localDateParts(date, loc.tz);
+  return {
+    dateStr,
+    weekday,
+    sunrise: solarEvent(y, m, d, loc.lat, loc.lon, true),
+    sunset:  solarEvent(y, m, d, loc.lat, loc.lon, false),
+  };
+}
+
+/** Coerce lat/lon/tz into a usable location; unknown parts fall back to DEFAULT_LOCATION. */
+export function normalizeLocation({ lat, lon, tz } = {}) {
+  const la = Number(lat), lo = Number(lon);
+  const hasCoords = lat != null && lon != null && lat !== '' && lon !== '' &&
+    Number.isFinite(la) && Number.isFinite(lo) && Math.abs(la) <= 90 && Math.abs(lo) <= 180;
+  const zone = tz && validTz(tz) ? String(tz) : DEFAULT_LOCATION.tz;
+  return hasCoords
+    ? { lat: la, lon: lo, tz: zone }
+    : { ...DEFAULT_LOCATION, tz: zone };
+}
+
+// Index functions of an instant (integers; a change marks an element boundary)
+const INDEX = {
+  tithi:     (ms, ay) => { const { sun, moon } = sunMoonSidereal(ms, ay); return Math.floor(((moon - sun + 360) % 360) / 12); },
+  karana:    (ms, ay) => { const { sun, moon } = sunMoonSidereal(ms, ay); return Math.floor(((moon - sun + 360) % 360) / 6); },
+  nakshatra: (ms, ay) => Math.floor(sunMoonSidereal(ms, ay).moon / NAK_SPAN),
+  yoga:      (ms, ay) => { const { sun, moon } = sunMoonSidereal(ms, ay); return Math.floor(((sun + moon) % 360) / NAK_SPAN); },
+};
+
+/** First instant after `fromMs` where INDEX[kind] changes (to ~30 s), or null within 3 days. */
+export function nextElementChange(kind, fromMs, ay = 'lahiri') {
+  const fn = INDEX[kind];
+  const i0 = fn(fromMs, ay);
+  const step = 3600000;
+  let lo = fromMs, hi = null;
+  for (let k = 0; k < 72; k++) {
+    const t = lo + step;
+    if (fn(t, ay) !== i0) { hi = t; break; }
+    lo = t;
+  }
+  if (hi == null) return null;
+  while (hi - lo > 30000) {
+    const mid = (lo + hi) / 2;
+    if (fn(mid, ay) === i0) lo = mid; else hi = mid;
+  }
+  return hi;
+}
+
+const named = ([en, hi], extra = {}) => ({ en, hi, ...extra });
+
+/**
+ * Tithi, nakshatra (+pada), yoga, karana, paksha and moon sign at an instant.
+ * Pure astronomy — location only matters for which instant the caller picks.
+ */
+export function panchangElements(ms, ay = 'lahiri') {
+  const { sun, moon, ayanamsa } = sunMoonSidereal(ms, ay);
+  const elong = (moon - sun + 360) % 360;
+
+  const tithiIdx = Math.floor(elong / 12);             // 0..29
+  const pakshaKey = tithiIdx < 15 ? 'shukla' : 'krishna';
+  const tithiNo = (tithiIdx % 15) + 1;                  // 1..15 within paksha
+  const tithiName = tithiIdx === 29 ? AMAVASYA : TITHI[tithiNo - 1];
+
+  const nakIdx = Math.floor(moon / NAK_SPAN);
+  const pada = Math.floor((moon % NAK_SPAN) / (NAK_SPAN / 4)) + 1;
+  const yogaIdx = Math.floor(((sun + moon) % 360) / NAK_SPAN);
+  const karIdx = Math.floor(elong / 6);                 // 0..59
+  const karana = KARANA_FIXED[karIdx] || KARANA_MOVABLE[(karIdx - 1) % 7];
+  const [signKey, signEn, signHi] = RASHI[Math.floor(moon / 30)];
+
+  return {
+    tithi:     named(tithiName, { index: tithiIdx, number: tithiNo }),
+    paksha:    named(PAKSHA[pakshaKey], { key: pakshaKey }),
+    nakshatra: named(NAKSHATRA[nakIdx], { index: nakIdx, pada }),
+    yoga:      named(YOGA[yogaIdx], { index: yogaIdx }),
+    karana:    named(karana, { index: karIdx }),
+    moonSign:  { key: signKey, en: signEn, hi: signHi },
+    longitudes: { sun: +sun.toFixed(4), moon: +moon.toFixed(4) },
+    ayanamsa:  { name: ayanamsaName(ay), value: +ayanamsa.toFixed(4) },
+  };
+}
+
+/** Day divided into eight equal parts; returns the [start, end] ms of 1-based segment `k`. */
+function segment(sunrise, sunset, k) {
+  const part = (sunset - sunrise) / 8;
+  return [sunrise + (k - 1) * part, sunrise + k * part];
+}
+
+// Elements at the reference instant, with local end times for the fast-changing ones
+function elementsWithEnds(refMs, ay, tz, dateStr) {
+  const el = panchangElements(refMs, ay);
+  for (const kind of ['tithi', 'nakshatra', 'yoga', 'karana']) {
+    const end = nextElementChange(kind, refMs, ay);
+    el[kind].endsAt = end == null ? null : fmtClock(end, tz);
+    el[kind].endsNextDay = end != null && localDateParts(new Date(end), tz).dateStr !== dateStr;
+  }
+  return el;
+}
+
+export function panchangAgent({ date = new Date(), lat, lon, tz, ayanamsa = 'lahiri' } = {}) {
+  const loc = normalizeLocation({ lat, lon, tz });
+  const { y, m, d } = localDateParts(date, loc.tz);
+  const { dateStr, weekday, sunrise, sunset } = sunTimes({ date, ...loc });
+  const base = { date: dateStr, weekday, lat: loc.lat, lon: loc.lon, tz: loc.tz };
+
+  if (sunrise == null || sunset == null || sunset <= sunrise) {
+    const ref = zonedTimeToUtc({ y, m, d, hh: 6 }, loc.tz);
+    return {
+      ...approxVedicSlots12h(weekday), sunrise: '06:00', sunset: '18:00', ...base, approx: true,
+      ...elementsWithEnds(ref, ayanamsa, loc.tz, dateStr),
+    };
+  }
+
+  const rahu  = segment(sunrise, sunset, RAHU_SEG[weekday]);
+  const yama  = segment(sunrise, sunset, YAMAGANDA_SEG[weekday]);
+  const gulik = segment(sunrise, sunset, GULIKA_SEG[weekday]);
+  // Abhijit = 8th of 15 day-muhurtas, centred on local noon
+  const noon = (sunrise + sunset) / 2;
+  const muhurta = (sunset - sunrise) / 15;
+
   return {
-    rahuKaal: '12:00–13:30',
-    yamaganda: '07:30–09:00',
-    gulikaKaal: '10:30–12:00',
-    abhijitMuhurat: '12:05–12:52',
+    rahuKaal:       fmtRange(rahu[0], rahu[1], loc.tz),
+    yamaganda:      fmtRange(yama[0], yama[1], loc.tz),
+    gulikaKaal:     fmtRange(gulik[0], gulik[1], loc.tz),
+    abhijitMuhurat: fmtRange(noon - muhurta / 2, noon + muhurta / 2, loc.tz),
+    sunrise: fmtClock(sunrise, loc.tz),
+    sunset:  fmtClock(sunset, loc.tz),
+    ...base,
+    approx: false,
+    ...elementsWithEnds(sunrise, ayanamsa, loc.tz, dateStr),
+  };
+}
+
+// Tithis worth marking on a month calendar (index in 0..29)
+const KEY_TITHIS = {
+  10: { key: 'ekadashi', en: 'Shukla Ekadashi', hi: 'शुक्ल एकादशी' },
+  14: { key: 'purnima',  en: 'Purnima',         hi: 'पूर्णिमा' },
+  25: { key: 'ekadashi', en: 'Krishna Ekadashi', hi: 'कृष्ण एकादशी' },
+  29: { key: 'amavasya', en: 'Amavasya',        hi: 'अमावस्या' },
+};
+
+/**
+ * Purnima, Amavasya and both Ekadashis in a calendar month ({ y, m }, m 1-based)
+ * at a location. A tithi belongs to the civil day whose sunrise it first
+ * prevails at; one that begins and ends between two sunrises (kshaya) goes to
+ * the day it falls in. Each item: { date, key, en, hi, index, endsAt, endsNextDay, kshaya }.
+ */
+export function keyTithiDates({ y, m, lat, lon, tz, ayanamsa = 'lahiri' } = {}) {
+  const loc = normalizeLocation({ lat, lon, tz });
+  const days = new Date(Date.UTC(y, m, 0)).getUTCDate();
+  const sunriseOf = (d) => {
+    const date = new Date(zonedTimeToUtc({ y, m, d, hh: 12 }, loc.tz));
+    const { sunrise } = sunTimes({ date, ...loc });
+    return sunrise ?? zonedTimeToUtc({ ...localDateParts(date, loc.tz), hh: 6 }, loc.tz);
   };
+  const tithiAt = INDEX.tithi;
+
+  const out = [];
+  let prevIdx = tithiAt(sunriseOf(0), ayanamsa);
+  let rise = sunriseOf(1);
+  for (let d = 1; d <= days; d++) {
+    const next = sunriseOf(d + 1);
+    const dateStr = `${y}-${String(m).padStart(2, '0')}-${String(d).padStart(2, '0')}`;
+    const push = (idx, end, kshaya) => out.push({
+      date: dateStr, ...KEY_TITHIS[idx], index: idx,
+      endsAt: end == null ? null : fmtClock(end, loc.tz),
+      endsNextDay: end != null && localDateParts(new Date(end), loc.tz).dateStr !== dateStr,
+      kshaya,
+    });
+
+    const idx = tithiAt(rise, ayanamsa);
+    const end = nextElementChange('tithi', rise, ayanamsa);
+    if (KEY_TITHIS[idx] && idx !== prevIdx) push(idx, end, false);
+    // A tithi that starts after this sunrise and ends before the next one
+    if (end != null && end < next) {
+      const skipped = (idx + 1) % 30;
+      const skippedEnd = nextElementChange('tithi', end + 1000, ayanamsa);
+      if (KEY_TITHIS[skipped] && skippedEnd != null && skippedEnd < next) push(skipped, skippedEnd, true);
+    }
+    prevIdx = idx;
+    rise = next;
+  }
+  return out;
 }
@@ -1,6 +1,6 @@
 import { pick } from './utils.js';
 
-const QUOTES = [
+export const QUOTES = [
   '“What you do every day matters more than what you do once in a while.” — Gretchen Rubin',
   '“The best way out is always through.” — Robert Frost',
   '“Act as if what you do makes a difference. It does.” — William James',
@@ -9,7 +9,7 @@ const QUOTES = [
   '“Simplicity is the ultimate sophistication.” — Leonardo da Vinci',
   '“Well done is better than well said.” — Benjamin Franklin',
 ];
-const AFFIRMATIONS = [
+export const AFFIRMATIONS = [
   'I move with calm focus and steady courage.',
   'I choose clarity, kindness, and consistent effort.',
   'I honour my energy and channel it wisely.',
@@ -17,7 +17,7 @@ const AFFIRMATIONS = [
   'I am disciplined, patient, and quietly powerful.',
   'I make small steps that compound into big gains.',
 ];
-const MOODS = [
+export const MOODS = [
   'Rise & shine — keep your heart light.',
   'Center and breathe — pace the day gently.',
   'Ground and glow — steady beats flashy.',
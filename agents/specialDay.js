@@ -1,4 +1,5 @@
 import { toISTParts } from './utils.js';
+import { t } from './locale.js';
 
 // Fixed-date national/festival days (add more anytime)
 // key: "MM-DD"
@@ -38,7 +39,7 @@ export function specialDayAgent({ now=new Date(), lang='en', user=null } = {}) {
 
   if (!birthday && !fixedMsg) return null;
   return {
-    title: lang==='hi' ? 'विशेष दिवस' : 'Special Day',
+    title: t(lang, 'Special Day', 'विशेष दिवस'),
     birthday, // string | null
     observance: fixedMsg ? { title: fixedMsg[0], line: fixedMsg[1] } : null
   };
@@ -0,0 +1,109 @@
+// agents/sunSign.js
+// Sun sign from a date of birth, so requests that carry user.dob but no sign
+// stop falling back to Aries. The Sun's longitude is taken at the birth time
+// (noon when tob is missing) in the birth zone:
+//   tropical  Western boundaries (Aries from the March equinox)
+//   sidereal  Vedic rashi boundaries, tropical longitude minus the ayanamsa
+// Explicit `sign` always wins; the returned `signRule` says which rule applied.
+
+import { sunLongitude, siderealLongitude, ayanamsaName } from './ephemeris.js';
+import { zonedTimeToUtc, badRequest, parseTob } from './utils.js';
+import { t } from './locale.js';
+
+export const SIGNS = [
+  'aries', 'taurus', 'gemini', 'cancer', 'leo', 'virgo',
+  'libra', 'scorpio', 'sagittarius', 'capricorn', 'aquarius', 'pisces',
+];
+export const ZODIACS = ['tropical', 'sidereal'];
+const ZODIAC_ALIASES = { western: 'tropical', vedic: 'sidereal', nirayana: 'sidereal', sayana: 'tropical' };
+const DEFAULT_SIGN = 'aries';
+const DEFAULT_TZ = 'Asia/Kolkata';
+
+/** "1990-04-15", "15-04-1990" or "15/04/1990" → { y, m, d }; null if malformed or not a real past date. */
+export function parseDob(dob) {
+  const s = String(dob ?? '').trim();
+  let y, m, d;
+  let hit = s.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+  if (hit) [, y, m, d] = hit.map(Number);
+  else if ((hit = s.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/))) [, d, m, y] = hit.map(Number);
+  else return null;
+
+  const date = new Date(Date.UTC(y, m - 1, d));
+  if (date.getUTCFullYear() !== y || date.getUTCMonth() !== m - 1 || date.getUTCDate() !== d) return null;
+  if (y < 1900 || date.getTime() > Date.now()) return null;
+  return { y, m, d };
+}
+
+/** Localized 400 for a date of birth parseDob rejects. */
+export function invalidDob(lang = 'en') {
+  return badRequest(
+    t(lang, 'Invalid date of birth — send it as YYYY-MM-DD (e.g. 1990-04-15).', 'जन्म तिथि अमान्य है — इसे YYYY-MM-DD रूप में भेजें (जैसे 1990-04-15)।'),
+    'bad_dob',
+  );
+}
+
+/** Localized 400 for a birth time parseTob rejects. */
+export function invalidTob(lang = 'en') {
+  return badRequest(
+    t(lang, 'Birth time is required as HH:MM (e.g. 14:05).', 'जन्म समय HH:MM रूप में आवश्यक है (जैसे 14:05)।'),
+    'bad_tob',
+  );
+}
+
+/** "vedic" → "sidereal"; null when absent; 400 for anything unknown. */
+export function normalizeZodiac(zodiac, lang = 'en') {
+  if (zodiac == null || zodiac === '') return null;
+  const z = String(zodiac).trim().toLowerCase();
+  const out = ZODIAC_ALIASES[z] || z;
+  if (!ZODIACS.includes(out)) {
+    throw badRequest(t(lang, 'zodiac must be "tropical" or "sidereal".', 'zodiac केवल "tropical" या "sidereal" हो सकता है।'), 'bad_zodiac');
+  }
+  return out;
+}
+
+/**
+ * Sun sign for a birth date, at noon when tob is absent. Throws a localized 400
+ * (code "bad_dob" or "bad_tob") for a malformed date or time.
+ * Returns { sign, zodiac, ayanamsa, longitude, dob }.
+ */
+export function sunSignFromDob(dob, { zodiac = 'tropical', ayanamsa = 'lahiri', tob = null, tz = DEFAULT_TZ, lang = 'en' } = {}) {
+  const parts = parseDob(dob);
+  if (!parts) throw invalidDob(lang);
+  const z = normalizeZodiac(zodiac, lang) || 'tropical';
+  // Noon stands in only when no birth time was given; a malformed one is a 400
+  const clock = tob == null || tob === '' ? { hh: 12, mm: 0 } : parseTob(tob);
+  if (!clock) throw invalidTob(lang);
+  let ms;
+  try { ms = zonedTimeToUtc({ ...parts, ...clock }, tz || DEFAULT_TZ); }
+  catch { ms = zonedTimeToUtc({ ...parts, ...clock }, DEFAULT_TZ); }
+
+  const tropical = sunLongitude(ms);
+  const ay = z === 'sidereal' ? ayanamsaName(ayanamsa) : null;
+  const longitude = ay ? siderealLongitude(tropical, ms, ay) : tropical;
+  const pad = (n) => String(n).padStart(2, '0');
+  return {
+    sign: SIGNS[Math.floor(longitude / 30) % 12],
+    zodiac: z,
+    ayanamsa: ay,
+    longitude: Math.round(longitude * 1e4) / 1e4,
+    dob: `${parts.y}-${pad(parts.m)}-${pad(parts.d)}`,
+  };
+}
+
+/**
+ * Sign for a request: explicit `sign`, else derived from user.dob, else Aries.
+ * signRule.source is "request", "dob" or "default".
+ */
+export function resolveSign({ sign, user = null, zodiac, ayanamsa, lang = 'en' } = {}) {
+  const z = normalizeZodiac(zodiac, lang);
+  const s = String(sign ?? '').trim().toLowerCase();
+  if (s) return { sign: s, signRule: { source: 'request' } };
+
+  const dob = user?.dob;
+  if (dob != null && String(dob).trim()) {
+    const hit = sunSignFromDob(dob, { zodiac: z || 'tropical', ayanamsa, tob: user.tob || user.time, tz: user.tz, lang });
+    const { sign: derived, ...rule } = hit;
+    return { sign: derived, signRule: { source: 'dob', ...rule } };
+  }
+  return { sign: DEFAULT_SIGN, signRule: { source: 'default' } };
+}
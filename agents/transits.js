@@ -0,0 +1,189 @@
+// agents/transits.js
+// Transit engine for the slow grahas (Jupiter, Saturn, Rahu, Ketu): sidereal
+// sign ingresses and retrograde/direct stations over the coming months, found
+// by a daily scan and refined by bisection to the minute. Against a Moon sign
+// it flags Saturn's Sade Sati (12th, 1st, 2nd from the Moon), Kantaka Shani
+// (4th, 7th, 10th) and Ashtama Shani (8th), and builds the daily banner alerts.
+
+import { siderealLongitude, ayanamsaName } from './ephemeris.js';
+import { GRAHAS, tropicalLongitude, dailyMotion } from './kundli.js';
+import { SIGNS } from './sunSign.js';
+import { localDateParts } from './panchang.js';
+import { t, localeSection, intlLocale, localized } from './locale.js';
+
+export const SLOW_GRAHAS = ['jupiter', 'saturn', 'rahu', 'ketu'];
+const DAY_MS = 86400000;
+const ALERT_AHEAD_DAYS = 7;
+const MAX_CACHED = 16;
+
+const SADE_SATI = { 12: 'rising', 1: 'peak', 2: 'setting' };
+const KANTAKA = new Set([4, 7, 10]);
+
+const sidereal = (key, ms, ay) => siderealLongitude(tropicalLongitude(key, ms), ms, ay);
+const signIndexAt = (key, ms, ay) => Math.floor(sidereal(key, ms, ay) / 30) % 12;
+
+// Bisect [a, b] to the instant where `changed(ms)` flips from false to true
+function refine(a, b, changed) {
+  while (b - a > 60000) {
+    const mid = (a + b) / 2;
+    if (changed(mid)) b = mid; else a = mid;
+  }
+  return b;
+}
+
+const cache = new Map();
+
+/**
+ * Ingresses and stations for the slow grahas from `from` for `months` months,
+ * sorted by time: { type: 'ingress', planet, at, fromSign, toSign }
+ * or { type: 'station', planet, at, direction: 'retrograde'|'direct', sign }.
+ * `at` is epoch ms. Cached per start day and ayanamsa.
+ */
+export function transitEvents({ from = new Date(), months = 24, ayanamsa = 'lahiri' } = {}) {
+  const ay = ayanamsaName(ayanamsa);
+  const start = Date.UTC(from.getUTCFullYear(), from.getUTCMonth(), from.getUTCDate());
+  const end = Date.UTC(from.getUTCFullYear(), from.getUTCMonth() + months, from.getUTCDate());
+  const key = `${start}|${end}|${ay}`;
+  if (cache.has(key)) return cache.get(key);
+
+  const events = [];
+  for (const planet of SLOW_GRAHAS) {
+    // The mean nodes never station
+    const stations = planet === 'jupiter' || planet === 'saturn';
+    let prevSign = signIndexAt(planet, start, ay);
+    let prevRetro = stations && dailyMotion(planet, start) < 0;
+    for (let ms = start + DAY_MS; ms <= end; ms += DAY_MS) {
+      const sign = signIndexAt(planet, ms, ay);
+      if (sign !== prevSign) {
+        const at = refine(ms - DAY_MS, ms, (x) => signIndexAt(planet, x, ay) !== prevSign);
+        events.push({ type: 'ingress', planet, at, fromSign: SIGNS[prevSign], toSign: SIGNS[sign] });
+        prevSign = sign;
+      }
+      if (stations) {
+        const retro = dailyMotion(planet, ms) < 0;
+        if (retro !== prevRetro) {
+          const at = refine(ms - DAY_MS, ms, (x) => (dailyMotion(planet, x) < 0) !== prevRetro);
+          events.push({ type: 'station', planet, at, direction: retro ? 'retrograde' : 'direct', sign: SIGNS[signIndexAt(planet, at, ay)] });
+          prevRetro = retro;
+        }
+      }
+    }
+  }
+  events.sort((a, b) => a.at - b.at);
+
+  if (cache.size >= MAX_CACHED) cache.delete(cache.keys().next().value);
+  cache.set(key, events);
+  return events;
+}
+
+/** House (1–12) of `sign` counted from `fromSign`. */
+export const houseFrom = (fromSign, sign) => ((SIGNS.indexOf(sign) - SIGNS.indexOf(fromSign) + 12) % 12) + 1;
+
+/**
+ * Saturn's standing against a Moon sign at an instant:
+ * { house, sign, phase: 'sadeSati'|'kantaka'|'ashtama'|null, stage: 'rising'|'peak'|'setting'|null, until }.
+ * `until` (epoch ms) is the Saturn ingress that ends the phase, when it falls inside the scan.
+ */
+export function saturnStatus(moonSign, ms = Date.now(), { ayanamsa = 'lahiri', events = null } = {}) {
+  const sign = SIGNS[signIndexAt('saturn', ms, ayanamsa)];
+  const house = houseFrom(moonSign, sign);
+  const phaseOf = (h) => (SADE_SATI[h] ? 'sadeSati' : KANTAKA.has(h) ? 'kantaka' : h === 8 ? 'ashtama' : null);
+  const phase = phaseOf(house);
+  let until = null;
+  if (phase) {
+    const list = events || transitEvents({ from: new Date(ms), ayanamsa });
+    // Sade Sati runs across three signs; the other phases end with the sign
+    const exit = list.find((e) => e.type === 'ingress' && e.planet === 'saturn' && e.at > ms
+      && (phase === 'sadeSati' ? phaseOf(houseFrom(moonSign, e.toSign)) !== 'sadeSati' : true));
+    until = exit ? exit.at : null;
+  }
+  return { house, sign, phase, stage: phase === 'sadeSati' ? SADE_SATI[house] : null, until };
+}
+
+// ── Alerts ───────────────────────────────────────────────────────────────────
+const planetName = (key, lang) => localized(GRAHAS.find((g) => g.key === key), lang);
+const signName = (key, lang) => localeSection(lang, 'zodiac')[key] || key;
+const fill = (template, vars) => template.replace(/\{(\w+)\}/g, (_, k) => vars[k] ?? '');
+
+function fmtDay(ms, tz, lang) {
+  const { dateStr } = localDateParts(new Date(ms), tz);
+  return new Date(`${dateStr}T00:00:00Z`)
+    .toLocaleDateString(intlLocale(lang), { day: 'numeric', month: 'short', year: 'numeric', timeZone: 'UTC' });
+}
+
+/**
+ * Banner alerts for a Moon sign on a given day: the running Saturn phase
+ * (Sade Sati / Kantaka / Ashtama Shani) and slow-graha ingresses or stations
+ * within the next week. Each alert: { key, type, planet, severity, title, text, date?, until? }.
+ */
+export function transitAlerts({ moonSign, now = new Date(), lang = 'en', ayanamsa = 'lahiri', tz = 'Asia/Kolkata' } = {}) {
+  if (!SIGNS.includes(moonSign)) return [];
+  const L = (en, hi, vars = {}) => fill(t(lang, en, hi), vars);
+  const ms = now.getTime();
+  const events = transitEvents({ from: now, ayanamsa });
+  const alerts = [];
+
+  const sat = saturnStatus(moonSign, ms, { ayanamsa, events });
+  const until = sat.until ? fmtDay(sat.until, tz, lang) : null;
+  const untilText = until ? ' ' + L('(until {date})', '({date} तक)', { date: until }) : '';
+  if (sat.phase === 'sadeSati') {
+    const stage = {
+      rising:  L('first (rising)', 'पहला (आरंभ)'),
+      peak:    L('second (peak)', 'दूसरा (शिखर)'),
+      setting: L('third (setting)', 'तीसरा (उतार)'),
+    }[sat.stage];
+    alerts.push({
+      key: `sadeSati-${sat.stage}`, type: 'sadeSati', planet: 'saturn', severity: 'caution',
+      title: L('Sade Sati', 'साढ़े साती'),
+      text: L('Saturn is in house {house} from your Moon sign — the {stage} phase of Sade Sati{until}. Keep routines steady and be patient with delays.',
+        'शनि आपकी चंद्र राशि से भाव {house} में है — साढ़े साती का {stage} चरण{until}। दिनचर्या स्थिर रखें और देरी में धैर्य रखें।',
+        { house: sat.house, stage, until: untilText }),
+      house: sat.house, until: sat.until ? new Date(sat.until).toISOString() : null,
+    });
+  } else if (sat.phase === 'kantaka') {
+    alerts.push({
+      key: `kantakaShani-${sat.house}`, type: 'kantakaShani', planet: 'saturn', severity: 'caution',
+      title: L('Kantaka Shani', 'कंटक शनि'),
+      text: L('Saturn is in house {house} from your Moon sign{until}. Go steady at home, in partnerships and at work.',
+        'शनि आपकी चंद्र राशि से भाव {house} में है{until}। घर, साझेदारी और काम में संयम से चलें।',
+        { house: sat.house, until: untilText }),
+      house: sat.house, until: sat.until ? new Date(sat.until).toISOString() : null,
+    });
+  } else if (sat.phase === 'ashtama') {
+    alerts.push({
+      key: 'ashtamaShani', type: 'ashtamaShani', planet: 'saturn', severity: 'caution',
+      title: L('Ashtama Shani', 'अष्टम शनि'),
+      text: L('Saturn is in house 8 from your Moon sign{until}. Avoid risky ventures and look after your health.',
+        'शनि आपकी चंद्र राशि से आठवें भाव में है{until}। जोखिम भरे काम टालें और स्वास्थ्य का ध्यान रखें।',
+        { until: untilText }),
+      house: 8, until: sat.until ? new Date(sat.until).toISOString() : null,
+    });
+  }
+
+  const today = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate());
+  for (const e of events) {
+    if (e.at < today || e.at > ms + ALERT_AHEAD_DAYS * DAY_MS) continue;
+    const planet = planetName(e.planet, lang);
+    const date = fmtDay(e.at, tz, lang);
+    if (e.type === 'ingress') {
+      const house = houseFrom(moonSign, e.toSign);
+      alerts.push({
+        key: `ingress-${e.planet}-${e.toSign}`, type: 'ingress', planet: e.planet, severity: 'info',
+        title: L('{planet} enters {sign}', '{planet} का {sign} में प्रवेश', { planet, sign: signName(e.toSign, lang) }),
+        text: L('On {date}, into house {house} from your Moon sign.', '{date} को, आपकी चंद्र राशि से भाव {house} में।', { date, house }),
+        house, date: new Date(e.at).toISOString(),
+      });
+    } else {
+      const retro = e.direction === 'retrograde';
+      alerts.push({
+        key: `station-${e.planet}-${e.direction}`, type: 'station', planet: e.planet, severity: retro ? 'caution' : 'info',
+        title: retro
+          ? L('{planet} turns retrograde', '{planet} वक्री', { planet })
+          : L('{planet} turns direct', '{planet} मार्गी', { planet }),
+        text: L('On {date}, in {sign}.', '{date} को, {sign} में।', { date, sign: signName(e.sign, lang) }),
+        date: new Date(e.at).toISOString(),
+      });
+    }
+  }
+  return alerts;
+}
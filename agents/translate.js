@@ -1,141 +1,241 @@
 // agents/translate.js
-// Minimal universal translator (EN -> HI best-effort) used by server.js
+// Glossary-driven EN → HI translator used by server.js, plus the single
+// cleanHi() normalizer for Hinglish leftovers.
 // - Accepts either translateAgent("text","hi") OR translateAgent({text:"...", to:"hi"})
-// - Returns a STRING (so server's callers work without changes)
+// - Returns a STRING for string input, an array for array input
+//
+// All wording lives in data/hi_glossary.json (reloaded when the file changes):
+//   protect  terms kept verbatim (mantras, deity pairs) — masked before any rule runs
+//   exact    whole-string / whole-sentence translations
+//   regex    [pattern, replacement, flags] applied in order
+//   tokens   phrase → phrase fallbacks, longest first, on word boundaries
+//   fixes    Devanagari clean-ups (ligature/OCR slips, transliterated English)
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const DATA_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'data');
+const GLOSSARY_FILE = path.join(DATA_DIR, 'hi_glossary.json');
+const MISS_FILE = path.join(DATA_DIR, 'translation_misses.jsonl');
+const RELOAD_CHECK_MS = 1000;
 
 function normalizeArgs(input, to) {
   if (typeof input === 'string') {
     return { text: input, to: to || 'hi' };
   }
+  if (Array.isArray(input)) return { text: input, to: to || 'hi' };
   if (input && typeof input === 'object') {
-    return { text: String(input.text ?? ''), to: String(input.to ?? to ?? 'hi') };
+    const source = input.source;
+    if (Array.isArray(input.text)) return { text: input.text, to: String(input.to ?? to ?? 'hi'), source };
+    return { text: String(input.text ?? ''), to: String(input.to ?? to ?? 'hi'), source };
   }
   return { text: String(input ?? ''), to: to || 'hi' };
 }
 
-// Phrase bank (add over time as needed)
-const PHRASES = [
-  // Headlines / leads
-  [/^Today favors\s+Health\s*&\s*Balance\s*—\s*pace yourself and hydrate\.?$/i, 'आज स्वास्थ्य और संतुलन के लिए अनुकूल है — गति संयत रखें और जल पिएँ.'],
-  [/^Today favors\s+Learning\s*—\s*one micro-skill compounds quietly\.?$/i, 'आज सीखने के लिए अनुकूल है — एक सूक्ष्म कौशल चुपचाप बढ़त देता है।'],
-  [/^Today favors Momentum.*$/i, 'आज गति के लिए अनुकूल है — पहले कदम स्पष्ट रखें।'],
-
-  // Lucky line fragments
-  [/Lucky color:/gi, 'भाग्यशाली रंग:'],
-  [/Lucky number:/gi, 'भाग्यशाली अंक:'],
-  [/Use Abhijit Muhurat for key actions; avoid Rahu Kaal for fresh launches\./gi,
-   'महत्वपूर्ण कार्यों हेतु अभिजीत मुहूर्त का उपयोग करें; नई शुरुआत के लिए राहु काल से बचें।'],
-
-  // Sections
-  [/Opportunities:/gi, 'अवसर:'],
-  [/Cautions:/gi, 'सावधानियाँ:'],
-  [/Remedy:/gi, 'उपाय:'],
-
-  // Common bullets (opportunities)
-  [/Have one honest check[- ]?in with a key person\.?/gi, 'किसी महत्वपूर्ण व्यक्ति से एक ईमानदार बातचीत करें।'],
-  [/Make a tiny improvement to your budgeting\/saving\.?/gi, 'अपने बजट/बचत में छोटा सुधार करें।'],
-  [/Do a 10[- ]minute inbox trim to lower noise\.?/gi, 'शोर कम करने के लिए 10 मिनट इनबॉक्स साफ़ करें।'],
-
-  // Common bullets (cautions)
-  [/Don’t accept every request — protect a 2[- ]hour deep[- ]work block\.?/gi,
-   'हर अनुरोध न मानें — 2 घंटे का गहन-कार्य खंड सुरक्षित रखें।'],
-  [/Beware emotional emails; sleep on them\.?/gi,
-   'भावनात्मक ईमेल पर तुरंत उत्तर न दें; पहले ठहरें/एक रात सोचें।'],
-  [/Avoid promising timelines you haven’t pressure[- ]tested\.?/gi,
-   'जिन समयसीमाओं का परीक्षण नहीं किया है, उनका वादा न करें।'],
-
-  // Remedies (keep mantra as-is)
-  [/At dusk, light a diya and chant “?Om Namah Shivaya”? 11×\.?/gi,
-   'संध्या में दीपक जलाएँ और “ॐ नमः शिवाय” 11 बार जप करें।'],
-
-  // Quote/affirmation/mood (common)
-  [/“The best way out is always through.” — Robert Frost/gi,
-   '“बाहर निकलने का सबसे अच्छा तरीका होता है–सीधे होकर निकलना।” — रॉबर्ट फ़्रॉस्ट'],
-  [/I move with calm focus and steady courage\./gi,
-   'मैं शांत एकाग्रता और स्थिर साहस के साथ आगे बढ़ता/बढ़ती हूँ।'],
-  [/Open and kind — your warmth attracts support\./gi,
-   'खुले और दयालु रहें — आपकी गर्मजोशी सहयोग को आकर्षित करती है।'],
-
-  // Day deity lines (server already localizes many, but keep fallbacks)
-  [/^Today being\s+Surya\/Aditya\s+day\.$/gi, 'आज सूर्य/आदित्य दिवस है।'],
-  [/^Today being\s+Shiva\/Som\s+day\.$/gi, 'आज शिव/सोम दिवस है।'],
-];
-
-// Word/phrase level replacements
-const REPLACEMENTS = [
-  [/^Today favors\s+/gi, 'आज अनुकूल है '],
-  [/Health\s*&\s*Balance/gi, 'स्वास्थ्य और संतुलन'],
-  [/pace yourself/gi, 'गति संयत रखें'],
-  [/hydrate/gi, 'जल पिएँ'],
-
-  [/micro[- ]skill/gi, 'सूक्ष्म कौशल'],
-  [/deep[- ]work/gi, 'गहन कार्य'],
-  [/check[- ]in/gi, 'बातचीत'],
-  [/inbox\s*trim/gi, 'इनबॉक्स साफ़'],
-
-  [/Avoid/gi, 'बचें'],
-  [/Don’t/gi, 'न करें'],
-  [/Beware/gi, 'सावधान रहें'],
-];
-
-// Clean-ups for Hinglish leftovers
-function cleanHi(s) {
-  let out = s;
-
-  // Apply phrase-level exact/regex matches first
-  for (const [pattern, hi] of PHRASES) {
-    out = out.replace(pattern, hi);
+// Exact-match key: straight quotes, single spaces, no trailing full stop, case-folded
+function exactKey(s) {
+  return String(s)
+    .normalize('NFC')
+    .replace(/[\u2018\u2019]/g, "'")
+    .replace(/\s+/g, ' ')
+    .trim()
+    .replace(/[.।]+$/, '')
+    .toLowerCase();
+}
+
+const escapeRe = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+function compile(raw) {
+  const tokens = Object.entries(raw.tokens || {})
+    .sort((a, b) => b[0].length - a[0].length)
+    .map(([en, hi]) => [new RegExp(`(?<![A-Za-z])${escapeRe(en).replace(/\\ /g, '\\s+')}(?![A-Za-z])`, 'gi'), hi]);
+  const rules = (list) => (list || []).map(([p, r, f = 'g']) => [new RegExp(p, f.includes('g') ? f : f + 'g'), r]);
+  return {
+    protect: [...new Set(raw.protect || [])].filter(Boolean).sort((a, b) => b.length - a.length),
+    exact: new Map(Object.entries(raw.exact || {}).map(([en, hi]) => [exactKey(en), hi])),
+    regex: rules(raw.regex),
+    tokens,
+    fixes: rules(raw.fixes),
+  };
+}
+
+let glossary = compile({});
+let loadedMtime = 0;
+let lastCheck = 0;
+
+/** Current compiled glossary; re-reads the JSON when its mtime changes. */
+export function loadGlossary({ force = false } = {}) {
+  const now = Date.now();
+  if (!force && now - lastCheck < RELOAD_CHECK_MS) return glossary;
+  lastCheck = now;
+  try {
+    const { mtimeMs } = fs.statSync(GLOSSARY_FILE);
+    if (force || mtimeMs !== loadedMtime) {
+      glossary = compile(JSON.parse(fs.readFileSync(GLOSSARY_FILE, 'utf8')));
+      loadedMtime = mtimeMs;
+    }
+  } catch (e) {
+    // Keep the last good glossary if the file is missing or mid-edit
+    console.error('[translate] glossary load failed:', e?.message || e);
   }
-  // Then word/fragment-level replacements
-  for (const [pattern, hi] of REPLACEMENTS) {
-    out = out.replace(pattern, hi);
+  return glossary;
+}
+
+// Protected terms → private-use placeholders so no rule can touch them
+function mask(text, protect) {
+  const kept = [];
+  let out = text;
+  for (const term of protect) {
+    if (!out.includes(term)) continue;
+    out = out.split(term).join(String.fromCharCode(0xE000 + kept.length));
+    kept.push(term);
   }
+  return { out, kept };
+}
+function unmask(text, kept) {
+  return text.replace(/[\uE000-\uF8FF]/g, (ch) => kept[ch.charCodeAt(0) - 0xE000] ?? ch);
+}
 
-  // Minor tidy-ups
-  out = out
+function tidy(s) {
+  return s
+    .replace(/\u00A0/g, ' ')
     .replace(/\s+—\s+/g, ' — ')
-    .replace(/\s+/g, match => match.includes('\n') ? match : ' ')
+    .replace(/[ \t]+/g, ' ')
+    .replace(/ *\n */g, '\n')
     .replace(/\. \./g, '.')
     .trim();
+}
 
-  return out;
+// Curated regex phrases may name protected terms themselves ("recite Hanuman
+// Chalisa once"), so they run first; only the token fallback sees masked text.
+function translateSentence(sentence, g) {
+  const hit = g.exact.get(exactKey(sentence));
+  if (hit) return hit;
+  let text = sentence;
+  for (const [re, hi] of g.regex) text = text.replace(re, hi);
+  const { out, kept } = mask(text, g.protect);
+  let done = out;
+  for (const [re, hi] of g.tokens) done = done.replace(re, hi);
+  return unmask(done, kept);
 }
 
-async function translateOne(text, to) {
-  if (!text || to !== 'hi') return text;
-  // Best-effort: try phrase bank + cleanups
-  return cleanHi(String(text));
+/**
+ * Synchronous EN → HI pass: whole-text exact match, then per line and
+ * per sentence (exact → regex → tokens), then Devanagari fixes.
+ * Idempotent on text that is already Hindi.
+ */
+export function translateText(text, to = 'hi') {
+  const s = String(text ?? '');
+  if (!s || to !== 'hi') return s;
+  const g = loadGlossary();
+
+  let out = g.exact.get(exactKey(s));
+  if (!out) {
+    out = s.normalize('NFC').split('\n').map((line) => g.exact.get(exactKey(line))
+      // Sentence-level fallback for lines without a whole-line entry
+      ?? line.split(/(?<=[.!?।])\s+/).map((x) => translateSentence(x, g)).join(' ')).join('\n');
+  }
+  for (const [re, fix] of g.fixes) out = out.replace(re, fix);
+  return tidy(out);
 }
 
-export async function translateAgent(input, to) {
-  const { text, to: lang } = normalizeArgs(input, to);
+/** Best-effort cleanup of Hinglish/English bleed-through and ligature slips in Hindi text. */
+export function cleanHi(s = '') {
+  return translateText(String(s || ''), 'hi');
+}
 
-  // Strings
-  if (typeof text === 'string') {
-    return await translateOne(text, lang);
-  }
+export function cleanHiList(arr) {
+  if (!Array.isArray(arr)) return [];
+  return arr.map(x => cleanHi(String(x ?? '')));
+}
 
-  // Arrays
-  if (Array.isArray(text)) {
-    const out = [];
-    for (const t of text) out.push(await translateOne(t, lang));
-    return out;
-  }
+// ── Coverage: Latin words left after translation ───────────────────────────
 
-  // Objects (rare) — translate leaf strings
-  if (text && typeof text === 'object') {
-    const clone = Array.isArray(text) ? [] : {};
-    for (const k of Object.keys(text)) {
-      const v = text[k];
-      if (typeof v === 'string') clone[k] = await translateOne(v, lang);
-      else if (Array.isArray(v)) clone[k] = await Promise.all(v.map(it => translateOne(it, lang)));
-      else clone[k] = v;
+/** Latin-script words still present in Hindi output (protected terms excluded). */
+export function untranslatedWords(output) {
+  const { out } = mask(String(output ?? ''), loadGlossary().protect);
+  return out.match(/[A-Za-z][A-Za-z'’-]+/g) || [];
+}
+
+// Miss capture (TRANSLATION_CAPTURE=1): one JSONL row per (source, input) with a
+// running count, rewritten a couple of seconds after the latest miss.
+const CAPTURE = /^(1|true|on|yes)$/i.test(String(process.env.TRANSLATION_CAPTURE || ''));
+let misses = null;
+let flushTimer = null;
+
+function missMap() {
+  if (misses) return misses;
+  misses = new Map();
+  try {
+    for (const line of fs.readFileSync(MISS_FILE, 'utf8').split('\n')) {
+      if (!line.trim()) continue;
+      const row = JSON.parse(line);
+      misses.set(`${row.source}\u0000${row.input}`, row);
     }
-    // Server expects a string or {text: "..."} if not a string; return {text: "..."} for safety
-    return { text: JSON.stringify(clone) };
+  } catch {}
+  return misses;
+}
+
+function flushMisses() {
+  flushTimer = null;
+  const rows = [...missMap().values()].map((r) => JSON.stringify(r)).join('\n');
+  try {
+    const tmp = `${MISS_FILE}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, rows ? rows + '\n' : '', 'utf8');
+    fs.renameSync(tmp, MISS_FILE);
+  } catch (e) {
+    console.error('[translate] miss log write failed:', e?.message || e);
   }
+}
+
+function recordMiss(source, input, output) {
+  const leftovers = untranslatedWords(output);
+  if (!leftovers.length) return;
+  const key = `${source}\u0000${input}`;
+  const now = new Date().toISOString();
+  const row = missMap().get(key) || { source, input, count: 0, firstSeen: now };
+  Object.assign(row, { output, leftovers, count: row.count + 1, lastSeen: now });
+  misses.set(key, row);
+  if (!flushTimer) {
+    flushTimer = setTimeout(flushMisses, 2000);
+    flushTimer.unref?.();
+  }
+}
 
-  return String(text ?? '');
+export const missCaptureEnabled = () => CAPTURE;
+
+/** Captured misses, most frequent first. */
+export function translationMisses({ limit = 100 } = {}) {
+  return [...missMap().values()].sort((a, b) => b.count - a.count).slice(0, limit);
+}
+
+/** Translate every string of a content pool and report which ones leak English. */
+export function poolCoverage(strings = []) {
+  const rows = strings.map((text) => {
+    const output = translateText(text, 'hi');
+    return { text, output, leftovers: untranslatedWords(output) };
+  });
+  const missing = rows.filter((r) => r.leftovers.length);
+  return {
+    total: rows.length,
+    covered: rows.length - missing.length,
+    coverage: rows.length ? Math.round(((rows.length - missing.length) / rows.length) * 1000) / 10 : 100,
+    missing,
+  };
+}
+
+export async function translateAgent(input, to, { source } = {}) {
+  const { text, to: lang, source: src } = normalizeArgs(input, to);
+  const from = source || src || 'unknown';
+
+  const one = (t) => {
+    const out = translateText(t, lang);
+    if (CAPTURE && lang === 'hi' && t) recordMiss(from, String(t), out);
+    return out;
+  };
+  if (Array.isArray(text)) return text.map(one);
+  return one(text);
 }
 
 // Export default for ESM default import compatibility
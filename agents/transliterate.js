@@ -0,0 +1,184 @@
+// agents/transliterate.js
+// Deterministic Devanagari → Latin transliteration in the everyday Hinglish
+// style (no diacritics): राहु काल → "Rahu Kaal", मेष → "Mesh", शिव/सोम → "Shiv/Som".
+// Rules, per word:
+//   - inherent "a" is dropped word-finally (kept after r/y/v conjuncts, क्ष and ज्ञ:
+//     "Chandra", "Surya", "Paksha") and in the V C _ C V position ("Somvar")
+//   - long ā/ī/ū are written aa/ee/oo only in closed one-vowel words ("Kaal", "Meen")
+//   - anusvara is "m" before p/ph/b/bh/m, else "n"; final nasal e/ai → "ein"/"ain"
+// Text without Devanagari is returned unchanged.
+
+const CONSONANTS = {
+  'क': 'k', 'ख': 'kh', 'ग': 'g', 'घ': 'gh', 'ङ': 'n',
+  'च': 'ch', 'छ': 'chh', 'ज': 'j', 'झ': 'jh', 'ञ': 'ny',
+  'ट': 't', 'ठ': 'th', 'ड': 'd', 'ढ': 'dh', 'ण': 'n',
+  'त': 't', 'थ': 'th', 'द': 'd', 'ध': 'dh', 'न': 'n',
+  'प': 'p', 'फ': 'ph', 'ब': 'b', 'भ': 'bh', 'म': 'm',
+  'य': 'y', 'र': 'r', 'ल': 'l', 'ळ': 'l', 'व': 'v',
+  'श': 'sh', 'ष': 'sh', 'स': 's', 'ह': 'h',
+};
+// Consonant + nukta (also the precomposed forms U+0958–U+095F)
+const NUKTA = { 'क': 'k', 'ख': 'kh', 'ग': 'g', 'ज': 'z', 'ड': 'r', 'ढ': 'rh', 'फ': 'f', 'य': 'y' };
+const PRECOMPOSED = {
+  'क़': 'k', 'ख़': 'kh', 'ग़': 'g', 'ज़': 'z',
+  'ड़': 'r', 'ढ़': 'rh', 'फ़': 'f', 'य़': 'y',
+};
+// [latin, long] — long vowels may be doubled in closed one-vowel words
+const VOWELS = {
+  'अ': ['a'], 'आ': ['a', 'aa'], 'इ': ['i'], 'ई': ['i', 'ee'], 'उ': ['u'], 'ऊ': ['u', 'oo'],
+  'ऋ': ['ri'], 'ए': ['e'], 'ऐ': ['ai'], 'ओ': ['o'], 'औ': ['au'], 'ऍ': ['e'], 'ऑ': ['o'],
+};
+const MATRAS = {
+  'ा': ['a', 'aa'], 'ि': ['i'], 'ी': ['i', 'ee'], 'ु': ['u'], 'ू': ['u', 'oo'],
+  'ृ': ['ri'], 'े': ['e'], 'ै': ['ai'], 'ो': ['o'], 'ौ': ['au'], 'ॅ': ['e'], 'ॉ': ['o'],
+};
+const VIRAMA = '्';
+const NUKTA_SIGN = '़';
+const NASALS = new Set(['ं', 'ँ']); // anusvara, chandrabindu
+const VISARGA = 'ः';
+const LABIALS = new Set(['p', 'ph', 'b', 'bh', 'm']);
+const KEEP_FINAL_A_AFTER = new Set(['r', 'y', 'v']);
+
+const DEVANAGARI = /[\u0900-\u097F]/;
+const WORD = /[\u0900-\u0963\u0971-\u097F]+/g; // letters and signs, not danda or digits
+
+// Word → units: { c: 'k' } consonants and { v: 'a', long?, schwa?, nasal? } vowels
+function parseWord(word) {
+  const units = [];
+  const chars = [...word];
+  for (let i = 0; i < chars.length; i++) {
+    const ch = chars[i];
+    let cons = PRECOMPOSED[ch] ?? CONSONANTS[ch];
+    if (cons != null) {
+      if (chars[i + 1] === NUKTA_SIGN) { cons = NUKTA[ch] ?? cons; i++; }
+      units.push({ c: cons });
+      const next = chars[i + 1];
+      if (next === VIRAMA) { i++; continue; }
+      if (MATRAS[next]) {
+        const [short, long] = MATRAS[next];
+        units.push({ v: short, long });
+        i++;
+      } else {
+        units.push({ v: 'a', schwa: true });
+      }
+      continue;
+    }
+    if (VOWELS[ch]) {
+      const [short, long] = VOWELS[ch];
+      units.push({ v: short, long });
+      continue;
+    }
+    if (NASALS.has(ch)) {
+      const last = units[units.length - 1];
+      if (last?.v) last.nasal = true;
+      else units.push({ c: 'n' });
+      continue;
+    }
+    if (ch === VISARGA) { units.push({ c: 'h' }); continue; }
+    if (ch === 'ॐ') { units.push({ c: '' }, { v: 'Om' }); continue; }
+    // Anything else (stray signs) is dropped
+  }
+  return units;
+}
+
+const isV = (u) => u && u.v != null && !u.dropped;
+const isC = (u) => u && u.c != null;
+
+function deleteSchwas(units) {
+  const vowels = units.filter((u) => u.v != null);
+  const last = units[units.length - 1];
+  // Word-final inherent a (kept in one-syllable words like न)
+  if (last?.schwa && !last.nasal && vowels.length > 1) {
+    let n = 0;
+    for (let i = units.length - 2; i >= 0 && isC(units[i]); i--) n++;
+    const prev = units[units.length - 2]?.c;
+    const cluster = units.slice(units.length - 1 - n, units.length - 1).map((u) => u.c).join('');
+    const keep = n >= 2 && (KEEP_FINAL_A_AFTER.has(prev) || cluster.endsWith('ksh') || cluster === 'jny');
+    if (!keep) last.dropped = true;
+  }
+  // Medial: V C _ C V, scanning right to left so the right context is settled
+  for (let i = units.length - 3; i >= 2; i--) {
+    const u = units[i];
+    if (!u.schwa || u.nasal || u.dropped) continue;
+    if (isC(units[i - 1]) && isV(units[i - 2]) && isC(units[i + 1]) && isV(units[i + 2])) u.dropped = true;
+  }
+}
+
+function renderWord(word) {
+  const units = parseWord(word);
+  if (!units.length) return '';
+  deleteSchwas(units);
+  const live = units.filter((u) => u.v == null || !u.dropped);
+  const oneVowel = live.filter((u) => u.v != null).length === 1;
+  const closed = isC(live[live.length - 1]) || !!live[live.length - 1]?.nasal;
+
+  let out = '';
+  for (let i = 0; i < live.length; i++) {
+    const u = live[i];
+    if (u.c != null) {
+      // ज्ञ reads "gy" (gyan); jny otherwise never occurs
+      if (u.c === 'j' && live[i + 1]?.c === 'ny') { out += 'gy'; i++; continue; }
+      out += u.c;
+      continue;
+    }
+    out += oneVowel && closed && u.long ? u.long : u.v;
+    if (u.nasal) {
+      const next = live[i + 1];
+      if (!next && (u.v === 'e' || u.v === 'ai')) out = out.replace(/(e|ai)$/, (m) => (m === 'e' ? 'ein' : 'ain'));
+      else out += next?.c != null && LABIALS.has(next.c) ? 'm' : 'n';
+    }
+  }
+  return out;
+}
+
+const DIGITS = '०१२३४५६७८९';
+
+// Postpositions keep their lower case inside labels ("Ashtami tak", not "Ashtami Tak")
+const LOWER_WORDS = new Set(['ka', 'ki', 'ke', 'ko', 'se', 'mein', 'par', 'tak', 'aur']);
+
+function capitalize(text, { title = false } = {}) {
+  if (title) {
+    return text.replace(/(^|[\s/\-–—"“])([a-z]+)/g, (m, p, w, i) =>
+      (i > 0 && LOWER_WORDS.has(w) ? m : p + w[0].toUpperCase() + w.slice(1)));
+  }
+  // Line starts (after list bullets / bold markers) and sentence starts
+  return text.replace(/(^[\s"“(*•-]*|[.!?]\s+["“(]*)([a-z])/gm, (_, p, c) => p + c.toUpperCase());
+}
+
+/**
+ * Devanagari → Hinglish. `title` capitalizes every word (labels, names);
+ * otherwise each sentence starts with a capital.
+ */
+export function transliterate(text, { title = false } = {}) {
+  const s = String(text ?? '');
+  if (!DEVANAGARI.test(s)) return s;
+  const out = s
+    .normalize('NFC')
+    .replace(WORD, (w) => renderWord(w))
+    .replace(/[\u0966-\u096F]/g, (d) => String(DIGITS.indexOf(d)))
+    .replace(/\s*॥\s*/g, '. ')
+    .replace(/\s*।/g, '.')
+    .replace(/॰/g, '.')
+    .replace(/[\u200C\u200D]/g, '')
+    .trim();
+  return capitalize(out, { title });
+}
+
+// Short phrases without sentence punctuation are treated as labels
+const looksLikeLabel = (s) => !/[।.!?]/.test(s) && s.trim().split(/\s+/).length <= 4;
+
+/** Transliterate one display string, choosing label or sentence casing. */
+export function romanizeText(s) {
+  const str = String(s ?? '');
+  return DEVANAGARI.test(str) ? transliterate(str, { title: looksLikeLabel(str) }) : str;
+}
+
+/** Deep copy with every Devanagari string transliterated. */
+export function romanize(value) {
+  if (typeof value === 'string') return romanizeText(value);
+  if (Array.isArray(value)) return value.map(romanize);
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, romanize(v)]));
+  }
+  return value;
+}
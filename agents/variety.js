@@ -1,7 +1,7 @@
 import { pick, pickN, signIndex } from './utils.js';
 
 // Short daily leads
-const LEADS = [
+export const LEADS = [
   'Today favors Momentum with crisp first steps. Your natural drive works best when anchored to one clear priority before noon.',
   'Today favors Clarity & Centering with a clean first move.',
   'Today favors Grounded Focus — fewer tabs, deeper attention.',
@@ -18,7 +18,7 @@ const LEADS = [
 ];
 
 // Rotating actionable pools
-const OPP_POOL = [
+export const OPP_POOL = [
   'Ship one starter task before lunch to unlock afternoon flow.',
   'Touch base with a senior/mentor for a 30-sec checkpoint.',
   'Draft a quick 3–6-month outline so today fits a bigger arc.',
@@ -30,7 +30,7 @@ const OPP_POOL = [
   'Learn one micro-skill you’ll reuse this week.',
   'Polish one thing already working instead of adding new.',
 ];
-const CAUT_POOL = [
+export const CAUT_POOL = [
   'Don’t accept every request — protect a 2-hour deep-work block.',
   'Skip unplanned purchases sparked by mood.',
   'Avoid promising timelines you haven’t pressure-tested.',
@@ -42,7 +42,7 @@ const CAUT_POOL = [
 ];
 
 // Weekday-tuned remedies
-const REMEDY_MAP = {
+export const REMEDY_MAP = {
   0: 'At sunrise, face east and offer gratitude to the Sun; keep 2 minutes of stillness.',
   1: 'At dusk, light a diya and chant “Om Namah Shivaya” 11×.',
   2: 'In the evening, recite Hanuman Chalisa once; offer a little sesame oil.',
@@ -0,0 +1,70 @@
+// agents/weekly.js
+// Day rating for the weekly horoscope, read from each day's sunrise panchang
+// against the sign (taken as the Moon sign):
+//   Chandrabala  the Moon's transit house from the sign — 1, 3, 6, 7, 10, 11
+//                lift the day; 4, 8 and 12 weigh on it
+//   tithi        Amavasya and the Rikta tithis (4th, 9th, 14th) weigh; Shukla helps
+//   yoga/karana  Vyatipata, Vaidhriti and Vishti (Bhadra) weigh
+// Scores run 0–100 around a neutral 50. Reasons come as { en, hi, vars }
+// templates: fill {house}, {tithi}, {yoga} with vars (names are { en, hi }).
+
+import { SIGNS } from './sunSign.js';
+import { houseFrom } from './transits.js';
+
+const GOOD_HOUSES = new Set([1, 3, 6, 7, 10, 11]);
+const WEAK_HOUSES = new Set([4, 8, 12]);
+const RIKTA_TITHIS = [4, 9, 14];
+const BAD_YOGAS = [16, 26];
+
+/** Rate one day: { score, tone: 'good'|'steady'|'caution', moonHouse, reasons[] }. */
+export function rateDay({ sign, vedic }) {
+  const reasons = [];
+  let score = 50;
+
+  const moonSign = vedic?.moonSign?.key;
+  const moonHouse = SIGNS.includes(sign) && SIGNS.includes(moonSign)
+    ? houseFrom(sign, moonSign)
+    : null;
+  if (moonHouse && GOOD_HOUSES.has(moonHouse)) {
+    score += 20;
+    reasons.push({ en: 'Moon in your house {house} — supportive', hi: 'चंद्र आपके भाव {house} में — सहायक', vars: { house: moonHouse } });
+  } else if (moonHouse === 8) {
+    score -= 25;
+    reasons.push({ en: 'Moon in your 8th house — keep plans light', hi: 'चंद्र आपके आठवें भाव में — योजनाएँ हल्की रखें', vars: {} });
+  } else if (moonHouse && WEAK_HOUSES.has(moonHouse)) {
+    score -= 15;
+    reasons.push({ en: 'Moon in your house {house} — go steady', hi: 'चंद्र आपके भाव {house} में — संयम रखें', vars: { house: moonHouse } });
+  }
+
+  const tithi = vedic?.tithi;
+  if (tithi?.index === 29) {
+    score -= 20;
+    reasons.push({ en: 'Amavasya — rest and reflect', hi: 'अमावस्या — विश्राम और चिंतन', vars: {} });
+  } else if (tithi && RIKTA_TITHIS.includes(tithi.number)) {
+    score -= 10;
+    reasons.push({ en: '{tithi} is a Rikta tithi', hi: '{tithi} रिक्ता तिथि है', vars: { tithi: { en: tithi.en, hi: tithi.hi } } });
+  }
+  if (vedic?.paksha?.key === 'shukla') score += 5;
+  if (BAD_YOGAS.includes(vedic?.yoga?.index)) {
+    score -= 15;
+    reasons.push({ en: '{yoga} yoga — avoid fresh starts', hi: '{yoga} योग — नई शुरुआत टालें', vars: { yoga: { en: vedic.yoga.en, hi: vedic.yoga.hi } } });
+  }
+  if (vedic?.karana?.en === 'Vishti') {
+    score -= 10;
+    reasons.push({ en: 'Vishti (Bhadra) karana at sunrise', hi: 'सूर्योदय पर विष्टि (भद्रा) करण', vars: {} });
+  }
+
+  score = Math.max(0, Math.min(100, score));
+  return { score, tone: score >= 65 ? 'good' : score < 45 ? 'caution' : 'steady', moonHouse, reasons };
+}
+
+/**
+ * Best and weakest days of a rated week (each item needs `score` and `date`):
+ * up to two days at the top, and up to two below neutral at the bottom.
+ */
+export function bestAndWorst(days) {
+  const ranked = [...days].sort((a, b) => b.score - a.score || a.date.localeCompare(b.date));
+  const best = ranked.slice(0, 2);
+  const worst = ranked.slice(-2).reverse().filter((d) => d.score < 50 && !best.includes(d));
+  return { best, worst };
+}
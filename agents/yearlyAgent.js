@@ -1,5 +1,7 @@
 // agents/yearlyAgent.js
 
+import { numerologyArc } from './numerology.js';
+
 // Small date helpers (local to this module)
 function startOfMonthUTC(d = new Date()) {
   const x = new Date(d);
@@ -226,7 +228,8 @@ export async function getYearlyForUser({
   sign = 'aries',
   persona = 'homemaker',
   anchorDate = null,
-  lang = 'en'
+  lang = 'en',
+  dob = null
 } = {}) {
   const anchor = startOfMonthUTC(anchorDate ? new Date(anchorDate) : nearestAugStart());
 
@@ -237,10 +240,8 @@ export async function getYearlyForUser({
     vedicSciences: [
       'Mars favours initiative; Saturn rewards tidy routines; Jupiter supports learning/mentors; Rahu/Ketu bring adjustments—double-check steps.'
     ],
-    numerologyArc: [
-      "Apr ’25–Apr ’26: creative, communicative.",
-      "Apr ’26–Apr ’27: systems, foundations."
-    ],
+    // Personal years across the 12-month window; empty without a dob
+    numerologyArc: numerologyArc({ dob, from: anchor, months: 12, lang }),
     summary:
       'A communicative, steady year that benefits from small, regular actions and simple, reliable systems. Two change pulses in mid-winter; a warm family window around year-end; resources clarify in late spring.',
     planetHighlights: [
@@ -8,16 +8,39 @@ import { fileURLToPath } from 'url';
 
 // agents (unchanged external files)
 import contentBank from './agents/contentBank.js';
-import { hashCode, toISTParts, cleanText, capSign, cleanHi, cleanHiList, fmtTimeIST, fmtSubLine } from './agents/utils.js';
+import { hashCode, toISTParts, cleanText, capSign, fmtTimeIST, fmtSubLine, zonedTimeToUtc, badRequest } from './agents/utils.js';
 import { policyAgent } from './agents/policy.js';
 import { dayDeityAgent } from './agents/dayDeity.js';
 import { specialDayAgent } from './agents/specialDay.js';
 import { fortuneLineAgent } from './agents/fortuneLine.js';
-import { quoteMoodAgent } from './agents/quoteMood.js';
-import { panchangAgent } from './agents/panchang.js';
-import { varietyAgent } from './agents/variety.js';
-import { translateAgent } from './agents/translate.js';
+import { quoteMoodAgent, QUOTES, AFFIRMATIONS, MOODS } from './agents/quoteMood.js';
+import { panchangAgent, vedicExplain, keyTithiDates, localDateParts, normalizeLocation } from './agents/panchang.js';
+import { choghadiyaAgent } from './agents/choghadiya.js';
+import { muhuratSearch } from './agents/muhurat.js';
+import { searchPlaces, resolvePlace, placeLabel } from './agents/gazetteer.js';
+import { varietyAgent, LEADS, OPP_POOL, CAUT_POOL, REMEDY_MAP } from './agents/variety.js';
+import { translateAgent, cleanHi, cleanHiList, poolCoverage, translationMisses, missCaptureEnabled } from './agents/translate.js';
+import { getChatProvider } from './agents/llm.js';
+import { normalizeChatMessages, chatSystemPrompt, sentenceBuffer, summarizeTurns } from './agents/chat.js';
+import {
+  getProfile, rememberProfile, factsFromText,
+  createThread, getThread, listThreads, deleteThread, saveThread, compactThread,
+} from './agents/chatStore.js';
+import { createToolBridge, runWithTools } from './agents/chatTools.js';
 import { greeting, formatAgent } from './agents/format.js';
+import {
+  negotiateLang, pdfLang, fontFor, fontStatus, localeSection, labeler, intlLocale,
+  isRomanized, contentLang, localized,
+} from './agents/locale.js';
+import { romanize, romanizeText } from './agents/transliterate.js';
+import { natalChart, resolveSignForBasis } from './agents/natal.js';
+import { kundliChart, GRAHAS } from './agents/kundli.js';
+import { dashaForBirth, dashaAt, antardashasBetween, publicPeriod } from './agents/dasha.js';
+import { transitEvents, transitAlerts, saturnStatus } from './agents/transits.js';
+import { compatibility } from './agents/compatibility.js';
+import { numerologyProfile } from './agents/numerology.js';
+import { rateDay, bestAndWorst } from './agents/weekly.js';
+import { normalizePersona } from './agents/occupationAgent.js';
 
 // ⬇️ App
 const app  = express();
@@ -44,6 +67,7 @@ app.use((req, res, next) => {
 // ── Try to import yearly & family agents (robust URL import + logging) ───────
 let getYearlyForUser = null;
 let buildFamilySections = null;
+let familyHarmonyWindows = null;
 
 try {
   const yearlyUrl = new URL('./agents/yearlyAgent.js', import.meta.url);
@@ -64,6 +88,7 @@ try {
     familyAgentMod?.buildFamilySections ||
     familyAgentMod?.default?.buildFamilySections ||
     null;
+  familyHarmonyWindows = familyAgentMod?.familyHarmonyWindows || null;
   console.log('[familyAgent] loaded:', !!buildFamilySections);
 } catch (e) {
   console.warn('[familyAgent] not loaded (optional):', e?.message || e);
@@ -75,25 +100,12 @@ try {
 const __filename = fileURLToPath(import.meta.url);
 const __dirname  = path.dirname(__filename);
 
-const FONT = {
-  en: {
-    regular: path.join(__dirname, 'fonts', 'NotoSans-Regular.ttf'),
-    bold:    path.join(__dirname, 'fonts', 'NotoSans-Bold.ttf'),
-  },
-  hi: {
-    regular: path.join(__dirname, 'fonts', 'NotoSansDevanagari-Regular.ttf'),
-    bold:    path.join(__dirname, 'fonts', 'NotoSansDevanagari-Bold.ttf'),
-  },
-};
-
+// Font files per script are mapped in agents/locale.js; a language whose
+// script fonts are missing renders its PDFs in English (pdfLang), announced
+// in the X-AB-PDF-Lang header (pdfLangFor).
 function checkFonts() {
-  const exists = {
-    'NotoSans-Regular.ttf':            fs.existsSync(FONT.en.regular),
-    'NotoSans-Bold.ttf':               fs.existsSync(FONT.en.bold),
-    'NotoSansDevanagari-Regular.ttf':  fs.existsSync(FONT.hi.regular),
-    'NotoSansDevanagari-Bold.ttf':     fs.existsSync(FONT.hi.bold),
-  };
-  return { exists, ready: Object.values(exists).every(Boolean), paths: FONT };
+  const status = fontStatus();
+  return { ...status, ready: status.scripts.Latin && status.scripts.Devanagari };
 }
 const { ready: FONTS_READY } = checkFonts();
 
@@ -117,42 +129,86 @@ async function toLangList(arr, lang) {
   return out;
 }
 
-// ── Zodiac display helper ─────────────────────────────────────────────────────
-const ZODIAC_HI = {
-  aries: 'मेष', taurus: 'वृषभ', gemini: 'मिथुन', cancer: 'कर्क',
-  leo: 'सिंह', virgo: 'कन्या', libra: 'तुला', scorpio: 'वृश्चिक',
-  sagittarius: 'धनु', capricorn: 'मकर', aquarius: 'कुंभ', pisces: 'मीन'
-};
+// ── Zodiac / Vedic display names (data/locales/<lang>.json) ─────────────────
 function signDisplay(sign, lang = 'en') {
   const s = String(sign || '').toLowerCase();
-  return lang === 'hi' ? (ZODIAC_HI[s] || capSign(s)) : capSign(s);
+  return lang === 'en' ? capSign(s) : (localeSection(lang, 'zodiac')[s] || capSign(s));
 }
 
 // Localized Vedic labels for UI (JSON helpers)
 function getVedicNames(lang = 'en') {
-  if (lang === 'hi') {
-    return {
-      rahuKaal: 'राहु काल',
-      yamaganda: 'यमगण्ड',
-      gulikaKaal: 'गुलिक काल',
-      abhijitMuhurat: 'अभिजीत मुहूर्त',
-    };
-  }
-  return {
-    rahuKaal: 'Rahu Kaal',
-    yamaganda: 'Yamaganda',
-    gulikaKaal: 'Gulika Kaal',
-    abhijitMuhurat: 'Abhijit Muhurat',
-  };
+  return localeSection(lang, 'vedic');
 }
+// Graha key → { en, hi } names (agents/kundli.js)
+const GRAHA_NAMES = Object.fromEntries(GRAHAS.map((g) => [g.key, g]));
 
 // ─────────────────────────────────────────────────────────────────────────────
 // PDF helpers
 // ─────────────────────────────────────────────────────────────────────────────
+// Localized labels for the Choghadiya / Hora tables
+function getPanchangTableNames(lang = 'en') {
+  return localeSection(lang, 'panchangTables');
+}
+// Attach `label` / `natureLabel` for the requested language to agent rows
+function localizeDayTables(t, lang = 'en') {
+  const names = getPanchangTableNames(lang);
+  const row = (r) => ({ ...r, label: localized(r, lang), natureLabel: r.nature ? names.nature[r.nature] : undefined });
+  return {
+    ...t,
+    labels: names,
+    choghadiya: { day: t.choghadiya.day.map(row), night: t.choghadiya.night.map(row) },
+    hora: t.hora.map(row),
+  };
+}
+
+// " (until HH:MM)" after a panchang element, worded once for every language.
+// Hinglish gets its own lowercase "tak" so label casing never touches it.
+function untilSuffix({ endsAt, endsNextDay } = {}, lang = 'en') {
+  if (!endsAt) return '';
+  if (isRomanized(lang)) return ` (${endsNextDay ? 'agle din ' : ''}${endsAt} tak)`;
+  if (lang === 'hi') return ` (${endsNextDay ? 'अगले दिन ' : ''}${endsAt} तक)`;
+  return ` (until ${endsAt}${endsNextDay ? ' next day' : ''})`;
+}
+
+// Panchang elements (tithi, nakshatra, …) as localized "Name (until HH:MM)" strings.
+// Hinglish transliterates the Hindi names alone, as labels.
+function panchangElementValues(vedic, lang = 'en') {
+  const roman = isRomanized(lang);
+  const base = contentLang(lang);
+  const pick = (el) => {
+    if (!el) return null;
+    const name = el[base] ?? el.en;
+    return roman ? romanizeText(name) : name;
+  };
+  const until = (el) => untilSuffix(el, lang);
+  const pada = (n) => (base === 'hi' ? `, ${roman ? 'charan' : 'चरण'} ${n}` : `, pada ${n}`);
+  const nak = vedic?.nakshatra;
+  return {
+    tithi:     vedic?.tithi ? `${pick(vedic.tithi)}${until(vedic.tithi)}` : null,
+    paksha:    pick(vedic?.paksha),
+    nakshatra: nak ? `${pick(nak)}${pada(nak.pada)}${until(nak)}` : null,
+    yoga:      vedic?.yoga ? `${pick(vedic.yoga)}${until(vedic.yoga)}` : null,
+    karana:    vedic?.karana ? `${pick(vedic.karana)}${until(vedic.karana)}` : null,
+    moonSign:  pick(vedic?.moonSign),
+  };
+}
+
+// Report document for the output language. Romanized (Hinglish) reports are
+// composed from the Hindi content and transliterated as each string is drawn.
+function createReportDoc(outLang) {
+  const doc = new PDFDocument({ margin: 36, bufferPages: true });
+  if (isRomanized(outLang)) {
+    const text = doc.text.bind(doc);
+    doc.text = (str, ...rest) => text(typeof str === 'string' ? romanizeText(str) : str, ...rest);
+    doc.romanized = true;
+  }
+  return doc;
+}
+
 function applyFont(doc, { lang = 'en', weight = 'regular' } = {}) {
   if (!FONTS_READY) return;
-  if (lang === 'hi') doc.font(weight === 'bold' ? FONT.hi.bold : FONT.hi.regular);
-  else doc.font(weight === 'bold' ? FONT.en.bold : FONT.en.regular);
+  const font = (doc.romanized ? null : fontFor(lang)) || fontFor('en');
+  doc.font(weight === 'bold' ? font.bold : font.regular);
 }
 function drawBullets(doc, items = [], { lang = 'en' } = {}) {
   const bullet = '•';
@@ -194,7 +250,7 @@ function addBrandHeader(doc, { lang, brand, titleLine, subLine }) {
   doc.moveDown(0.6);
 }
 function addUserBlock(doc, { lang, user }) {
-  const L = (en, hi) => lang === 'hi' ? hi : en;
+  const L = labeler(lang);
   const rows = [];
   if (user?.name)    rows.push([L('Name', 'नाम'), user.name]);
   if (user?.phone)   rows.push([L('Phone', 'फ़ोन'), user.phone]);
@@ -202,7 +258,12 @@ function addUserBlock(doc, { lang, user }) {
   if (user?.gender)  rows.push([L('Gender', 'लिंग'), user.gender]);
   if (user?.dob)     rows.push([L('DOB', 'जन्म तिथि'), user.dob]);
   if (user?.tob || user?.time) rows.push([L('Time', 'जन्म समय'), user?.tob || user?.time]);
-  if (user?.place)   rows.push([L('Place', 'जन्म स्थान'), user.place]);
+  if (user?.place) {
+    const hit = resolvePlace(user.place);
+    rows.push([L('Place', 'जन्म स्थान'), hit
+      ? `${placeLabel(hit, lang)} (${hit.lat.toFixed(2)}, ${hit.lon.toFixed(2)} · ${hit.tz})`
+      : user.place]);
+  }
   if (!rows.length) return;
 
   applyFont(doc, { lang, weight: 'bold' });
@@ -213,28 +274,85 @@ function addUserBlock(doc, { lang, user }) {
   doc.moveDown(0.8);
 }
 function addVedicTimings(doc, { lang, timings }) {
-  const L = (en, hi) => lang === 'hi' ? hi : en;
+  const L = labeler(lang);
+  const names = getVedicNames(lang);
   applyFont(doc, { lang, weight: 'bold' });
-  doc.fontSize(12).text(L('Vedic Timings (IST)', 'वैदिक समय (भारतीय मानक समय)'));
+  const tz = timings?.tz || 'Asia/Kolkata';
+  doc.fontSize(12).text(tz === 'Asia/Kolkata'
+    ? L('Vedic Timings (IST)', 'वैदिक समय (भारतीय मानक समय)')
+    : `${L('Vedic Timings', 'वैदिक समय')} (${tz})`);
   applyFont(doc, { lang });
   doc.moveDown(0.2);
 
-  const { rahuKaal, yamaganda, gulikaKaal, abhijitMuhurat } = timings || {};
+  const { rahuKaal, yamaganda, gulikaKaal, abhijitMuhurat, sunrise, sunset } = timings || {};
   const rows = [
-    [L('Rahu Kaal', 'राहु काल'), rahuKaal || '-'],
-    [L('Yamaganda', 'यमगण्ड'), yamaganda || '-'],
-    [L('Gulika Kaal', 'गुलिक काल'), gulikaKaal || '-'],
-    [L('Abhijit Muhurat', 'अभिजीत मुहूर्त'), abhijitMuhurat || '-'],
+    [L('Sunrise / Sunset', 'सूर्योदय / सूर्यास्त'), sunrise && sunset ? `${sunrise} / ${sunset}` : '-'],
+    [names.rahuKaal, rahuKaal || '-'],
+    [names.yamaganda, yamaganda || '-'],
+    [names.gulikaKaal, gulikaKaal || '-'],
+    [names.abhijitMuhurat, abhijitMuhurat || '-'],
   ];
+  const el = panchangElementValues(timings, lang);
+  ['tithi', 'paksha', 'nakshatra', 'yoga', 'karana', 'moonSign'].forEach(k => {
+    if (el[k]) rows.push([names[k], el[k]]);
+  });
   rows.forEach(([k, v]) => doc.text(`${k}: ${v}`));
   doc.moveDown(0.4);
 }
+// Simple 3-column table (time | name | note) for Choghadiya / Hora slots
+function addSlotTable(doc, { lang, heading, rows = [] }) {
+  const left = doc.page.margins.left;
+  const bottom = doc.page.height - doc.page.margins.bottom;
+  const cols = [left, left + 110, left + 230];
+  if (doc.y > bottom - 80) doc.addPage();
+
+  applyFont(doc, { lang, weight: 'bold' });
+  doc.fontSize(12).text(heading, left);
+  applyFont(doc, { lang });
+  doc.moveDown(0.2);
+  doc.fontSize(10);
+  rows.forEach(([time, name, note]) => {
+    if (doc.y > bottom - 16) doc.addPage();
+    const y = doc.y;
+    doc.text(time, cols[0], y, { width: 105 });
+    doc.text(name, cols[1], y, { width: 115 });
+    doc.text(note || '', cols[2], y, { width: 200 });
+    doc.x = left;
+    doc.y = y + 14;
+  });
+  doc.moveDown(0.4);
+  doc.fontSize(12);
+}
+function addDayTables(doc, { lang, tables, choghadiya = true, hora = true }) {
+  if (!tables?.available) return;
+  const names = tables.labels;
+  const slotRows = (list) => list.map(r => [`${r.start}–${r.end}`, r.label, r.natureLabel]);
+  if (choghadiya) {
+    addSlotTable(doc, { lang, heading: `${names.choghadiya} — ${names.day}`, rows: slotRows(tables.choghadiya.day) });
+    addSlotTable(doc, { lang, heading: `${names.choghadiya} — ${names.night}`, rows: slotRows(tables.choghadiya.night) });
+  }
+  if (hora) {
+    addSlotTable(doc, {
+      lang, heading: names.hora,
+      rows: tables.hora.map(r => [`${r.start}–${r.end}`, r.label, r.night ? names.night : names.day]),
+    });
+  }
+}
 function addVedicNote(doc, { lang }) {
   doc.fontSize(9).fillColor('#666').text(vedicAssumptionNote(lang));
   doc.fillColor('black').moveDown(0.6);
   doc.fontSize(12);
 }
+// Space a heading needs below it so it does not end a page on its own
+const KEEP_WITH_NEXT = 72;
+
+// Start on the next page unless `space` pt are left on this one
+function keepWithNext(doc, space = KEEP_WITH_NEXT) {
+  if (doc.y > doc.page.height - doc.page.margins.bottom - space) doc.addPage();
+}
+
 function addSection(doc, { lang, heading, paragraphs = [] }) {
+  keepWithNext(doc);
   applyFont(doc, { lang, weight: 'bold' });
   doc.fontSize(14).text(cleanText(heading));
   applyFont(doc, { lang });
@@ -243,43 +361,257 @@ function addSection(doc, { lang, heading, paragraphs = [] }) {
   doc.moveDown(0.4);
 }
 
-// --- header/date helpers for yearly ---
-function fmtDateShortDisplay(dateStr) {
-  try {
-    const [y, m, d] = String(dateStr).split('-').map(Number);
-    const dt = new Date(Date.UTC(y, (m || 1) - 1, d || 1));
-    return dt.toLocaleDateString('en-GB', { day: '2-digit', month: 'short', year: 'numeric', timeZone: 'UTC' }); // e.g., 21 Aug 2025
-  } catch { return dateStr; }
+// "2026-10-02" → "2 Oct" (or "2 Oct 2026") in the request language
+function fmtDayMonth(dateStr, lang, { year = false } = {}) {
+  return new Date(`${dateStr}T00:00:00Z`).toLocaleDateString(intlLocale(lang), {
+    day: 'numeric', month: 'short', ...(year && { year: 'numeric' }), timeZone: 'UTC',
+  });
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// REPORT TEMPLATES — one renderer for every header → details → blocks → footer PDF
+// ─────────────────────────────────────────────────────────────────────────────
+// A report is a plain object: { lang, title, subtitle, brand, user?, blocks: [] }.
+// The brand header and the "Details:" user block come first, then the blocks in
+// order. Every block is { type, before?, after? } (moveDown gaps) plus its own
+// fields; null/false entries are skipped, so templates can write `cond && {…}`.
+// Headings (heading, section, headed bullets) and months also become contents
+// entries — PDF bookmarks, plus the rows of a `contents` block — unless they
+// carry `toc: false`; `toc: '<title>'` renames one and `tocLevel` nests it
+// (headings smaller than 14 sit at level 1). `keep` is the space (pt) a block
+// needs left on the page, else it starts on the next one; blocks that open
+// with a heading keep it with their first lines, months get MONTH_MIN_SPACE.
+//   heading      { text, size = 14, align, underline }
+//   paragraph    { text | runs: [{ text, bold, color }], size = 12, bold, color, align, gap }
+//   bullets      { heading?, headingGap?, items }   skipped when items is empty
+//   section      { heading, paragraphs }             bold heading + justified paragraphs
+//   kv           { rows: [[key, value]], size = 12 }  "Key: value" lines; empty values dropped, skipped when none are left
+//   timings      { timings }                         sunrise/sunset, kaal windows, panchang
+//   dayTables    { tables, choghadiya, hora }
+//   vedicNote    {}                                  06:00-sunrise approximation note
+//   divider      {}
+//   pageBreak    {}
+//   phaseBlocks  { phaseBlocks }
+//   dashaWindow  { dasha, from, to }
+//   month        { month, dt, dasha }               one month of the yearly model
+//   finalNote    { policy }                          "Final Note", disclaimer, thanks
+//   blessing     { text }
+//   footer       { text }                            "© <year> <text>", centred
+//   contents     { depth = 0 }                       contents list (levels ≤ depth) on the
+//                                                    rest of this page; the report goes on overleaf
+//   kundliCharts { kundli }                          North and South Indian charts side by side, kept on one page
+//   planetTable  { kundli }                          graha, rashi, degree, nakshatra, house, retrograde
+//   coupleColumns { people: { groom, bride } }      Kundli Milan birth details in two columns
+//   gunaTable    { milan }                           the eight kootas with their scores
+//   familyMember { member, anchor }                  one member's year in the family report
+// Multi-page reports get "Page X of Y" footers and, from page 2, a running
+// header with the brand and title.
+const REPORT_BLOCKS = {
+  heading(doc, b, lang) {
+    applyFont(doc, { lang, weight: 'bold' });
+    doc.fontSize(b.size || 14).text(b.text, { align: b.align || 'left', underline: !!b.underline });
+    applyFont(doc, { lang });
+  },
+  paragraph(doc, b, lang) {
+    const runs = b.runs || [{ text: b.text }];
+    doc.fontSize(b.size || 12);
+    runs.forEach((r, i) => {
+      applyFont(doc, { lang, weight: (r.bold ?? b.bold) ? 'bold' : 'regular' });
+      doc.fillColor(r.color || b.color || 'black').text(String(r.text ?? ''), {
+        continued: i < runs.length - 1, align: b.align || 'left', paragraphGap: b.gap || 0,
+      });
+    });
+    applyFont(doc, { lang });
+    doc.fillColor('black');
+  },
+  bullets(doc, b, lang) {
+    if (b.heading) {
+      REPORT_BLOCKS.heading(doc, { text: b.heading }, lang);
+      if (b.headingGap) doc.moveDown(b.headingGap);
+    }
+    drawBullets(doc, b.items, { lang });
+  },
+  section: (doc, b, lang) => addSection(doc, { lang, heading: b.heading, paragraphs: b.paragraphs }),
+  kv(doc, b) {
+    doc.fontSize(b.size || 12);
+    b.rows.filter(([, v]) => v != null && v !== '').forEach(([k, v]) => doc.text(`${k}: ${cleanText(String(v))}`));
+  },
+  timings: (doc, b, lang) => addVedicTimings(doc, { lang, timings: b.timings }),
+  dayTables: (doc, b, lang) => addDayTables(doc, { lang, tables: b.tables, choghadiya: !!b.choghadiya, hora: !!b.hora }),
+  vedicNote: (doc, b, lang) => addVedicNote(doc, { lang }),
+  divider(doc) {
+    doc.moveTo(doc.page.margins.left, doc.y)
+       .lineTo(doc.page.width - doc.page.margins.right, doc.y)
+       .strokeColor('#e6e6e6').stroke().strokeColor('black');
+  },
+  pageBreak: (doc) => doc.addPage(),
+  phaseBlocks: (doc, b, lang) => addPhaseBlocks(doc, { lang, phaseBlocks: b.phaseBlocks }),
+  dashaWindow: (doc, b, lang) => addDashaWindow(doc, { lang, dasha: b.dasha, from: b.from, to: b.to }),
+  month: (doc, b, lang) => renderMonthFlow(doc, { lang, m: b.month, dt: b.dt, dasha: b.dasha }),
+  finalNote(doc, b, lang) {
+    REPORT_BLOCKS.heading(doc, { text: labeler(lang)('Final Note', 'अंतिम नोट'), size: 12 }, lang);
+    doc.moveDown(0.2);
+    doc.fontSize(11).text(b.policy.disclaimer);
+    doc.moveDown(0.6);
+    doc.fontSize(12).text(b.policy.thanks);
+  },
+  blessing: (doc, b, lang) => REPORT_BLOCKS.heading(doc, { text: b.text, size: 12 }, lang),
+  footer(doc, b) {
+    doc.fontSize(9).fillColor('#555').text(`© ${new Date().getFullYear()} ${b.text}`, { align: 'center' });
+    doc.fillColor('black');
+  },
+  // Filled in by renderReport once the pages of every entry are known
+  contents(doc, b, lang, ctx) {
+    ctx.contents = { page: doc.bufferedPageRange().count, y: doc.y, depth: b.depth ?? 0 };
+    doc.addPage();
+  },
+  kundliCharts: (doc, b, lang) => addKundliCharts(doc, { lang, kundli: b.kundli }),
+  planetTable: (doc, b, lang) => addPlanetTable(doc, { lang, kundli: b.kundli }),
+  coupleColumns: (doc, b, lang) => addCoupleColumns(doc, { lang, people: b.people }),
+  gunaTable: (doc, b, lang) => addGunaTable(doc, { lang, milan: b.milan }),
+  familyMember: (doc, b, lang) => addFamilyMember(doc, { lang, member: b.member, anchor: b.anchor }),
+};
+
+const isEmptyBlock = (b) =>
+  (b.type === 'bullets' && !b.items?.length) ||
+  (b.type === 'kv' && !b.rows.some(([, v]) => v != null && v !== ''));
+
+// Contents title of a block: `toc` when given (false leaves it out), else its heading
+function tocTitle(b, lang) {
+  if (b.toc === false) return null;
+  if (typeof b.toc === 'string') return b.toc;
+  if (b.type === 'section' || b.type === 'bullets') return b.heading ? cleanText(b.heading) : null;
+  if (b.type === 'heading') return b.text;
+  if (b.type === 'month') return monthFlowTitle(b.month, b.dt, lang);
+  return null;
+}
+const tocLevel = (b) => b.tocLevel ?? (b.type === 'heading' && (b.size || 14) < 14 ? 1 : 0);
+
+// Blocks that open with a heading, kept with the lines below it
+const HEADED_BLOCKS = new Set(['heading', 'section', 'bullets', 'timings', 'dashaWindow', 'phaseBlocks', 'finalNote']);
+const keepFor = (doc, b, entry) => b.keep ?? (b.type === 'month' ? MONTH_MIN_SPACE
+  : b.type === 'kundliCharts' ? kundliChartsHeight(doc)
+  : entry || (HEADED_BLOCKS.has(b.type) && (b.type !== 'bullets' || b.heading)) ? KEEP_WITH_NEXT : 0);
+
+function renderReport(doc, { lang, title, subtitle, brand = {}, user = null, blocks = [] }) {
+  applyFont(doc, { lang });
+  const brandFixed = ensureBrandWithLogo({ ...brand, appName: brand?.appName || 'Astro-Baba' });
+  addBrandHeader(doc, { lang, brand: brandFixed, titleLine: title, subLine: subtitle });
+  if (user) {
+    addUserBlock(doc, { lang, user: {
+      name: user.name, phone: user.phone, email: user.email, gender: user.gender,
+      dob:  user.dob,  tob:   user.time || user.tob,      place: user.place,
+    }});
+  }
+  const ctx = { toc: [], contents: null };
+  blocks.filter((b) => b && !isEmptyBlock(b)).forEach((b) => {
+    if (b.before) doc.moveDown(b.before);
+    const entry = tocTitle(b, lang);
+    const keep = keepFor(doc, b, entry);
+    if (keep) keepWithNext(doc, keep);
+    if (entry) markToc(doc, ctx.toc, { title: entry, level: tocLevel(b) });
+    REPORT_BLOCKS[b.type](doc, b, lang, ctx);
+    if (b.after) doc.moveDown(b.after);
+  });
+
+  if (ctx.contents) {
+    doc.switchToPage(ctx.contents.page - 1);
+    addToc(doc, { lang, entries: ctx.toc.filter((e) => e.level <= ctx.contents.depth), y: ctx.contents.y });
+  }
+  finishPages(doc, { lang, toc: ctx.toc, header: `${brandFixed.appName} · ${title}` });
 }
-function monthYearShort(dt) {
-  return dt.toLocaleDateString('en-GB', { month: 'short', year: 'numeric', timeZone: 'UTC' }); // e.g., Aug 2025
+
+// ── Contents, bookmarks and page furniture ─────────────────────────────────
+
+// Contents entry for what is drawn next: its page, plus a named destination
+// for the contents row to link to
+function markToc(doc, toc, { title, level = 0 }) {
+  const dest = `toc-${toc.length + 1}`;
+  doc.addNamedDestination(dest, 'XYZ', null, doc.y, null);
+  toc.push({ title, level, page: doc.bufferedPageRange().count, dest });
 }
-function anchorRangeLabel(anchor) {
-  const start = new Date(anchor);
-  const end = addMonthsUTC(anchor, 11);
-  return `${monthYearShort(start)} TO ${monthYearShort(end)}`; // ASCII "TO"
+
+// Contents list at a saved position: title … page, each row linked to its entry
+function addToc(doc, { lang, entries, y }) {
+  const L = labeler(lang);
+  const left = doc.page.margins.left;
+  const width = doc.page.width - left - doc.page.margins.right;
+  doc.y = y;
+  applyFont(doc, { lang, weight: 'bold' });
+  doc.fontSize(14).text(L('Contents', 'विषय-सूची'), left, doc.y);
+  applyFont(doc, { lang });
+  doc.moveDown(0.3);
+  doc.fontSize(12);
+  const lineH = doc.currentLineHeight(true);
+  entries.forEach((e) => {
+    const rowY = doc.y;
+    const indent = e.level ? 14 : 0;
+    doc.text(e.title, left + indent, rowY, { width: width - 50 - indent, height: lineH + 1, ellipsis: true, goTo: e.dest });
+    doc.text(String(e.page), left, rowY, { width, align: 'right', goTo: e.dest });
+    doc.y = rowY + lineH;
+  });
 }
 
-// Yearly-specific user details (no "Details:" heading)
-function addUserDetailsYearly(doc, { user = {} }) {
-  const u = user || {};
-  const rows = [];
-  const push = (label, value) => { if (value) rows.push([label, String(value)]); };
-
-  push('Name', u.name);
-  push('Phone No.', u.phone);
-  push('Email', u.email);
-  push('Date of Birth (DOB)', u.dob);
-  push('Place of Birth', u.place || u.placeOfBirth);
-  push('Time of Birth', u.time || u.tob || u.timeOfBirth);
-  push('Sex', u.gender || u.sex);
-  push('Occupation', u.occupation || u.job || u.profession);
-  push('Language', u.lang || u.language);
+// Once every page exists: PDF bookmarks for the contents entries (level 1
+// under the level-0 entry before it), then the running header from page 2 on
+// and "Page X of Y" footers. Single-page reports only get the bookmarks.
+function finishPages(doc, { lang, toc = [], header }) {
+  const L = labeler(lang);
+  let parent = null;
+  toc.forEach((e) => {
+    doc.switchToPage(e.page - 1);
+    const item = (e.level && parent ? parent : doc.outline).addItem(doc.romanized ? romanizeText(e.title) : e.title);
+    if (!e.level) parent = item;
+  });
 
-  if (!rows.length) return;
-  doc.moveDown(0.2);
-  rows.forEach(([k, v]) => doc.text(`${k}: ${cleanText(v)}`));
-  doc.moveDown(0.6);
+  const { start, count } = doc.bufferedPageRange();
+  if (count < 2) return;
+  for (let i = start; i < start + count; i++) {
+    doc.switchToPage(i);
+    const { left, right, bottom } = doc.page.margins;
+    const width = doc.page.width - left - right;
+    // Both lines sit in the margins; lift the bottom margin so pdfkit does not break the page
+    doc.page.margins.bottom = 0;
+    applyFont(doc, { lang });
+    doc.fontSize(8).fillColor('#888');
+    if (i > start) {
+      doc.text(header, left, 14, { width, height: doc.currentLineHeight(true) + 1, ellipsis: true });
+      doc.moveTo(left, 28).lineTo(left + width, 28).strokeColor('#e6e6e6').stroke().strokeColor('black');
+    }
+    const label = L('Page {page} of {pages}', 'पृष्ठ {page} / {pages}')
+      .replace('{page}', i - start + 1).replace('{pages}', count);
+    doc.text(label, left, doc.page.height - bottom + 12, { width, align: 'center' });
+    doc.fillColor('black');
+    doc.page.margins.bottom = bottom;
+  }
+}
+
+// Validate a template, then stream it as a PDF attachment. Throws before any
+// header is written, so callers still answer bad templates with JSON.
+function sendReport(res, { outLang, filename, template }) {
+  const unknown = (template.blocks || []).find((b) => b && !REPORT_BLOCKS[b.type]);
+  if (unknown) throw new Error(`Unknown report block type: ${unknown.type}`);
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  const doc = createReportDoc(outLang);
+  doc.pipe(res);
+  renderReport(doc, template);
+  doc.end();
+}
+
+// Rough heights (pt) of the closing blocks; the ending is kept together so the
+// © line never lands on a page of its own
+const CLOSING_SPACE = { finalNote: 90, blessing: 36, footer: 24 };
+
+// The usual ending: Final Note (optional), blessing (`false` leaves it out), © footer
+function closingBlocks({ lang, policy, blessing = null, finalNote = true }) {
+  const keep = (finalNote ? CLOSING_SPACE.finalNote : 0) + (blessing !== false ? CLOSING_SPACE.blessing : 0) + CLOSING_SPACE.footer;
+  return [
+    finalNote && { type: 'finalNote', policy, before: 0.8, after: 0.2, keep },
+    blessing !== false && { type: 'blessing', text: blessing || labeler(lang)(BLESS.en, BLESS.hi),
+      before: finalNote ? 0 : 0.8, ...(!finalNote && { keep }) },
+    { type: 'footer', text: policy.footerBrand || 'Astro-Baba.com', before: finalNote || blessing === false ? 0.8 : 0.6 },
+  ];
 }
 
 // (removed) use fmtSubLine from './agents/utils.js'
@@ -292,35 +624,86 @@ function maskKey(k) {
   if (k.length < 10) return k;
   return `${k.slice(0, 8)}...${k.slice(-4)}`;
 }
+// Explicit lang → x-lang header → Accept-Language; anything unsupported is English
 function pickLang(source = {}, headers = {}) {
-  const direct = (source?.lang || '').toString().toLowerCase();
-  if (direct) return direct.startsWith('hi') ? 'hi' : 'en';
-
-  const x = (headers['x-lang'] || '').toString().toLowerCase();
-  if (x) return x.startsWith('hi') ? 'hi' : 'en';
-
-  const al = (headers['accept-language'] || '').toString().toLowerCase();
-  if (al.startsWith('hi')) return 'hi';
-
-  return 'en';
+  return negotiateLang(source?.lang, headers);
+}
+// Optional location for panchang timings: { lat, lon, tz } from query/body or body.user.
+// Without coordinates, a city name (current city first, then birth place) is
+// resolved through the offline gazetteer.
+function pickLocation(source = {}) {
+  const src = source || {};
+  const u = src.user || {};
+  const lat = src.lat ?? u.lat;
+  const lon = src.lon ?? src.lng ?? u.lon ?? u.lng;
+  const tz  = src.tz ?? u.tz;
+  if (lat != null || lon != null) return { lat, lon, tz };
+
+  const name = src.city ?? src.place ?? u.city ?? u.currentCity ?? u.place ?? u.placeOfBirth;
+  const hit = name ? resolvePlace(name) : null;
+  if (hit) return { lat: hit.lat, lon: hit.lon, tz: tz || hit.tz, place: hit.name };
+  return tz ? { lat, lon, tz } : null;
+}
+// Explicit sign, else the Sun sign of user.dob (zodiac=tropical|sidereal), else Aries.
+// basis=moon|lagna takes the natal Moon sign / Lagna from dob + tob + birth place
+// instead. GET routes may pass the birth details as query params; malformed
+// details throw a localized 400.
+function pickSign(source = {}, lang = 'en') {
+  const src = source || {};
+  return resolveSignForBasis({ basis: src.basis, sign: src.sign, user: pickUser(src), zodiac: src.zodiac, ayanamsa: src.ayanamsa, lang });
+}
+// User block with a dob: body.user, else one built from flat (query) birth fields
+function pickUser(source = {}) {
+  const src = source || {};
+  return src.user?.dob ? src.user : (src.dob ? {
+    dob: src.dob, tob: src.tob ?? src.time, place: src.birthPlace ?? src.place, lat: src.lat, lon: src.lon, tz: src.tz,
+  } : src.user);
+}
+// signRule as a response header for PDF routes: "source=dob; zodiac=sidereal; ayanamsa=lahiri"
+function setSignRuleHeader(res, rule = {}) {
+  res.setHeader('X-AB-Sign-Rule', Object.entries(rule).filter(([, v]) => v != null).map(([k, v]) => `${k}=${v}`).join('; '));
 }
-async function txOne(lang, s) {
+// Language a PDF is set in, as a response header. A language whose script
+// fonts are not installed falls back to English: "X-AB-PDF-Lang: en; requested=ta"
+function pdfLangFor(res, lang) {
+  const outLang = pdfLang(lang);
+  res.setHeader('X-AB-PDF-Lang', outLang === lang ? outLang : `${outLang}; requested=${lang}`);
+  return outLang;
+}
+// Natal inputs from a user block, or null unless dob + birth time + birth place are all present
+function birthDetails(user) {
+  const u = user || {};
+  const place = u.birthPlace ?? u.placeOfBirth ?? u.place;
+  if (!u.dob || !(u.tob || u.time) || !(place || (u.lat != null && u.lon != null))) return null;
+  return { dob: u.dob, tob: u.tob, time: u.time, place, lat: u.lat, lon: u.lon, tz: u.tz };
+}
+// Moon sign the transit alerts count from: the natal Moon when the birth details
+// allow it, else the content sign (read as the Rashi)
+function alertMoonSign(user, sign, ayanamsa) {
+  const details = birthDetails(user);
+  if (details) {
+    try { return { moonSign: natalChart({ ...details, ayanamsa }).moon.sign, source: 'natal' }; } catch {}
+  }
+  return { moonSign: sign, source: 'sign' };
+}
+// `source` tags the calling agent/pool for translation miss capture
+async function txOne(lang, s, source) {
   if (lang !== 'hi') return s;
   try {
-    const out = await translateAgent?.(s, 'hi') ?? await translateAgent?.({ text: s, to: 'hi' });
+    const out = await translateAgent?.({ text: s, to: 'hi', source });
     if (!out) return s;
     if (typeof out === 'string') return out;
     return out?.text || s;
   } catch { return s; }
 }
-async function tx(lang, v) {
+async function tx(lang, v, source) {
   if (lang !== 'hi') return v;
   if (Array.isArray(v)) {
     const arr = [];
-    for (const s of v) arr.push(await txOne(lang, String(s)));
+    for (const s of v) arr.push(await txOne(lang, String(s), source));
     return arr;
   }
-  return await txOne(lang, String(v));
+  return await txOne(lang, String(v), source);
 }
 
 // Try a local logo if client didn’t send one
@@ -348,24 +731,9 @@ const BLESS = {
 };
 
 // ─────────────────────────────────────────────────────────────────────────────
-// Vedic windows (12-hour day approximation; 6:00–18:00 with sunrise 06:00)
+// Vedic windows — computed per location in agents/panchang.js; the note below
+// is shown only when that agent had to fall back to the 12-hour approximation.
 // ─────────────────────────────────────────────────────────────────────────────
-function approxVedicSlots12h(weekday /*0..6*/) {
-  const rahu = {
-    0: '16:30–18:00', 1: '07:30–09:00', 2: '15:00–16:30',
-    3: '12:00–13:30', 4: '13:30–15:00', 5: '10:30–12:00', 6: '09:00–10:30',
-  }[weekday];
-  const yamaganda = {
-    0: '12:00–13:30', 1: '10:30–12:00', 2: '09:00–10:30',
-    3: '07:30–09:00', 4: '06:00–07:30', 5: '15:00–16:30', 6: '13:30–15:00',
-  }[weekday];
-  const gulika = {
-    0: '15:00–16:30', 1: '13:30–15:00', 2: '12:00–13:30',
-    3: '10:30–12:00', 4: '09:00–10:30', 5: '07:30–09:00', 6: '06:00–07:30',
-  }[weekday];
-  const abhijit = '12:05–12:52';
-  return { rahuKaal: rahu, yamaganda, gulikaKaal: gulika, abhijitMuhurat: abhijit };
-}
 function vedicAssumptionNote(lang='en') {
   return lang === 'hi'
     ? 'टिप्पणी: वैदिक समय 06:00 सूर्योदय और 12 घंटे के दिन पर आधारित सरलीकृत अनुमान हैं — स्थान/ऋतु के अनुसार बदल सकते हैं।'
@@ -374,8 +742,7 @@ function vedicAssumptionNote(lang='en') {
 
 // ── Yearly helpers (single definitions; no duplicates) ───────────────────────
 function labelFor(dt, lang='en') {
-  const locale = lang === 'hi' ? 'hi-IN' : 'en-GB';
-  return dt.toLocaleDateString(locale, { month: 'long', year: 'numeric', timeZone: 'UTC' });
+  return dt.toLocaleDateString(intlLocale(lang), { month: 'long', year: 'numeric', timeZone: 'UTC' });
 }
 function startOfMonthUTC(d) {
   const x = new Date(d);
@@ -390,10 +757,12 @@ function addPhaseBlocks(doc, { lang, phaseBlocks }) {
     ['Good','अच्छा'], ['Caution','सावधानियाँ'], ['Fun','मज़ा'], ['Gains','लाभ'],
     ['Health','स्वास्थ्य'], ['Relationships','संबंध'], ['Opportunities','अवसर'], ['Remedies','उपाय']
   ];
+  const L = labeler(lang);
   pairs.forEach(([en, hi]) => {
     const items = phaseBlocks?.[en.toLowerCase()] || [];
+    keepWithNext(doc);
     applyFont(doc, { lang, weight: 'bold' });
-    doc.fontSize(14).text(lang==='hi'?hi:en);
+    doc.fontSize(14).text(L(en, hi));
     applyFont(doc, { lang });
     drawBullets(doc, items, { lang });
     doc.moveDown(0.3);
@@ -415,34 +784,55 @@ function fallbackYearly({ sign, persona, anchorDate }) {
   return { phaseBlocks, months, anchor, meta: bucket.meta || {} };
 }
 
+// Yearly content: agent first, then the contentBank fallback. { Y, source }
+async function loadYearly({ sign, persona, anchorDate, lang, dob }) {
+  if (typeof getYearlyForUser === 'function') {
+    try {
+      const Y = await getYearlyForUser({ sign, persona, anchorDate, lang, dob });
+      if (Y) return { Y, source: 'agent' };
+    } catch {}
+  }
+  return { Y: fallbackYearly({ sign, persona, anchorDate }), source: 'fallback' };
+}
+
 // ─────────────────────────────────────────────────────────────────────────────
 // Composer — DAILY  (ASYNC + localized)
 // ─────────────────────────────────────────────────────────────────────────────
-async function composeDaily({ sign='aries', lang='en', now=new Date(), user=null } = {}) {
+async function composeDaily({ sign='aries', lang='en', now=new Date(), user=null, loc=null, ayanamsa='lahiri' } = {}) {
+  // Hinglish: compose in Hindi, then transliterate every string (raw panchang data stays as is)
+  if (isRomanized(lang)) {
+    const { vedic, ...hi } = await composeDaily({ sign, lang: contentLang(lang), now, user, loc, ayanamsa });
+    return { ...romanize(hi), vedic, lang };
+  }
   const s = (sign || '').toLowerCase();
   const signLabel = signDisplay(s, lang);
-  const { ist, dateStr, timeStr, weekdayIndex } = toISTParts(now);
+  const { timeStr } = toISTParts(now);
   const timeShort = fmtTimeIST(timeStr, lang);
+  // The day (date, weekday, seed) is the user's local calendar day, as the panchang reads it
+  const { y, m, d, dateStr, weekday: weekdayIndex } = localDateParts(now, normalizeLocation(loc || {}).tz);
+  const dayNoon = new Date(Date.UTC(y, m - 1, d, 12)); // reads as dateStr in IST and on the server clock
   const monthSalt = dateStr.slice(0,7);
   const seed = hashCode(`${monthSalt}|${s}|${dateStr}`);
 
   const deity   = dayDeityAgent(weekdayIndex, lang);
-  const format  = formatAgent({ lang, dateIST: ist, deityPair: deity.pair });
-  const panchang= panchangAgent();
+  const format  = formatAgent({ lang, dateIST: dayNoon, deityPair: deity.pair });
+  const panchang= panchangAgent({ date: now, ...(loc || {}), ayanamsa });
   const variety = varietyAgent({ sign: s, seed, weekdayIndex });
-  const fortune = fortuneLineAgent({ sign: s, ist, seed, lang });
+  const fortune = fortuneLineAgent({ sign: s, ist: dayNoon, seed, lang, dob: user?.dob });
   const qm      = quoteMoodAgent(seed);
   const policy  = policyAgent(lang);
-  const special = specialDayAgent({ now, lang, user });
-
-  let themeLead  = await tx(lang, variety.themeLead);
-  let opp        = await tx(lang, variety.opportunities);
-  let caut       = await tx(lang, variety.cautions);
-  let remedy     = await tx(lang, variety.remedy);
-  let quote       = await tx(lang, qm.quote);
-  let affirmation = await tx(lang, qm.affirmation);
-  let mood        = await tx(lang, qm.mood);
-  let luckyLine   = await tx(lang, fortune.luckyLine);
+  const special = specialDayAgent({ now: dayNoon, lang, user });
+  const alertsFor = alertMoonSign(user, s, ayanamsa);
+  const alerts  = transitAlerts({ ...alertsFor, now, lang, ayanamsa, tz: loc?.tz || panchang.tz });
+
+  let themeLead  = await tx(lang, variety.themeLead, 'variety.LEADS');
+  let opp        = await tx(lang, variety.opportunities, 'variety.OPP_POOL');
+  let caut       = await tx(lang, variety.cautions, 'variety.CAUT_POOL');
+  let remedy     = await tx(lang, variety.remedy, 'variety.REMEDY_MAP');
+  let quote       = await tx(lang, qm.quote, 'quoteMood.QUOTES');
+  let affirmation = await tx(lang, qm.affirmation, 'quoteMood.AFFIRMATIONS');
+  let mood        = await tx(lang, qm.mood, 'quoteMood.MOODS');
+  let luckyLine   = await tx(lang, fortune.luckyLine, 'fortuneLine');
 
   if (lang === 'hi') {
     themeLead   = cleanHi(themeLead);
@@ -454,9 +844,8 @@ async function composeDaily({ sign='aries', lang='en', now=new Date(), user=null
     mood        = cleanHi(mood);
     luckyLine   = cleanHi(luckyLine);
   }
-  const labels = lang==='hi'
-    ? { opp:'अवसर', caut:'सावधानियाँ', rem:'उपाय' }
-    : { opp:'Opportunities', caut:'Cautions', rem:'Remedy' };
+  const L = labeler(lang);
+  const labels = { opp: L('Opportunities', 'अवसर'), caut: L('Cautions', 'सावधानियाँ'), rem: L('Remedy', 'उपाय') };
   const vedicNames = getVedicNames(lang);
   const vedicList = [
     { key: 'rahuKaal',       label: vedicNames.rahuKaal,       value: panchang.rahuKaal },
@@ -464,6 +853,10 @@ async function composeDaily({ sign='aries', lang='en', now=new Date(), user=null
     { key: 'gulikaKaal',     label: vedicNames.gulikaKaal,     value: panchang.gulikaKaal },
     { key: 'abhijitMuhurat', label: vedicNames.abhijitMuhurat, value: panchang.abhijitMuhurat },
   ];
+  const elements = panchangElementValues(panchang, lang);
+  for (const key of ['tithi', 'paksha', 'nakshatra', 'yoga', 'karana', 'moonSign']) {
+    if (elements[key]) vedicList.push({ key, label: vedicNames[key], value: elements[key] });
+  }
 
   return {
     date: dateStr,
@@ -486,23 +879,14 @@ async function composeDaily({ sign='aries', lang='en', now=new Date(), user=null
       opportunities: opp,
       cautions: caut,
       remedy,
-      vedicExplain: lang==='hi'
-        ? [
-            'राहु काल — नई शुरुआत के लिए अनुकूल नहीं।',
-            'यमगण्ड — यात्रा/बड़ी शुरुआत से बचें।',
-            'गुलिक काल — सामान्य कार्य ठीक; नई शुरुआत टालें।',
-            'अभिजीत मुहूर्त — नई शुरुआत के लिए शुभ।',
-          ]
-        : [
-            'Rahu Kaal — Not favourable for new beginnings.',
-            'Yamaganda — Avoid travel/major starts.',
-            'Gulika Kaal — Routine is fine; avoid fresh starts.',
-            'Abhijit Muhurat — Auspicious window for beginnings.',
-          ],
+      vedicExplain: vedicExplain(lang),
     },
     vedic: panchang,
+    vedicNote: panchang.approx ? vedicAssumptionNote(lang) : null,
     policy,
     special,
+    alerts,
+    alertsFor,
     brandFooter: policy.footerBrand,
 
     text:
@@ -514,6 +898,223 @@ async function composeDaily({ sign='aries', lang='en', now=new Date(), user=null
   };
 }
 
+// ─────────────────────────────────────────────────────────────────────────────
+// Composer — WEEKLY  (seven composeDaily days + week theme, best/worst days)
+// ─────────────────────────────────────────────────────────────────────────────
+const DAY_MS = 86400000;
+
+// rateDay reasons in the request language, templates filled
+function dayReasons(rating, lang) {
+  const L = labeler(lang);
+  return rating.reasons.map((r) => L(r.en, r.hi).replace(/\{(\w+)\}/g, (_, k) => {
+    const v = r.vars[k];
+    return typeof v === 'object' ? localized(v, lang) : String(v);
+  }));
+}
+
+// Week theme + practice from a week-salted pick of the daily pools
+async function weekVariety({ sign, start, weekdayIndex, lang }) {
+  const variety = varietyAgent({ sign, seed: hashCode(`week|${start}|${sign}`), weekdayIndex });
+  let theme  = await tx(lang, variety.themeLead, 'variety.LEADS');
+  let opp    = await tx(lang, variety.opportunities, 'variety.OPP_POOL');
+  let caut   = await tx(lang, variety.cautions, 'variety.CAUT_POOL');
+  let remedy = await tx(lang, variety.remedy, 'variety.REMEDY_MAP');
+  // The pools speak of "today"; point the lead at the week
+  theme = theme.replace(/^Today\b/, 'This week').replace(/^आज /, 'यह सप्ताह ');
+  if (lang === 'hi') {
+    theme  = cleanHi(theme);
+    opp    = cleanHiList(opp);
+    caut   = cleanHiList(caut);
+    remedy = cleanHi(remedy);
+  }
+  return { theme, opp, caut, remedy };
+}
+
+async function composeWeekly({ sign='aries', lang='en', now=new Date(), user=null, loc=null, ayanamsa='lahiri' } = {}) {
+  if (isRomanized(lang)) {
+    const { days, ...hi } = await composeWeekly({ sign, lang: contentLang(lang), now, user, loc, ayanamsa });
+    return { ...romanize(hi), days: days.map(({ vedic: v, ...d }) => ({ ...romanize(d), vedic: v })), lang };
+  }
+  const s = (sign || '').toLowerCase();
+  const L = labeler(lang);
+  const toneLabel = {
+    good: L('Favourable', 'अनुकूल'),
+    steady: L('Steady', 'सामान्य'),
+    caution: L('Go slow', 'सावधानी'),
+  };
+
+  const { tz } = normalizeLocation(loc || {});
+  const days = [];
+  const dailyAlerts = [];
+  for (let i = 0; i < 7; i++) {
+    const at = new Date(now.getTime() + i * DAY_MS);
+    const d = await composeDaily({ sign: s, lang, now: at, user, loc, ayanamsa });
+    const deity = dayDeityAgent(localDateParts(at, tz).weekday, lang);
+    const rating = rateDay({ sign: s, vedic: d.vedic });
+    days.push({
+      date: d.date,
+      weekday: deity.name,
+      dateLabel: fmtDayMonth(d.date, lang),
+      deity: deity.pair,
+      ritual: deity.ritual,
+      themeLead: d.themeLead,
+      score: rating.score,
+      tone: rating.tone,
+      toneLabel: toneLabel[rating.tone],
+      moonHouse: rating.moonHouse,
+      reasons: dayReasons(rating, lang),
+      special: d.special,
+      vedic: d.vedic,
+    });
+    dailyAlerts.push(...d.alerts);
+  }
+
+  const start = days[0].date;
+  const end = days[6].date;
+  const { theme, opp, caut, remedy } = await weekVariety({ sign: s, start, weekdayIndex: localDateParts(now, tz).weekday, lang });
+
+  const { best, worst } = bestAndWorst(days);
+  const pickDay = (d) => ({ date: d.date, weekday: d.weekday, dateLabel: d.dateLabel, score: d.score, reasons: d.reasons });
+  const observances = days
+    .filter((d) => d.special)
+    .map((d) => ({ date: d.date, dateLabel: d.dateLabel, birthday: d.special.birthday, observance: d.special.observance }));
+  // Day one's alerts already look a week ahead; de-duplicate the rest by key
+  const alerts = [...new Map(dailyAlerts.map((a) => [a.key, a])).values()];
+  const policy = policyAgent(lang);
+  const signLabel = signDisplay(s, lang);
+  const dayLine = (d) => `${d.weekday} (${d.dateLabel})`;
+
+  return {
+    start,
+    end,
+    lang,
+    sign: s,
+    signLabel,
+    rangeLabel: `${fmtDayMonth(start, lang)} – ${fmtDayMonth(end, lang, { year: true })}`,
+    theme,
+    best: best.map(pickDay),
+    worst: worst.map(pickDay),
+    days,
+    observances,
+    alerts,
+    sections: { opportunities: opp, cautions: caut, remedy },
+    policy,
+    brandFooter: policy.footerBrand,
+
+    text:
+      `**${signLabel} • ${start} – ${end}**\n` +
+      `${theme}\n\n` +
+      `${L('Best days', 'श्रेष्ठ दिन')}: ${best.map(dayLine).join(', ')}\n` +
+      (worst.length ? `${L('Go slow on', 'सावधानी के दिन')}: ${worst.map(dayLine).join(', ')}\n` : '') +
+      `\n${days.map((d) => `- ${d.weekday}: ${d.themeLead}`).join('\n')}`
+  };
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Composer — MONTHLY  (one month of the yearly model + weeks, key tithis, special days)
+// ─────────────────────────────────────────────────────────────────────────────
+// "2026-10" → { y, m }; null when missing or malformed (callers 400 on a bad value)
+function parseMonth(value) {
+  const hit = /^(\d{4})-(\d{2})$/.exec(String(value ?? '').trim());
+  if (!hit) return null;
+  const y = Number(hit[1]), m = Number(hit[2]);
+  return m >= 1 && m <= 12 ? { y, m } : null;
+}
+
+// `month` is "YYYY-MM" (default: the current IST month)
+async function composeMonthly({ sign='aries', persona='homemaker', month=null, lang='en', user=null, loc=null, ayanamsa='lahiri' } = {}) {
+  if (isRomanized(lang)) {
+    const { month: m, ...hi } = await composeMonthly({ sign, persona, month, lang: contentLang(lang), user, loc, ayanamsa });
+    return { ...romanize(hi), month: m, lang };
+  }
+  const L = labeler(lang);
+  const { ist } = toISTParts(new Date());
+  const ym = parseMonth(month) || { y: ist.getFullYear(), m: ist.getMonth() + 1 };
+  const s = (sign || '').toLowerCase();
+  const { y, m } = ym;
+  const monthStr = `${y}-${String(m).padStart(2, '0')}`;
+  const dt = new Date(Date.UTC(y, m - 1, 1));
+
+  // The yearly model runs Aug → Jul; take this month from the window it falls in
+  const augYear = m >= 8 ? y : y - 1;
+  const { Y, source } = await loadYearly({ sign: s, persona, anchorDate: `${augYear}-08-01`, lang, dob: user?.dob });
+  const index = (y - augYear) * 12 + (m - 8);
+  const monthModel = Y.months?.[index] || {};
+
+  // Each local calendar day of the month, rated from the panchang at its
+  // sunrise in the user's zone, as in the weekly report
+  const place = loc || {};
+  const days = [];
+  const special = [];
+  for (let d = 1, n = new Date(Date.UTC(y, m, 0)).getUTCDate(); d <= n; d++) {
+    const dayAt = dateToInstant(`${monthStr}-${String(d).padStart(2, '0')}`, place);
+    const vedic = panchangAgent({ date: dayAt, ...place, ayanamsa });
+    const rating = rateDay({ sign: s, vedic });
+    const date = vedic.date;
+    const dateLabel = fmtDayMonth(date, lang);
+    days.push({ date, dateLabel, weekday: dayDeityAgent(vedic.weekday, lang).name, score: rating.score, tone: rating.tone, reasons: dayReasons(rating, lang) });
+    const sp = specialDayAgent({ now: dayAt, lang, user });
+    if (sp) special.push({ date, dateLabel, birthday: sp.birthday, observance: sp.observance });
+  }
+
+  // Four weeks: 1–7, 8–14, 15–21, 22–month end
+  const weeks = [];
+  for (let w = 0; w < 4; w++) {
+    const list = days.slice(w * 7, w === 3 ? days.length : w * 7 + 7);
+    const start = list[0].date;
+    const { theme } = await weekVariety({ sign: s, start, weekdayIndex: new Date(`${start}T00:00:00Z`).getUTCDay(), lang });
+    const { best, worst } = bestAndWorst(list);
+    const pickDay = (d) => ({ date: d.date, weekday: d.weekday, dateLabel: d.dateLabel, score: d.score, reasons: d.reasons });
+    weeks.push({
+      week: w + 1,
+      start,
+      end: list[list.length - 1].date,
+      rangeLabel: `${list[0].dateLabel} – ${list[list.length - 1].dateLabel}`,
+      focus: theme,
+      best: best.map(pickDay),
+      worst: worst.map(pickDay),
+    });
+  }
+
+  const keyDates = keyTithiDates({ y, m, ...place, ayanamsa }).map((k) => ({
+    date: k.date,
+    dateLabel: fmtDayMonth(k.date, lang),
+    key: k.key,
+    name: L(k.en, k.hi),
+    endsAt: k.endsAt,
+    endsNextDay: k.endsNextDay,
+    kshaya: k.kshaya,
+  }));
+
+  const policy = policyAgent(lang);
+  const signLabel = signDisplay(s, lang);
+  const monthTitle = labelFor(dt, lang);
+  const dayLine = (d) => `${d.weekday} (${d.dateLabel})`;
+
+  return {
+    month: monthStr,
+    lang,
+    sign: s,
+    signLabel,
+    persona,
+    source,
+    monthTitle,
+    label: monthModel.label || null,
+    model: monthModel,
+    weeks,
+    keyDates,
+    special,
+    policy,
+    brandFooter: policy.footerBrand,
+
+    text:
+      `**${signLabel} • ${monthTitle}${monthModel.label ? ` — ${monthModel.label}` : ''}**\n` +
+      (monthModel.outlook ? `${monthModel.outlook}\n` : '') +
+      `\n${weeks.map((w) => `- ${L('Week', 'सप्ताह')} ${w.week} (${w.rangeLabel}): ${w.focus} ${L('Best days', 'श्रेष्ठ दिन')}: ${w.best.map(dayLine).join(', ')}`).join('\n')}` +
+      (keyDates.length ? `\n\n${keyDates.map((k) => `${k.dateLabel}: ${k.name}`).join(' • ')}` : '')
+  };
+}
+
 // ─────────────────────────────────────────────────────────────────────────────
 // Debug routes
 // ─────────────────────────────────────────────────────────────────────────────
@@ -541,6 +1142,29 @@ app.get('/debug/routes', (req, res) => {
   });
   res.json({ ok: true, count: routes.length, routes });
 });
+// Which content-pool strings still leak English into Hindi output, plus misses
+// captured at runtime (TRANSLATION_CAPTURE=1 → data/translation_misses.jsonl)
+app.get('/debug/translation-coverage', (req, res) => {
+  const pools = {
+    'variety.LEADS': LEADS,
+    'variety.OPP_POOL': OPP_POOL,
+    'variety.CAUT_POOL': CAUT_POOL,
+    'variety.REMEDY_MAP': Object.values(REMEDY_MAP),
+    'quoteMood.QUOTES': QUOTES,
+    'quoteMood.AFFIRMATIONS': AFFIRMATIONS,
+    'quoteMood.MOODS': MOODS,
+    'gemstone': [...new Set(Object.values(GEM_PLANS).map((p) => p.tone)), ARIES_GEM_NOTE],
+    'mantra': [MANTRA_TONE],
+  };
+  const coverage = Object.fromEntries(Object.entries(pools).map(([name, list]) => [name, poolCoverage(list)]));
+  const totals = Object.values(coverage).reduce((t, c) => ({ total: t.total + c.total, covered: t.covered + c.covered }), { total: 0, covered: 0 });
+  res.json({
+    ok: true,
+    overall: { ...totals, coverage: totals.total ? Math.round((totals.covered / totals.total) * 1000) / 10 : 100 },
+    pools: coverage,
+    capture: { enabled: missCaptureEnabled(), misses: translationMisses({ limit: Number(req.query.limit) || 100 }) },
+  });
+});
 app.get('/debug/weekly-dryrun', async (req, res) => {
   try {
     const sign = String(req.query.sign || 'aries').toLowerCase();
@@ -564,139 +1188,884 @@ app.get('/debug/weekly-dryrun', async (req, res) => {
 // ─────────────────────────────────────────────────────────────────────────────
 // DAILY JSON
 // ─────────────────────────────────────────────────────────────────────────────
+// sign may be omitted when a dob is sent; `signRule` echoes how it was chosen
 app.get('/daily', async (req, res) => {
-  const sign = (req.query.sign || 'aries').toString().toLowerCase();
-  const lang = pickLang({ lang: req.query.lang }, req.headers);
-  const data = await composeDaily({ sign, lang });
-  res.json({
-    date: data.date,
-    sign: data.sign,
-    lang: data.lang,
-    text: data.text,
-    vedic: data.vedic,
-    generatedAt: new Date().toISOString(),
-    rich: data
-  });
+  try {
+    const lang = pickLang({ lang: req.query.lang }, req.headers);
+    const { sign, signRule } = pickSign(req.query, lang);
+    const data = await composeDaily({ sign, lang, user: pickUser(req.query) || null, loc: pickLocation(req.query), ayanamsa: req.query.ayanamsa });
+    res.json({
+      date: data.date,
+      sign: data.sign,
+      signRule,
+      lang: data.lang,
+      text: data.text,
+      vedic: data.vedic,
+      generatedAt: new Date().toISOString(),
+      rich: data
+    });
+  } catch (e) {
+    res.status(e?.status || 500).json({ ok: false, error: e?.message || String(e) });
+  }
 });
 app.post('/daily', async (req, res) => {
-  const { sign='aries', lang='en', user=null } = req.body || {};
-  const data = await composeDaily({ sign, lang: pickLang({ lang }, req.headers), user });
-  res.json({
-    date: data.date,
-    sign: data.sign,
-    lang: data.lang,
-    text: data.text,
-    vedic: data.vedic,
-    generatedAt: new Date().toISOString(),
-    rich: data
-  });
+  try {
+    const body = withProfile(req.body);
+    const { user=null, ayanamsa } = body;
+    const lang = pickLang({ lang: body.lang }, req.headers);
+    const { sign, signRule } = pickSign(body, lang);
+    const data = await composeDaily({ sign, lang, user, loc: pickLocation(body), ayanamsa });
+    res.json({
+      date: data.date,
+      sign: data.sign,
+      signRule,
+      lang: data.lang,
+      text: data.text,
+      vedic: data.vedic,
+      generatedAt: new Date().toISOString(),
+      rich: data
+    });
+  } catch (e) {
+    res.status(e?.status || 500).json({ ok: false, error: e?.message || String(e) });
+  }
 });
 
 // ─────────────────────────────────────────────────────────────────────────────
-// DAILY → PDF
+// WEEKLY JSON
 // ─────────────────────────────────────────────────────────────────────────────
-app.post('/report/from-daily', async (req, res) => {
+// Seven days from today: week theme, best/worst days, day-by-day lines, observances
+app.get('/weekly', async (req, res) => {
   try {
-    const { sign='aries', user={}, brand={}, lang: rawLang } = req.body || {};
-    const lang  = pickLang({ lang: rawLang }, req.headers);
-    const daily = await composeDaily({ sign, lang, user });
-
-    res.setHeader('Content-Type', 'application/pdf');
-    res.setHeader('Content-Disposition', `attachment; filename="AstroBaba_Daily_${sign}_${daily.date}_${lang}.pdf"`);
+    const lang = pickLang({ lang: req.query.lang }, req.headers);
+    const { sign, signRule } = pickSign(req.query, lang);
+    const data = await composeWeekly({ sign, lang, user: pickUser(req.query) || null, loc: pickLocation(req.query), ayanamsa: req.query.ayanamsa });
+    res.json({ ok: true, start: data.start, end: data.end, sign: data.sign, signRule, lang: data.lang, text: data.text, generatedAt: new Date().toISOString(), rich: data });
+  } catch (e) {
+    res.status(e?.status || 500).json({ ok: false, error: e?.message || String(e) });
+  }
+});
+app.post('/weekly', async (req, res) => {
+  try {
+    const body = withProfile(req.body);
+    const { user=null, ayanamsa } = body;
+    const lang = pickLang({ lang: body.lang }, req.headers);
+    const { sign, signRule } = pickSign(body, lang);
+    const data = await composeWeekly({ sign, lang, user, loc: pickLocation(body), ayanamsa });
+    res.json({ ok: true, start: data.start, end: data.end, sign: data.sign, signRule, lang: data.lang, text: data.text, generatedAt: new Date().toISOString(), rich: data });
+  } catch (e) {
+    res.status(e?.status || 500).json({ ok: false, error: e?.message || String(e) });
+  }
+});
 
-    const doc = new PDFDocument({ margin: 36, bufferPages: true });
-    doc.pipe(res);
+// ─────────────────────────────────────────────────────────────────────────────
+// MONTHLY JSON
+// ─────────────────────────────────────────────────────────────────────────────
+// GET /monthly?sign=..&persona=homemaker&month=YYYY-MM&lang=..&lat/lon/city
+// One month of the yearly model, week-by-week focus, key tithis and special days
+app.get('/monthly', async (req, res) => {
+  try {
+    const lang = pickLang({ lang: req.query.lang }, req.headers);
+    const month = req.query.month ? String(req.query.month) : null;
+    if (month && !parseMonth(month)) {
+      return res.status(400).json({ ok: false, error: labeler(lang)('month must be YYYY-MM (e.g. 2026-10).', 'month YYYY-MM रूप में होना चाहिए (जैसे 2026-10)।') });
+    }
+    const { sign, signRule } = pickSign(req.query, lang);
+    const persona = String(req.query.persona || 'homemaker').toLowerCase();
+    const data = await composeMonthly({ sign, persona, month, lang, user: pickUser(req.query) || null, loc: pickLocation(req.query), ayanamsa: req.query.ayanamsa });
+    res.json({ ok: true, month: data.month, sign: data.sign, signRule, persona, lang: data.lang, text: data.text, generatedAt: new Date().toISOString(), rich: data });
+  } catch (e) {
+    res.status(e?.status || 500).json({ ok: false, error: e?.message || String(e) });
+  }
+});
 
-    applyFont(doc, { lang, weight: 'regular' });
+// ─────────────────────────────────────────────────────────────────────────────
+// CHAT
+// ─────────────────────────────────────────────────────────────────────────────
+// Fill sign/lang/user from the remembered profile when the body carries a userId
+// (stored facts first, explicit request values win).
+function withProfile(body = {}) {
+  const b = body || {};
+  if (!b.userId) return b;
+  let profile;
+  try { profile = getProfile(b.userId); } catch { return b; }
+  const { dob, sign, persona, lang, name, place } = profile;
+  const user = { ...(dob && { dob }), ...(persona && { persona }), ...(name && { name }), ...(place && { place }), ...(b.user || {}) };
+  return { ...b, sign: b.sign ?? sign, lang: b.lang ?? lang, user: Object.keys(user).length ? user : null };
+}
 
-    const titleLine = lang==='hi' ? 'दैनिक राशिफल' : 'Daily Horoscope';
-    const { dateStr } = toISTParts(new Date());
-    const subLine = fmtSubLine(dateStr, lang);
-    const brandFixed = ensureBrandWithLogo({ ...brand, appName: brand?.appName || 'Astro-Baba' });
-    addBrandHeader(doc, { lang, brand: brandFixed, titleLine, subLine });
+// Shared setup for /chat, /chat/stream and thread messages: history + grounded system prompt
+async function prepareChat(body = {}, headers = {}, { summary = '' } = {}) {
+  const { messages, sign, user = null } = body || {};
+  const lang = pickLang(body, headers);
+  const history = normalizeChatMessages(messages);
+  const { sign: s, signRule } = pickSign({ ...body, sign: sign || user?.sign }, lang);
 
-    addUserBlock(doc, { lang, user: {
-      name:  user?.name, phone: user?.phone, email: user?.email, gender:user?.gender,
-      dob:   user?.dob,  tob:   user?.time || user?.tob,       place: user?.place,
-    }});
+  const loc = pickLocation(body);
+  const daily = await composeDaily({ sign: s, lang, user, loc });
+  const system = chatSystemPrompt({ daily, lang, user, summary, disclaimer: policyAgent(lang).disclaimer });
+  return {
+    lang,
+    sign: s,
+    signRule,
+    user,
+    loc,
+    daily,
+    provider: getChatProvider(),
+    messages: [{ role: 'system', content: system }, ...history],
+  };
+}
 
-    addVedicTimings(doc, { lang, timings: daily.vedic });
+// One assistant turn, with the tool bridge unless tools === false
+async function replyToChat({ sign, lang, user, loc, provider, messages }, { tools = true } = {}) {
+  if (tools === false) return { ...(await provider.complete({ messages })), toolCalls: [] };
+  return runWithTools({
+    provider,
+    messages,
+    bridge: createToolBridge(
+      { composeDaily, gemPlanForSign, mantraForPlanet, getYearlyForUser, specialDayAgent, dateToInstant },
+      { sign, lang, user, loc },
+    ),
+  });
+}
 
-    applyFont(doc, { lang, weight: 'bold' });
-    doc.fontSize(14).text(daily.header.dayHeader, { align: 'center' });
-    applyFont(doc, { lang });
-    doc.moveDown(0.5);
+// 09:00 local on a YYYY-MM-DD date — same calendar day in IST and the user's zone
+function dateToInstant(dateStr, loc) {
+  const [y, m, d] = String(dateStr).split('-').map(Number);
+  return new Date(zonedTimeToUtc({ y, m, d, hh: 9, mm: 0 }, loc?.tz || 'Asia/Kolkata'));
+}
 
-    applyFont(doc, { lang, weight: 'bold' }); doc.fontSize(12).text(daily.greeting); applyFont(doc, { lang });
+// POST /chat  { messages:[{role,content}], sign, lang, user, tools? }
+// The model may call our agents (daily, gemstone, mantra, yearly, special day);
+// every call is listed in metadata.toolCalls. Send tools:false for a plain reply.
+app.post('/chat', async (req, res) => {
+  try {
+    const chat = await prepareChat(withProfile(req.body), req.headers);
+    const { lang, sign, signRule, daily, provider } = chat;
+    const out = await replyToChat(chat, { tools: req.body?.tools });
 
-    doc.moveDown(0.2);
-    doc.fontSize(12);
-    doc.text(daily.deityLine.pre, { continued: true });
-    applyFont(doc, { lang, weight: 'bold' });
-    doc.text(daily.deityLine.bold, { continued: true });
-    applyFont(doc, { lang });
-    doc.text(daily.deityLine.post);
-
-    if (daily.special) {
-      doc.moveDown(0.6);
-      applyFont(doc, { lang, weight: 'bold' });
-      doc.fontSize(13).text(daily.special.title);
-      applyFont(doc, { lang });
-      if (daily.special.birthday) doc.text(daily.special.birthday);
-      if (daily.special.observance) doc.text(`${daily.special.observance.title} — ${daily.special.observance.line}`);
-    }
+    res.json({
+      ok: true,
+      reply: lang === 'hi' ? cleanHi(out.text) : out.text,
+      lang,
+      sign,
+      signRule,
+      date: daily.date,
+      provider: provider.name,
+      model: out.model,
+      usage: out.usage,
+      disclaimer: daily.policy.disclaimer,
+      metadata: { toolCalls: out.toolCalls },
+      generatedAt: new Date().toISOString(),
+    });
+  } catch (e) {
+    console.error('chat error:', e?.message || e);
+    res.status(e?.status || 500).json({ ok: false, error: e?.message || String(e) });
+  }
+});
 
-    doc.moveDown(0.6);
-    doc.fontSize(11).text(daily.quote);
-    doc.moveDown(0.2);
-    doc.fontSize(11).text(lang==='hi' ? 'स्व-वचन: ' : 'Affirmation: ', { continued: true });
-    applyFont(doc, { lang, weight: 'bold' }); doc.text(daily.affirmation); applyFont(doc, { lang });
-    doc.moveDown(0.2);
-    doc.fontSize(11).text(lang==='hi' ? `आज का मूड: ${daily.mood}` : `Mood: ${daily.mood}`);
-    doc.fontSize(11).text(lang==='hi' ? `जल सेवन: कम से कम ${daily.waterGlasses} गिलास` : `Water: at least ${daily.waterGlasses} glasses`);
+// POST /chat/stream — same body as /chat, answered as Server-Sent Events:
+//   event: meta  → { lang, sign, signRule, date, provider }
+//   event: delta → { text }            (Hindi is cleanHi-normalized per sentence)
+//   event: done  → { model, usage, finishReason, disclaimer, generatedAt }
+//   event: error → { error }
+// plus ": ping" comments every 15s. Client disconnect aborts the upstream call.
+app.post('/chat/stream', async (req, res) => {
+  let chat;
+  try {
+    chat = await prepareChat(withProfile(req.body), req.headers);
+  } catch (e) {
+    return res.status(e?.status || 500).json({ ok: false, error: e?.message || String(e) });
+  }
+  const { lang, sign, signRule, daily, provider, messages } = chat;
 
-    doc.moveDown(0.6);
-    doc.fontSize(12).text(daily.themeLead, { paragraphGap: 6 });
-    doc.fontSize(12).text(daily.luckyLine);
+  res.status(200).set({
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
 
-    doc.moveDown(0.8);
-    applyFont(doc, { lang, weight: 'bold' }); doc.fontSize(14).text(lang==='hi'?'अवसर':'Opportunities'); applyFont(doc, { lang });
-    drawBullets(doc, daily.sections.opportunities, { lang });
+  const abort = new AbortController();
+  const send = (event, data) => {
+    if (!res.writableEnded) res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+  const heartbeat = setInterval(() => { if (!res.writableEnded) res.write(': ping\n\n'); }, 15000);
+  res.on('close', () => {
+    clearInterval(heartbeat);
+    if (!res.writableEnded) abort.abort();
+  });
 
-    doc.moveDown(0.4);
-    applyFont(doc, { lang, weight: 'bold' }); doc.fontSize(14).text(lang==='hi'?'सावधानियाँ':'Cautions'); applyFont(doc, { lang });
-    drawBullets(doc, daily.sections.cautions, { lang });
+  const buffer = sentenceBuffer(lang === 'hi' ? cleanHi : (x) => x);
+  const emit = (text) => { if (text) send('delta', { text }); };
 
-    doc.moveDown(0.4);
-    applyFont(doc, { lang, weight: 'bold' }); doc.fontSize(14).text(lang==='hi'?'उपाय':'Remedy'); applyFont(doc, { lang });
-    doc.fontSize(12).text(daily.sections.remedy);
+  try {
+    send('meta', { lang, sign, signRule, date: daily.date, provider: provider.name });
+    for await (const part of provider.stream({ messages, signal: abort.signal })) {
+      if (abort.signal.aborted) break;
+      if (part.type === 'delta') emit(lang === 'hi' ? buffer.push(part.text) : part.text);
+      else if (part.type === 'done') {
+        emit(buffer.flush());
+        send('done', {
+          model: part.model,
+          usage: part.usage,
+          finishReason: part.finishReason,
+          disclaimer: daily.policy.disclaimer,
+          generatedAt: new Date().toISOString(),
+        });
+      }
+    }
+  } catch (e) {
+    if (!abort.signal.aborted) {
+      console.error('chat stream error:', e?.message || e);
+      send('error', { error: e?.message || String(e) });
+    }
+  } finally {
+    clearInterval(heartbeat);
+    if (!res.writableEnded) res.end();
+  }
+});
 
-    doc.moveDown(0.8);
-    applyFont(doc, { lang, weight: 'bold' });
-    doc.fontSize(14).text(lang==='hi' ? 'वैदिक अवधियाँ' : 'About the Vedic Periods');
-    applyFont(doc, { lang });
-    drawBullets(doc, daily.sections.vedicExplain, { lang });
-    addVedicNote(doc, { lang });
+// ─────────────────────────────────────────────────────────────────────────────
+// CHAT THREADS (persistent, per user) — stored under data/chat/<userId>/
+// ─────────────────────────────────────────────────────────────────────────────
+const storeFail = (res, e) => res.status(e?.status || 500).json({ ok: false, error: e?.message || String(e) });
 
-    doc.moveDown(0.8);
-    applyFont(doc, { lang, weight: 'bold' }); doc.fontSize(12).text(lang==='hi' ? 'अंतिम नोट' : 'Final Note'); applyFont(doc, { lang });
-    doc.moveDown(0.2);
-    doc.fontSize(11).text(daily.policy.disclaimer);
-    doc.moveDown(0.6);
-    doc.fontSize(12).text(daily.policy.thanks);
-    doc.moveDown(0.2);
-    applyFont(doc, { lang, weight: 'bold' });
-    doc.fontSize(12).text(lang==='hi' ? BLESS.hi : BLESS.en);
-    applyFont(doc, { lang });
+// POST /chat/threads { userId, title? }
+app.post('/chat/threads', (req, res) => {
+  try {
+    const thread = createThread(req.body?.userId, { title: req.body?.title });
+    res.status(201).json({ ok: true, thread });
+  } catch (e) { storeFail(res, e); }
+});
 
-    doc.moveDown(0.8);
-    const year = new Date().getFullYear();
-    doc.fontSize(9).fillColor('#555').text(`© ${year} ${daily.brandFooter}`, { align: 'center' });
-    doc.fillColor('black');
+// GET /chat/threads?userId=
+app.get('/chat/threads', (req, res) => {
+  try {
+    const userId = req.query.userId;
+    const threads = listThreads(userId);
+    res.json({ ok: true, userId, profile: getProfile(userId), count: threads.length, threads });
+  } catch (e) { storeFail(res, e); }
+});
+
+// GET /chat/threads/:threadId?userId=
+app.get('/chat/threads/:threadId', (req, res) => {
+  try {
+    res.json({ ok: true, thread: getThread(req.query.userId, req.params.threadId) });
+  } catch (e) { storeFail(res, e); }
+});
+
+// DELETE /chat/threads/:threadId?userId=
+app.delete('/chat/threads/:threadId', (req, res) => {
+  try {
+    deleteThread(req.query.userId, req.params.threadId);
+    res.json({ ok: true, deleted: req.params.threadId });
+  } catch (e) { storeFail(res, e); }
+});
+
+// POST /chat/threads/:threadId/messages { userId, content, sign?, lang?, user?, tools? }
+// Profile facts in the body or the message (DOB, sign, persona, language) are
+// remembered and reused on later turns and by POST /daily { userId }.
+app.post('/chat/threads/:threadId/messages', async (req, res) => {
+  try {
+    const { userId, content, sign, lang, user } = req.body || {};
+    const thread = getThread(userId, req.params.threadId);
+    const text = typeof content === 'string' ? content.trim() : '';
+    if (!text) return res.status(400).json({ ok: false, error: 'content must be a non-empty string' });
+
+    const profile = rememberProfile(userId, {
+      ...user,
+      sign: sign || user?.sign,
+      lang: req.body?.lang ? pickLang(req.body, req.headers) : null,
+      ...factsFromText(text),
+    });
+
+    const history = [...thread.messages, { role: 'user', content: text }].map(({ role, content: c }) => ({ role, content: c }));
+    const chat = await prepareChat(
+      withProfile({ ...req.body, userId, sign: sign ?? profile.sign, lang: lang ?? profile.lang, messages: history }),
+      req.headers,
+      { summary: thread.summary },
+    );
+    const out = await replyToChat(chat, { tools: req.body?.tools });
+    const reply = chat.lang === 'hi' ? cleanHi(out.text) : out.text;
+
+    const at = new Date().toISOString();
+    thread.messages.push({ role: 'user', content: text, at }, { role: 'assistant', content: reply, at: new Date().toISOString() });
+    const compacted = await compactThread(thread, (prev, turns) => summarizeTurns(chat.provider, prev, turns));
+    saveThread(thread);
+
+    res.json({
+      ok: true,
+      threadId: thread.id,
+      reply,
+      lang: chat.lang,
+      sign: chat.sign,
+      date: chat.daily.date,
+      provider: chat.provider.name,
+      model: out.model,
+      usage: out.usage,
+      disclaimer: chat.daily.policy.disclaimer,
+      metadata: { toolCalls: out.toolCalls, compacted, summarizedTurns: thread.summarizedTurns, profile },
+      generatedAt: new Date().toISOString(),
+    });
+  } catch (e) {
+    console.error('chat thread error:', e?.message || e);
+    storeFail(res, e);
+  }
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// NATAL PROFILE (Moon sign, nakshatra, Lagna)
+// ─────────────────────────────────────────────────────────────────────────────
+// POST /profile/natal { dob, tob|time, place | lat+lon+tz, ayanamsa?, lang?, userId? }
+// Birth details may also come inside `user` or from the remembered profile.
+app.post('/profile/natal', (req, res) => {
+  try {
+    const body = withProfile(req.body);
+    const lang = pickLang(body, req.headers);
+    const src = { ...(body.user || {}), ...body };
+    const natal = natalChart({
+      dob: src.dob, tob: src.tob, time: src.time,
+      place: src.birthPlace ?? src.placeOfBirth ?? src.place,
+      lat: src.lat, lon: src.lon, tz: src.tz,
+      ayanamsa: src.ayanamsa, lang,
+    });
+    const names = getVedicNames(lang);
+    const L = labeler(lang);
+    const withLabel = (x) => ({ ...x, label: signDisplay(x.sign, lang) });
+    res.json({
+      ok: true,
+      lang,
+      ...natal,
+      moon: withLabel(natal.moon),
+      lagna: withLabel(natal.lagna),
+      sun: withLabel(natal.sun),
+      nakshatra: { ...natal.nakshatra, label: localized(natal.nakshatra, lang) },
+      labels: {
+        moon: names.moonSign,
+        nakshatra: names.nakshatra,
+        pada: L('Pada', 'पद'),
+        lagna: L('Ascendant (Lagna)', 'लग्न'),
+        sun: L('Sun sign', 'सूर्य राशि'),
+      },
+    });
+  } catch (e) {
+    res.status(e?.status || 500).json({ ok: false, error: e?.message || String(e) });
+  }
+});
+
+// Dasha periods with localized lord names, without the internal epoch-ms fields
+function dashaJson(period, lang) {
+  const out = { ...publicPeriod(period), label: localized(period, lang) };
+  if (out.antardashas) out.antardashas = out.antardashas.map((a) => ({ ...a, label: localized(a, lang) }));
+  return out;
+}
+
+// GET /profile/dasha?dob=1990-04-15&tob=10:30&place=Mumbai  (or lat/lon/tz; ayanamsa, lang)
+// Vimshottari Mahadasha/Antardasha timeline from the Moon's birth nakshatra.
+app.get('/profile/dasha', (req, res) => {
+  try {
+    const q = req.query;
+    const lang = pickLang({ lang: q.lang }, req.headers);
+    const d = dashaForBirth({
+      dob: q.dob, tob: q.tob, time: q.time, place: q.birthPlace ?? q.place,
+      lat: q.lat, lon: q.lon, tz: q.tz, ayanamsa: q.ayanamsa, lang,
+    });
+    const now = dashaAt(d, Date.now());
+    const { antardashas, ...maha } = now ? dashaJson(now.maha, lang) : {};
+    res.json({
+      ok: true,
+      lang,
+      birth: d.natal.birth,
+      ayanamsa: d.natal.ayanamsa,
+      nakshatra: { ...d.natal.nakshatra, label: localized(d.natal.nakshatra, lang) },
+      balance: { ...d.balance, label: localized(d.balance, lang) },
+      current: now ? { mahadasha: maha, antardasha: now.antar ? dashaJson(now.antar, lang) : null } : null,
+      mahadashas: d.mahadashas.map((m) => dashaJson(m, lang)),
+    });
+  } catch (e) {
+    res.status(e?.status || 500).json({ ok: false, error: e?.message || String(e) });
+  }
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// TRANSITS (slow-graha ingresses/stations, Sade Sati)
+// ─────────────────────────────────────────────────────────────────────────────
+// GET /transits?sign=pisces&months=24&lang=hi  — `sign` is read as the Moon sign;
+// dob/tob/place (with basis=moon) derive it from birth details instead.
+app.get('/transits', (req, res) => {
+  try {
+    const lang = pickLang({ lang: req.query.lang }, req.headers);
+    const { sign, signRule } = pickSign(req.query, lang);
+    const months = Math.max(1, Math.min(Number(req.query.months) || 24, 24));
+    const now = new Date();
+    const events = transitEvents({ from: now, months, ayanamsa: req.query.ayanamsa });
+    const sat = saturnStatus(sign, now.getTime(), { ayanamsa: req.query.ayanamsa, events });
+    const zodiac = localeSection(lang, 'zodiac');
+    const names = (key) => ({ planet: key, planetLabel: localized(GRAHA_NAMES[key], lang) });
+    res.json({
+      ok: true,
+      lang,
+      moonSign: sign,
+      signRule,
+      saturn: { ...sat, until: sat.until ? new Date(sat.until).toISOString() : null },
+      alerts: transitAlerts({ moonSign: sign, now, lang, ayanamsa: req.query.ayanamsa }),
+      events: events.map(({ at, planet, ...e }) => ({
+        ...e,
+        ...names(planet),
+        at: new Date(at).toISOString(),
+        ...(e.toSign && { toSignLabel: zodiac[e.toSign], fromSignLabel: zodiac[e.fromSign] }),
+        ...(e.sign && { signLabel: zodiac[e.sign] }),
+      })),
+    });
+  } catch (e) {
+    res.status(e?.status || 500).json({ ok: false, error: e?.message || String(e) });
+  }
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// NUMEROLOGY (life path, destiny, personal cycles)
+// ─────────────────────────────────────────────────────────────────────────────
+// Numbers with localized meanings; lucky dates as "YYYY-MM-DD" plus display labels
+function numerologyJson(n, lang) {
+  const L = labeler(lang);
+  const withLabel = (x) => (x ? { ...x, meaning: L(x.meaning.en, x.meaning.hi) } : null);
+  return {
+    ...n,
+    lifePath: withLabel(n.lifePath),
+    mulank: withLabel(n.mulank),
+    destiny: withLabel(n.destiny),
+    personal: {
+      year: withLabel(n.personal.year),
+      month: withLabel(n.personal.month),
+      day: withLabel(n.personal.day),
+    },
+    luckyDateLabels: n.luckyDates.map((d) => fmtDayMonth(d, lang)),
+  };
+}
+
+// POST /numerology { dob, name?, date?, system?: pythagorean|chaldean, lang?, userId? }
+// Details may also come inside `user` or from the remembered profile.
+app.post('/numerology', (req, res) => {
+  try {
+    const body = withProfile(req.body);
+    const lang = pickLang(body, req.headers);
+    const src = { ...(body.user || {}), ...body };
+    const n = numerologyProfile({
+      dob: src.dob, name: src.name, system: src.system,
+      date: src.date || new Date(), lang,
+    });
+    res.json({ ok: true, lang, ...numerologyJson(n, lang) });
+  } catch (e) {
+    res.status(e?.status || 500).json({ ok: false, error: e?.message || String(e) });
+  }
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// GEO SEARCH (offline gazetteer)
+// ─────────────────────────────────────────────────────────────────────────────
+// GET /geo/search?q=bombay&limit=5&lang=hi
+app.get('/geo/search', (req, res) => {
+  const lang = pickLang({ lang: req.query.lang }, req.headers);
+  const q = String(req.query.q || '').trim();
+  if (!q) return res.status(400).json({ ok: false, error: 'q is required' });
+  const results = searchPlaces(q, { limit: req.query.limit }).map((p) => ({ ...p, label: placeLabel(p, lang) }));
+  res.json({ ok: true, q, lang, count: results.length, results });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// PANCHANG DAY TABLES (Choghadiya + Hora)
+// ─────────────────────────────────────────────────────────────────────────────
+// GET /panchang/day?date=YYYY-MM-DD&lat=..&lon=..&tz=Asia/Kolkata&lang=hi
+app.get('/panchang/day', (req, res) => {
+  try {
+    const lang = pickLang({ lang: req.query.lang }, req.headers);
+    const date = req.query.date ? String(req.query.date) : new Date();
+    if (typeof date === 'string' && !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+      return res.status(400).json({ ok: false, error: 'date must be YYYY-MM-DD' });
+    }
+    const loc = pickLocation(req.query) || {};
+    const vedic = panchangAgent({ date, ...loc, ayanamsa: req.query.ayanamsa });
+    const tables = localizeDayTables(choghadiyaAgent({ date, ...loc }), lang);
+    res.json({
+      ok: true,
+      lang,
+      ...tables,
+      vedic,
+      vedicNames: getVedicNames(lang),
+      generatedAt: new Date().toISOString(),
+    });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e?.message || String(e) });
+  }
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// MUHURAT FINDER
+// ─────────────────────────────────────────────────────────────────────────────
+// POST /muhurat/search { activity, from, to, lat, lon, tz, lang, limit }
+app.post('/muhurat/search', (req, res) => {
+  try {
+    const { activity, from, to, limit, ayanamsa, lang: rawLang } = req.body || {};
+    const lang = pickLang({ lang: rawLang }, req.headers);
+    const result = muhuratSearch({ activity, from, to, limit, ayanamsa, lang, ...(pickLocation(req.body) || {}) });
+    res.json({ ok: true, lang, ...result, generatedAt: new Date().toISOString() });
+  } catch (e) {
+    res.status(e?.status || 500).json({ ok: false, error: e?.message || String(e) });
+  }
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// DAILY → PDF
+// ─────────────────────────────────────────────────────────────────────────────
+// Daily report: timings, day header, deity line, quote/mood, sections, day tables
+function dailyReportTemplate({ daily, lang, user, brand, dayTables = null, choghadiya = false, hora = false }) {
+  const L = labeler(lang);
+  const { dateStr } = toISTParts(new Date());
+  const sp = daily.special;
+  return {
+    lang, brand, user,
+    title: L('Daily Horoscope', 'दैनिक राशिफल'),
+    subtitle: fmtSubLine(dateStr, lang),
+    blocks: [
+      { type: 'timings', timings: daily.vedic },
+      { type: 'heading', text: daily.header.dayHeader, align: 'center', after: 0.5, toc: false },
+      { type: 'paragraph', text: daily.greeting, bold: true, after: 0.2 },
+      { type: 'paragraph', runs: [{ text: daily.deityLine.pre }, { text: daily.deityLine.bold, bold: true }, { text: daily.deityLine.post }] },
+      sp && { type: 'heading', text: sp.title, size: 13, before: 0.6 },
+      sp?.birthday && { type: 'paragraph', text: sp.birthday },
+      sp?.observance && { type: 'paragraph', text: `${sp.observance.title} — ${sp.observance.line}` },
+      { type: 'paragraph', text: daily.quote, size: 11, before: 0.6, after: 0.2 },
+      { type: 'paragraph', size: 11, runs: [{ text: `${L('Affirmation', 'स्व-वचन')}: ` }, { text: daily.affirmation, bold: true }], after: 0.2 },
+      { type: 'paragraph', size: 11, text: `${L('Mood', 'आज का मूड')}: ${daily.mood}` },
+      { type: 'paragraph', size: 11, text: lang==='hi' ? `जल सेवन: कम से कम ${daily.waterGlasses} गिलास` : `Water: at least ${daily.waterGlasses} glasses` },
+      { type: 'paragraph', text: daily.themeLead, gap: 6, before: 0.6 },
+      { type: 'paragraph', text: daily.luckyLine },
+      { type: 'bullets', heading: L('Opportunities', 'अवसर'), items: daily.sections.opportunities, before: 0.8 },
+      { type: 'bullets', heading: L('Cautions', 'सावधानियाँ'), items: daily.sections.cautions, before: 0.4 },
+      { type: 'heading', text: L('Remedy', 'उपाय'), before: 0.4 },
+      { type: 'paragraph', text: daily.sections.remedy },
+      { type: 'bullets', heading: L('About the Vedic Periods', 'वैदिक अवधियाँ'), items: daily.sections.vedicExplain, before: 0.8 },
+      daily.vedic?.approx && { type: 'vedicNote' },
+      dayTables && { type: 'dayTables', tables: dayTables, choghadiya, hora, before: 0.4 },
+      ...closingBlocks({ lang, policy: daily.policy }),
+    ],
+  };
+}
+
+app.post('/report/from-daily', async (req, res) => {
+  try {
+    const { user={}, brand={}, lang: rawLang, ayanamsa, choghadiya = false, hora = false } = req.body || {};
+    const outLang = pdfLangFor(res, pickLang({ lang: rawLang }, req.headers));
+    const lang  = contentLang(outLang);
+    const { sign, signRule } = pickSign(req.body, outLang);
+    const loc   = pickLocation(req.body);
+    const daily = await composeDaily({ sign, lang, user, loc, ayanamsa });
+    const dayTables = (choghadiya || hora)
+      ? localizeDayTables(choghadiyaAgent({ date: new Date(), ...(loc || {}) }), lang)
+      : null;
+
+    setSignRuleHeader(res, signRule);
+    sendReport(res, {
+      outLang,
+      filename: `AstroBaba_Daily_${sign}_${daily.date}_${outLang}.pdf`,
+      template: dailyReportTemplate({ daily, lang, user, brand, dayTables, choghadiya: !!choghadiya, hora: !!hora }),
+    });
+  } catch (e) {
+    if (!res.headersSent) res.status(e?.status || 500).json({ error: e.message || String(e) });
+  }
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// WEEKLY → PDF
+// ─────────────────────────────────────────────────────────────────────────────
+const TONE_COLORS = { good: '#2e7d32', steady: '#555555', caution: '#b23c17' };
+
+// Day-by-day lines: weekday, date and deity in bold, the tone, then the day's lead
+function weekDayBlocks(lang, days) {
+  const L = labeler(lang);
+  return [
+    { type: 'heading', text: L('Day by Day', 'दिन-प्रतिदिन'), before: 0.6, after: 0.3 },
+    ...days.flatMap((d) => {
+      const lines = [
+        { type: 'paragraph', runs: [
+          { text: `${d.weekday}, ${d.dateLabel} — ${d.deity}`, bold: true },
+          { text: `  (${d.toneLabel})`, bold: false, color: TONE_COLORS[d.tone] },
+        ] },
+        { type: 'paragraph', text: d.themeLead, size: 11, gap: 2 },
+        d.reasons.length && { type: 'paragraph', text: d.reasons.join(' • '), size: 9, color: '#666' },
+        d.special?.observance && { type: 'paragraph', text: `${d.special.observance.title} — ${d.special.observance.line}`, size: 10 },
+      ].filter(Boolean);
+      lines[lines.length - 1].after = 0.4;
+      return lines;
+    }),
+  ];
+}
+
+function weeklyReportTemplate({ week, lang, user, brand }) {
+  const L = labeler(lang);
+  const dayList = (list) => list.map((d) => `${d.weekday}, ${d.dateLabel}${d.reasons[0] ? ` — ${d.reasons[0]}` : ''}`);
+  return {
+    lang, brand, user,
+    title: `${L('Weekly Horoscope', 'साप्ताहिक राशिफल')} — ${week.signLabel}`,
+    subtitle: week.rangeLabel,
+    blocks: [
+      { type: 'paragraph', text: greeting(lang), bold: true, after: 0.4 },
+      { type: 'section', heading: L('Theme of the Week', 'सप्ताह की थीम'), paragraphs: [week.theme] },
+      { type: 'bullets', heading: L('Best Days', 'श्रेष्ठ दिन'), items: dayList(week.best) },
+      { type: 'bullets', heading: L('Go Slow On', 'सावधानी के दिन'), items: dayList(week.worst), before: 0.4 },
+      ...weekDayBlocks(lang, week.days),
+      week.observances.length && {
+        type: 'section',
+        heading: L('Observances This Week', 'इस सप्ताह के पर्व'),
+        paragraphs: week.observances.flatMap((o) => [
+          ...(o.observance ? [`${o.dateLabel}: ${o.observance.title} — ${o.observance.line}`] : []),
+          ...(o.birthday ? [`${o.dateLabel}: ${o.birthday}`] : []),
+        ]),
+      },
+      week.alerts.length && { type: 'section', heading: L('Transit Alerts', 'गोचर सूचनाएँ'), paragraphs: week.alerts.map((a) => `${a.title}: ${a.text}`) },
+      { type: 'bullets', heading: L('Opportunities', 'अवसर'), items: week.sections.opportunities, after: 0.4 },
+      { type: 'bullets', heading: L('Cautions', 'सावधानियाँ'), items: week.sections.cautions, after: 0.4 },
+      { type: 'section', heading: L('Remedy', 'उपाय'), paragraphs: [week.sections.remedy] },
+      week.days[0].vedic?.approx && { type: 'vedicNote' },
+      ...closingBlocks({ lang, policy: week.policy }),
+    ],
+  };
+}
+
+// POST /report/weekly { sign?|user, brand, lang, ayanamsa, lat/lon/city? }
+app.post('/report/weekly', async (req, res) => {
+  try {
+    const { user={}, brand={}, lang: rawLang, ayanamsa } = req.body || {};
+    const outLang = pdfLangFor(res, pickLang({ lang: rawLang }, req.headers));
+    const lang  = contentLang(outLang);
+    const { sign, signRule } = pickSign(req.body, outLang);
+    const week = await composeWeekly({ sign, lang, user, loc: pickLocation(req.body), ayanamsa });
+
+    setSignRuleHeader(res, signRule);
+    sendReport(res, {
+      outLang,
+      filename: `AstroBaba_Weekly_${sign}_${week.start}_${outLang}.pdf`,
+      template: weeklyReportTemplate({ week, lang, user, brand }),
+    });
+  } catch (e) {
+    if (!res.headersSent) res.status(e?.status || 500).json({ ok: false, error: e?.message || String(e) });
+  }
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// MONTHLY → PDF
+// ─────────────────────────────────────────────────────────────────────────────
+// Week blocks: range and focus, then the best / go-slow days
+function monthWeekBlocks(lang, weeks) {
+  const L = labeler(lang);
+  const dayLine = (d) => `${d.weekday} (${d.dateLabel})`;
+  return [
+    { type: 'heading', text: L('Week by Week', 'सप्ताह-दर-सप्ताह'), after: 0.3 },
+    ...weeks.flatMap((w) => [
+      { type: 'heading', text: `${L('Week', 'सप्ताह')} ${w.week} · ${w.rangeLabel}`, size: 12 },
+      { type: 'paragraph', text: w.focus, size: 11, gap: 2 },
+      { type: 'paragraph', text: `${L('Best days', 'श्रेष्ठ दिन')}: ${w.best.map(dayLine).join(', ')}`, size: 11, color: TONE_COLORS.good, after: w.worst.length ? 0 : 0.4 },
+      w.worst.length && { type: 'paragraph', text: `${L('Go slow on', 'सावधानी के दिन')}: ${w.worst.map(dayLine).join(', ')}`, size: 11, color: TONE_COLORS.caution, after: 0.4 },
+    ]),
+  ];
+}
+
+function monthlyReportTemplate({ data, lang, user, brand, dt, monthDasha }) {
+  const L = labeler(lang);
+  return {
+    lang, brand, user,
+    title: `${L('Monthly Horoscope', 'मासिक राशिफल')} — ${data.signLabel}`,
+    subtitle: data.monthTitle,
+    blocks: [
+      { type: 'paragraph', text: greeting(lang), bold: true, after: 0.4 },
+      { type: 'month', month: data.model, dt, dasha: monthDasha },
+      ...monthWeekBlocks(lang, data.weeks),
+      { type: 'bullets', heading: L('Key Panchang Dates', 'प्रमुख पंचांग तिथियाँ'), items: data.keyDates.map((k) => `${k.dateLabel}: ${k.name}${untilSuffix(k, lang)}`), after: 0.4 },
+      data.special.length && {
+        type: 'section',
+        heading: L('Special Days', 'विशेष दिवस'),
+        paragraphs: data.special.flatMap((o) => [
+          ...(o.observance ? [`${o.dateLabel}: ${o.observance.title} — ${o.observance.line}`] : []),
+          ...(o.birthday ? [`${o.dateLabel}: ${o.birthday}`] : []),
+        ]),
+      },
+      ...closingBlocks({ lang, policy: data.policy }),
+    ],
+  };
+}
+
+// POST /report/monthly { sign?|user, persona, month: "YYYY-MM", brand, lang, ayanamsa, lat/lon/city? }
+app.post('/report/monthly', async (req, res) => {
+  try {
+    const { user={}, brand={}, lang: rawLang, persona = 'homemaker', month = null, ayanamsa } = req.body || {};
+    const outLang = pdfLangFor(res, pickLang({ lang: rawLang }, req.headers));
+    const lang  = contentLang(outLang);
+    const L = labeler(lang);
+    if (month && !parseMonth(month)) {
+      return res.status(400).json({ ok: false, error: L('month must be YYYY-MM (e.g. 2026-10).', 'month YYYY-MM रूप में होना चाहिए (जैसे 2026-10)।') });
+    }
+    const { sign, signRule } = pickSign(req.body, outLang);
+    const data = await composeMonthly({ sign, persona: String(persona).toLowerCase(), month, lang, user, loc: pickLocation(req.body), ayanamsa });
+
+    // Antardasha(s) of the month when the user block carries full birth details
+    const details = birthDetails(user);
+    const dasha = details ? dashaForBirth({ ...details, ayanamsa, lang: outLang }) : null;
+    const { y, m } = parseMonth(data.month);
+    const dt = new Date(Date.UTC(y, m - 1, 1));
+    const monthDasha = dasha ? antardashasBetween(dasha, dt.getTime(), addMonthsUTC(dt, 1).getTime()) : null;
+
+    res.setHeader('X-AB-Yearly-Source', data.source);
+    setSignRuleHeader(res, signRule);
+    sendReport(res, {
+      outLang,
+      filename: `AstroBaba_Monthly_${sign}_${data.month}_${outLang}.pdf`,
+      template: monthlyReportTemplate({ data, lang, user, brand, dt, monthDasha }),
+    });
+  } catch (e) {
+    if (!res.headersSent) res.status(e?.status || 500).json({ ok: false, error: e?.message || String(e) });
+  }
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// FAMILY → PDF  (overview, harmony windows, one yearly section per member, TOC)
+// ─────────────────────────────────────────────────────────────────────────────
+const MAX_FAMILY = 8;
+const PERSONA_LABELS = {
+  self_employed: { en: 'Self-employed', hi: 'स्वरोज़गार' },
+  job_working:   { en: 'Working professional', hi: 'नौकरीपेशा' },
+  not_working:   { en: 'Not working', hi: 'अभी कार्यरत नहीं' },
+  homemaker:     { en: 'Homemaker', hi: 'गृहिणी' },
+  student:       { en: 'Student', hi: 'विद्यार्थी' },
+};
+const personaLabel = (key, lang) => (PERSONA_LABELS[key] ? labeler(lang)(PERSONA_LABELS[key].en, PERSONA_LABELS[key].hi) : key);
+// Sign index % 4 → element
+const ELEMENTS = [
+  { en: 'Fire', hi: 'अग्नि' }, { en: 'Earth', hi: 'पृथ्वी' },
+  { en: 'Air', hi: 'वायु' }, { en: 'Water', hi: 'जल' },
+];
+
+// Members with a resolved sign and persona; throws a localized 400 on bad input
+function resolveFamily(list, lang) {
+  const L = labeler(lang);
+  const bad = (message) => badRequest(message, 'bad_member');
+  if (!Array.isArray(list) || !list.length || list.length > MAX_FAMILY) {
+    throw bad(L(`members must be a list of 1–${MAX_FAMILY} people.`, `members में 1–${MAX_FAMILY} सदस्यों की सूची चाहिए।`));
+  }
+  return list.map((m, i) => {
+    const name = String(m?.name || '').trim() || `${L('Member', 'सदस्य')} ${i + 1}`;
+    if (!m?.sign && !m?.dob && !m?.user?.dob) {
+      throw bad(`${name}: ${L('needs a sign or a date of birth.', 'राशि या जन्म तिथि चाहिए।')}`);
+    }
+    try {
+      const { sign } = pickSign(m, lang);
+      return { name, sign, persona: m.persona ? normalizePersona(m.persona) : 'homemaker', dob: pickUser(m)?.dob ?? null };
+    } catch (e) {
+      if (e?.status === 400) e.message = `${name}: ${e.message}`;
+      throw e;
+    }
+  });
+}
+
+// Contents on page 1, overview and harmony windows, then one page per member
+function familyReportTemplate({ lang, brand, members, sections, windows }) {
+  const L = labeler(lang);
+  const anchor = sections[0].anchor;
+  const grahaName = (key) => localized(GRAHAS.find((g) => g.key === key), lang);
+  const monthLabel = (ym) => labelFor(new Date(`${ym}-01T00:00:00Z`), lang);
+  const byElement = ELEMENTS.map((el, i) => ({ el, names: members.filter((m) => ALL_SIGNS.indexOf(m.sign) % 4 === i).map((m) => m.name) }))
+    .filter((x) => x.names.length);
+  return {
+    lang, brand,
+    title: L('Family Yearly Report', 'पारिवारिक वार्षिक रिपोर्ट'),
+    subtitle: `${labelFor(anchor, lang)} – ${labelFor(addMonthsUTC(anchor, 11), lang)}`,
+    blocks: [
+      { type: 'paragraph', text: greeting(lang), bold: true, after: 0.6 },
+      { type: 'contents' },
+      { type: 'section', heading: L('Family Overview', 'परिवार की झलक'), paragraphs: [L(
+        'One yearly window for the whole family: each member’s own outlook, and the months that support everyone together.',
+        'पूरे परिवार के लिए एक वार्षिक अवधि: हर सदस्य का अपना परिदृश्य, और वे महीने जो सबको एक साथ सहयोग देते हैं।',
+      )] },
+      { type: 'bullets', items: sections.map((m) => `${m.name} — ${signDisplay(m.sign, lang)} · ${personaLabel(m.persona, lang)}`), after: 0.3 },
+      { type: 'paragraph', size: 11, after: 0.6,
+        text: `${L('Elements', 'तत्व')}: ${byElement.map((x) => `${L(x.el.en, x.el.hi)} — ${x.names.join(', ')}`).join(' · ')}` },
+      { type: 'section', heading: L('Family Harmony Windows', 'पारिवारिक सामंजस्य अवधि'), paragraphs: [windows.length
+        ? (windows[0].everyone
+          ? L('Months when Sun, Jupiter or Saturn transits support every member — good for shared plans, travel and celebrations.',
+            'वे महीने जब सूर्य, गुरु या शनि का गोचर हर सदस्य को सहयोग देता है — साझा योजनाओं, यात्रा और उत्सवों के लिए अच्छे।')
+          : L('No month supports everyone at once; these months support most of the family.',
+            'कोई महीना सबको एक साथ सहयोग नहीं देता; ये महीने परिवार के अधिकांश सदस्यों को सहयोग देते हैं।'))
+        : L('No month this year stands out for the family together; plan shared events around each member’s good months.',
+          'इस वर्ष कोई महीना पूरे परिवार के लिए विशेष नहीं है; साझा कार्यक्रम हर सदस्य के अच्छे महीनों के अनुसार रखें।')] },
+      { type: 'bullets', items: windows.map((w) => {
+        const span = w.from === w.to ? monthLabel(w.from) : `${monthLabel(w.from)} – ${monthLabel(w.to)}`;
+        return `${span}: ${w.members.map((m) => `${m.name} (${m.by.map(grahaName).join(', ')})`).join('; ')}`;
+      }) },
+      ...sections.flatMap((member) => [
+        { type: 'pageBreak' },
+        { type: 'familyMember', member, anchor, toc: `${member.name} — ${signDisplay(member.sign, lang)}` },
+      ]),
+      ...closingBlocks({ lang, policy: policyAgent(lang), blessing: L(
+        'Have a blessed year together! May your home stay full of warmth, health and good fortune.',
+        'आपका पारिवारिक वर्ष मंगलमय हो! आपका घर स्नेह, स्वास्थ्य और सौभाग्य से भरा रहे।') }),
+    ],
+  };
+}
+
+// One member: summary, personal years, good/caution phases, month-by-month lines
+function addFamilyMember(doc, { lang, member, anchor }) {
+  const L = labeler(lang);
+  applyFont(doc, { lang, weight: 'bold' });
+  doc.fontSize(16).text(`${member.name} — ${signDisplay(member.sign, lang)}`);
+  applyFont(doc, { lang });
+  doc.fontSize(11).fillColor('#555').text(`${L('Persona', 'भूमिका')}: ${personaLabel(member.persona, lang)}`);
+  doc.fillColor('black');
+  doc.moveDown(0.4);
+
+  const H = member.meta || {};
+  if (H.summary) addSection(doc, { lang, heading: L('Summary', 'सार'), paragraphs: [H.summary] });
+  if (H.numerologyArc?.length) {
+    applyFont(doc, { lang, weight: 'bold' }); doc.fontSize(14).text(L('Numerology arc', 'अंक-स्वर')); applyFont(doc, { lang });
+    drawBullets(doc, H.numerologyArc, { lang });
+    doc.moveDown(0.3);
+  }
+  [['good', 'Good', 'अच्छा'], ['caution', 'Caution', 'सावधानियाँ']].forEach(([key, en, hi]) => {
+    const items = member.phaseBlocks?.[key] || [];
+    if (!items.length) return;
+    applyFont(doc, { lang, weight: 'bold' }); doc.fontSize(14).text(L(en, hi)); applyFont(doc, { lang });
+    drawBullets(doc, items, { lang });
+    doc.moveDown(0.3);
+  });
+
+  applyFont(doc, { lang, weight: 'bold' }); doc.fontSize(14).text(L('Month by Month', 'माह-दर-माह')); applyFont(doc, { lang });
+  drawBullets(doc, (member.months || []).slice(0, 12).map((m, i) => {
+    const label = labelFor(addMonthsUTC(anchor, i), lang);
+    return `${label}${m.label ? ` — ${m.label}` : ''}${m.outlook ? `: ${m.outlook}` : ''}`;
+  }), { lang });
+}
+
+// POST /report/family { members: [{ name, sign?|dob (+tob/place, basis), persona }], anchorDate?, brand, lang, ayanamsa }
+app.post('/report/family', async (req, res) => {
+  try {
+    const { members: rawMembers, brand = {}, lang: rawLang, anchorDate = null, ayanamsa } = req.body || {};
+    const outLang = pdfLangFor(res, pickLang({ lang: rawLang }, req.headers));
+    const lang = contentLang(outLang);
+    if (typeof buildFamilySections !== 'function') {
+      return res.status(500).json({ ok: false, error: 'Family agent is not available.' });
+    }
+
+    const members = resolveFamily(rawMembers, outLang);
+    const sections = await buildFamilySections(members, { anchorDate, lang });
+    const windows = familyHarmonyWindows ? familyHarmonyWindows(members, { anchor: sections[0].anchor, ayanamsa }) : [];
 
-    doc.end();
+    const { dateStr } = toISTParts(new Date());
+    sendReport(res, {
+      outLang,
+      filename: `AstroBaba_Family_${dateStr}_${outLang}.pdf`,
+      template: familyReportTemplate({ lang, brand, members, sections, windows }),
+    });
   } catch (e) {
-    if (!res.headersSent) res.status(500).json({ error: e.message || String(e) });
+    if (!res.headersSent) res.status(e?.status || 500).json({ ok: false, error: e?.message || String(e) });
   }
 });
 
@@ -712,19 +2081,21 @@ function rulerForSign(sign) {
   };
   return map[s] || 'sun';
 }
+const GEM_PLANS = {
+  mars:   { primary:'Red Coral (Moonga)', alt:'Carnelian', tone:'discipline, courage, decisive action' },
+  venus:  { primary:'Diamond / White Sapphire (caution: chart-specific)', alt:'Opal / Zircon', tone:'harmony, relationships, aesthetics' },
+  mercury:{ primary:'Emerald (Panna)', alt:'Peridot', tone:'clarity, learning, communication' },
+  moon:   { primary:'Pearl (Moti)', alt:'Moonstone', tone:'emotional balance, calm, nourishment' },
+  sun:    { primary:'Ruby (Manik)', alt:'Garnet', tone:'confidence, leadership, vitality' },
+  jupiter:{ primary:'Yellow Sapphire (Pukhraj)', alt:'Citrine', tone:'wisdom, growth, blessings' },
+  saturn: { primary:'Blue Sapphire (Neelam — test first)', alt:'Amethyst', tone:'steadiness, structure, patience' },
+};
+const ARIES_GEM_NOTE = 'For Aries, avoid Venus stones by default unless a full chart approves.';
+const MANTRA_TONE = 'supportive vibration for balance and progress.';
 function gemPlanForSign(sign) {
-  const r = rulerForSign(sign);
-  const plan = {
-    mars:   { primary:'Red Coral (Moonga)', alt:'Carnelian', tone:'discipline, courage, decisive action' },
-    venus:  { primary:'Diamond / White Sapphire (caution: chart-specific)', alt:'Opal / Zircon', tone:'harmony, relationships, aesthetics' },
-    mercury:{ primary:'Emerald (Panna)', alt:'Peridot', tone:'clarity, learning, communication' },
-    moon:   { primary:'Pearl (Moti)', alt:'Moonstone', tone:'emotional balance, calm, nourishment' },
-    sun:    { primary:'Ruby (Manik)', alt:'Garnet', tone:'confidence, leadership, vitality' },
-    jupiter:{ primary:'Yellow Sapphire (Pukhraj)', alt:'Citrine', tone:'wisdom, growth, blessings' },
-    saturn: { primary:'Blue Sapphire (Neelam — test first)', alt:'Amethyst', tone:'steadiness, structure, patience' },
-  }[r];
+  const plan = GEM_PLANS[rulerForSign(sign)];
   if (String(sign).toLowerCase() === 'aries') {
-    return { ...plan, note:'For Aries, avoid Venus stones by default unless a full chart approves.' };
+    return { ...plan, note: ARIES_GEM_NOTE };
   }
   return plan;
 }
@@ -753,231 +2124,586 @@ function powerMantraText(lang) {
     : 'A mantra can be a small key for a big lock—the right sound, done correctly and regularly, reshapes mood, focus, and grace...';
 }
 
+function gemstoneReportTemplate({ sign, lang, user, brand, tone, note }) {
+  const L = labeler(lang);
+  const { dateStr } = toISTParts(new Date());
+  const plan = gemPlanForSign(sign);
+  const planet = rulerForSign(sign);
+  const hi = lang === 'hi';
+  return {
+    lang, brand, user,
+    title: `${L('Gemstone Guidance', 'रत्न मार्गदर्शन')} — ${signDisplay(sign, lang)}`,
+    subtitle: fmtSubLine(dateStr, lang),
+    blocks: [
+      { type: 'paragraph', text: greeting(lang), bold: true, after: 0.6 },
+      { type: 'section', heading: L('Planetary Snapshot (brief)', 'ग्रह संकेत (संक्षेप)'), paragraphs: [hi
+        ? `आपके सूर्य राशि हेतु प्राथमिक ग्रह संकेत: ${capSign(sign)} के लिए ${planet.toUpperCase()} — ${tone}.`
+        : `Primary support for your sun sign: ${capSign(sign)} leans on ${planet.toUpperCase()} — ${plan.tone}.`] },
+      { type: 'section', heading: L('Recommendation', 'मुख्य सुझाव'), paragraphs: (hi
+        ? [`प्रमुख रत्न: ${plan.primary}`, `वैकल्पिक (उप्रत्न): ${plan.alt}`, `उद्देश्य: ${tone}`, note ? `नोट: ${note}` : null]
+        : [`Primary gemstone: ${plan.primary}`, `Alternate (upratna): ${plan.alt}`, `Planet focus: ${plan.tone}`, plan?.note ? `Note: ${plan.note}` : null]
+      ).filter(Boolean) },
+      { type: 'section', heading: L('How to Wear', 'कैसे पहनें'), paragraphs: hi
+        ? ['आरंभ: मंगलवार/शनिवार, अभिजीत मुहूर्त में।','परीक्षण: 45–60 दिन।','धातु: सिल्वर/पंचधातु।','उंगली: दाएँ हाथ की अनामिका।','शुद्धि: जल + कच्चा दूध।','ऊर्जन: “ॐ क्राम क्रीम क्रौं सह भौमाय नमः” 108×।']
+        : ['Start: Tue/Sat, Abhijit Muhurat.','Trial: 45–60 days.','Metal: Silver/Panchdhatu.','Finger: Right ring finger.','Cleansing: Water + raw milk.','Energizing: “Om Kraam… Bhaumaya Namah” 108×.'] },
+      { type: 'section', heading: L('Do / Don’t', 'क्या करें / क्या न करें'), paragraphs: hi
+        ? ['करें: टूटा/दरार पत्थर हटाएँ।','न करें: असंगत/सिंथेटिक साथ न पहनें।','रखरखाव: हल्की सफ़ाई, मासिक ऊर्जन।']
+        : ['Do: Remove cracked stones.','Don’t: Mix incompatible/synthetic stones.','Care: Gentle cleaning; monthly energizing.'] },
+      { type: 'section', heading: L('Sankalpa (intention)', 'संकल्प (एक वाक्य)'), paragraphs: [hi
+        ? '“श्रद्धा और अनुशासन के साथ, यह रत्न मेरी ऊर्जा को स्थिर करे और सही अवसर खोले।”'
+        : '“With faith and discipline, may this stone steady my energy and open right opportunities.”'] },
+      { type: 'section', heading: L('Power of Gemstones', 'रत्न की शक्ति'), paragraphs: [powerGemText(lang)] },
+      ...closingBlocks({ lang, policy: policyAgent(lang) }),
+    ],
+  };
+}
+
 app.post('/report/gemstone', async (req, res) => {
   try {
-    const { sign='aries', user={}, brand={}, lang: rawLang } = req.body || {};
-    const lang = pickLang({ lang: rawLang }, req.headers);
+    const { user={}, brand={}, lang: rawLang } = req.body || {};
+    const outLang = pdfLangFor(res, pickLang({ lang: rawLang }, req.headers));
+    const lang = contentLang(outLang);
+    const { sign, signRule } = pickSign(req.body, outLang);
     const { dateStr } = toISTParts(new Date());
-    const subLine = fmtSubLine(dateStr, lang);
     const plan = gemPlanForSign(sign);
-    const planet = rulerForSign(sign);
-
-    const toneHI = await tx(lang, plan.tone);
-    const noteHI = plan?.note ? await tx(lang, plan.note) : null;
-
-    res.setHeader('Content-Type', 'application/pdf');
-    res.setHeader('Content-Disposition', `attachment; filename="AstroBaba_Gemstone_${sign}_${dateStr}_${lang}.pdf"`);
-
-    const doc = new PDFDocument({ margin: 36, bufferPages: true });
-    doc.pipe(res);
-
-    applyFont(doc, { lang });
-
-    const titleLine = lang==='hi'
-      ? `रत्न मार्गदर्शन — ${signDisplay(sign, 'hi')}`
-      : `Gemstone Guidance — ${capSign(sign)}`;    
-    const brandFixed = ensureBrandWithLogo({ ...brand, appName: brand?.appName || 'Astro-Baba' });
-    addBrandHeader(doc, { lang, brand: brandFixed, titleLine, subLine });
-
-    addUserBlock(doc, { lang, user: {
-      name:user?.name, phone:user?.phone, email:user?.email, gender:user?.gender,
-      dob:user?.dob, tob:user?.time || user?.tob, place:user?.place,
-    }});
-
-    applyFont(doc, { lang, weight: 'bold' }); doc.fontSize(12).text(greeting(lang)); applyFont(doc, { lang }); doc.moveDown(0.6);
-
-    const snapHead = lang==='hi' ? 'ग्रह संकेत (संक्षेप)' : 'Planetary Snapshot (brief)';
-    const snapPara = lang==='hi'
-      ? `आपके सूर्य राशि हेतु प्राथमिक ग्रह संकेत: ${capSign(sign)} के लिए ${planet.toUpperCase()} — ${toneHI}.`
-      : `Primary support for your sun sign: ${capSign(sign)} leans on ${planet.toUpperCase()} — ${plan.tone}.`;
-    addSection(doc, { lang, heading: snapHead, paragraphs: [snapPara] });
-
-    const recHead = lang==='hi' ? 'मुख्य सुझाव' : 'Recommendation';
-    const lines = lang==='hi'
-      ? [
-          `प्रमुख रत्न: ${plan.primary}`,
-          `वैकल्पिक (उप्रत्न): ${plan.alt}`,
-          `उद्देश्य: ${toneHI}`,
-          noteHI ? `नोट: ${noteHI}` : null
-        ].filter(Boolean)
-      : [
-          `Primary gemstone: ${plan.primary}`,
-          `Alternate (upratna): ${plan.alt}`,
-          `Planet focus: ${plan.tone}`,
-          plan?.note ? `Note: ${plan.note}` : null
-        ].filter(Boolean);
-    addSection(doc, { lang, heading: recHead, paragraphs: lines });
-
-    const howHead = lang==='hi' ? 'कैसे पहनें' : 'How to Wear';
-    const howParas = lang==='hi'
-      ? ['आरंभ: मंगलवार/शनिवार, अभिजीत मुहूर्त में।','परीक्षण: 45–60 दिन।','धातु: सिल्वर/पंचधातु।','उंगली: दाएँ हाथ की अनामिका।','शुद्धि: जल + कच्चा दूध।','ऊर्जन: “ॐ क्राम क्रीम क्रौं सह भौमाय नमः” 108×।']
-      : ['Start: Tue/Sat, Abhijit Muhurat.','Trial: 45–60 days.','Metal: Silver/Panchdhatu.','Finger: Right ring finger.','Cleansing: Water + raw milk.','Energizing: “Om Kraam… Bhaumaya Namah” 108×.'];
-    addSection(doc, { lang, heading: howHead, paragraphs: howParas });
-
-    const ddHead = lang==='hi' ? 'क्या करें / क्या न करें' : 'Do / Don’t';
-    const ddLines = lang==='hi'
-      ? ['करें: टूटा/दरार पत्थर हटाएँ।','न करें: असंगत/सिंथेटिक साथ न पहनें।','रखरखाव: हल्की सफ़ाई, मासिक ऊर्जन।']
-      : ['Do: Remove cracked stones.','Don’t: Mix incompatible/synthetic stones.','Care: Gentle cleaning; monthly energizing.'];
-    addSection(doc, { lang, heading: ddHead, paragraphs: ddLines });
-
-    const sankHead = lang==='hi' ? 'संकल्प (एक वाक्य)' : 'Sankalpa (intention)';
-    const sankLine = lang==='hi'
-      ? '“श्रद्धा और अनुशासन के साथ, यह रत्न मेरी ऊर्जा को स्थिर करे और सही अवसर खोले।”'
-      : '“With faith and discipline, may this stone steady my energy and open right opportunities.”';
-    addSection(doc, { lang, heading: sankHead, paragraphs: [sankLine] });
-
-    addSection(doc, { lang, heading: lang==='hi'?'रत्न की शक्ति':'Power of Gemstones', paragraphs: [powerGemText(lang)] });
-
-    const pol = policyAgent(lang);
-    doc.moveDown(0.8);
-    applyFont(doc, { lang, weight: 'bold' }); doc.fontSize(12).text(lang==='hi' ? 'अंतिम नोट' : 'Final Note'); applyFont(doc, { lang });
-    doc.moveDown(0.2); doc.fontSize(11).text(pol.disclaimer);
-    doc.moveDown(0.6); doc.fontSize(12).text(pol.thanks);
-    doc.moveDown(0.2); applyFont(doc, { lang, weight: 'bold' }); doc.fontSize(12).text(lang==='hi' ? BLESS.hi : BLESS.en); applyFont(doc, { lang });
-    const year = new Date().getFullYear();
-    doc.moveDown(0.8); doc.fontSize(9).fillColor('#555').text(`© ${year} ${pol.footerBrand}`, { align:'center' }); doc.fillColor('black');
-
-    doc.end();
-  } catch (e) { if (!res.headersSent) res.status(500).json({ error: e.message || String(e) }); }
+    const tone = await tx(lang, plan.tone, 'gemstone');
+    const note = plan?.note ? await tx(lang, plan.note, 'gemstone') : null;
+
+    setSignRuleHeader(res, signRule);
+    sendReport(res, {
+      outLang,
+      filename: `AstroBaba_Gemstone_${sign}_${dateStr}_${outLang}.pdf`,
+      template: gemstoneReportTemplate({ sign, lang, user, brand, tone, note }),
+    });
+  } catch (e) { if (!res.headersSent) res.status(e?.status || 500).json({ error: e.message || String(e) }); }
 });
 
 // GENERIC PACKAGE → PDF
-app.post('/report/generate', async (req, res) => {
-  try {
-    const { package: pkg = 'gemstone', user = {}, brand = {}, lang: rawLang } = req.body || {};
-    const lang = pickLang({ lang: rawLang }, req.headers);
-    const now  = new Date();
-    const { dateStr } = toISTParts(now);
+// Numerology package body: core numbers, the running cycle, lucky numbers/dates
+function numerologyBlocks(lang, n) {
+  const L = labeler(lang);
+  const line = (label, x) => `${label}: ${x.number} — ${x.meaning}`;
+  return [
+    { type: 'section', heading: L('Core Numbers', 'मूल अंक'), paragraphs: [
+      line(L('Life Path (Bhagyank)', 'भाग्यांक'), n.lifePath),
+      line(L('Root Number (Mulank)', 'मूलांक'), n.mulank),
+      ...(n.destiny ? [`${line(L('Destiny (Expression)', 'नामांक'), n.destiny)} (${n.system === 'chaldean' ? L('Chaldean', 'कैल्डियन') : L('Pythagorean', 'पाइथागोरियन')}, ${n.destiny.compound})`] : []),
+    ] },
+    { type: 'section', heading: `${L('Personal Cycle', 'व्यक्तिगत चक्र')} (${fmtDateShortDisplay(n.date)})`, paragraphs: [
+      line(L('Personal Year', 'व्यक्तिगत वर्ष'), n.personal.year),
+      line(L('Personal Month', 'व्यक्तिगत माह'), n.personal.month),
+      line(L('Personal Day', 'व्यक्तिगत दिन'), n.personal.day),
+    ] },
+    { type: 'section', heading: L('Lucky Numbers and Dates', 'शुभ अंक और तिथियाँ'), paragraphs: [
+      `${L('Lucky numbers', 'शुभ अंक')}: ${n.luckyNumbers.join(', ')}`,
+      `${L('Lucky dates this month', 'इस माह की शुभ तिथियाँ')}: ${n.luckyDateLabels.join(', ')}`,
+      L('Use these days for starts and key talks; keep Rahu Kaal clear.', 'इन दिनों में शुरुआत और ज़रूरी बातचीत करें; राहु काल से बचें।'),
+    ] },
+  ];
+}
 
-    const titleLine = lang === 'hi' ? (pkg === 'mantra' ? 'मंत्र रिपोर्ट' : 'रत्न रिपोर्ट') : (pkg === 'mantra' ? 'Mantra Report' : 'Gemstone Report');
-    const intro = lang === 'hi'
+// Short practice guide shared by the gemstone and mantra packages
+function practiceGuideBlocks(lang) {
+  const L = labeler(lang);
+  const hi = lang === 'hi';
+  return [
+    { type: 'section', heading: L('Introduction', 'परिचय'), paragraphs: hi
       ? ['यह संक्षिप्त, व्यावहारिक मार्गदर्शिका है — सरल कदमों में पालन करें।','पहले 45–60 दिनों तक नियमितता बनाए रखें और अनुभव दर्ज करें।']
-      : ['This is a concise, practical guide — follow in simple steps.','Maintain regularity for 45–60 days and track observations.'];
-    const opp = lang === 'hi'
+      : ['This is a concise, practical guide — follow in simple steps.','Maintain regularity for 45–60 days and track observations.'] },
+    { type: 'bullets', heading: L('Opportunities', 'अवसर'), after: 0.4, items: hi
       ? ['आज एक छोटा लेकिन स्पष्ट कदम उठाएँ।','सही समय/उंगली/धातु पर ध्यान दें।','साप्ताहिक नोट्स बनाएं — ऊर्जा/मूड/नींद।']
-      : ['Take one small, clear step today.','Mind the correct time/finger/metal.','Keep weekly notes: energy/mood/sleep.'];
-    const caut = lang === 'hi'
+      : ['Take one small, clear step today.','Mind the correct time/finger/metal.','Keep weekly notes: energy/mood/sleep.'] },
+    { type: 'bullets', heading: L('Cautions', 'सावधानियाँ'), after: 0.4, items: hi
       ? ['अत्यधिक अपेक्षाओं से बचें — क्रमिक प्रगति सर्वोत्तम है।','कृत्रिम/हीट-ट्रीटेड से बचें।','एलर्जी/चोट की स्थिति में विराम लें।']
-      : ['Avoid over-expectation — steady progress is best.','Avoid synthetic/heat-treated pieces.','Pause in case of allergy/injury.'];
-    const remedy = lang === 'hi' ? 'शाम को दीपक जलाएँ, 11 बार जप करें और 2 मिनट शांति रखें।' : 'In the evening, light a diya, chant 11×, and sit calmly for 2 minutes.';
+      : ['Avoid over-expectation — steady progress is best.','Avoid synthetic/heat-treated pieces.','Pause in case of allergy/injury.'] },
+    { type: 'section', heading: L('Practice / Remedy', 'अभ्यास/उपाय'), paragraphs: [hi
+      ? 'शाम को दीपक जलाएँ, 11 बार जप करें और 2 मिनट शांति रखें।'
+      : 'In the evening, light a diya, chant 11×, and sit calmly for 2 minutes.'] },
+  ];
+}
 
-    res.setHeader('Content-Type', 'application/pdf');
-    res.setHeader('Content-Disposition', `attachment; filename="AstroBaba_${pkg}_${dateStr}_${lang}.pdf"`);
+// /report/generate packages. Each has a { en, hi } title and builds its body
+// blocks; `load` runs before any header is written, so its 400s stay JSON.
+// A new package is a new entry here — no pdfkit code needed.
+const REPORT_PACKAGES = {
+  gemstone: {
+    title: { en: 'Gemstone Report', hi: 'रत्न रिपोर्ट' },
+    blocks: ({ lang }) => practiceGuideBlocks(lang),
+  },
+  mantra: {
+    title: { en: 'Mantra Report', hi: 'मंत्र रिपोर्ट' },
+    blocks: ({ lang }) => practiceGuideBlocks(lang),
+  },
+  // needs user.dob (user.name adds the destiny number)
+  numerology: {
+    title: { en: 'Numerology Report', hi: 'अंक ज्योतिष रिपोर्ट' },
+    load: ({ user, body, outLang, lang }) =>
+      numerologyJson(numerologyProfile({ dob: user?.dob, name: user?.name, system: body?.system, lang: outLang }), lang),
+    blocks: ({ lang }, n) => numerologyBlocks(lang, n),
+  },
+};
 
-    const doc = new PDFDocument({ margin: 36, bufferPages: true });
-    doc.pipe(res);
+// POST /report/generate { package: gemstone|mantra|numerology, user, brand, lang, system? }
+// package defaults to gemstone; an unknown one is a 400 naming the known packages.
+app.post('/report/generate', async (req, res) => {
+  try {
+    const { package: pkg = 'gemstone', user = {}, brand = {}, lang: rawLang } = req.body || {};
+    const outLang = pdfLangFor(res, pickLang({ lang: rawLang }, req.headers));
+    const lang = contentLang(outLang);
+    const L = labeler(lang);
+    const key = String(pkg).trim().toLowerCase();
+    if (!Object.hasOwn(REPORT_PACKAGES, key)) {
+      const known = Object.keys(REPORT_PACKAGES).join(', ');
+      throw badRequest(L(`Unknown package "${pkg}". Use one of: ${known}.`, `अज्ञात पैकेज "${pkg}"। इनमें से एक चुनें: ${known}।`), 'bad_package');
+    }
+    const { dateStr } = toISTParts(new Date());
+    const spec = REPORT_PACKAGES[key];
+    const ctx = { lang, outLang, user, body: req.body };
+    const data = spec.load ? await spec.load(ctx) : null;
+
+    sendReport(res, {
+      outLang,
+      filename: `AstroBaba_${key}_${dateStr}_${outLang}.pdf`,
+      template: {
+        lang, brand, user,
+        title: L(spec.title.en, spec.title.hi),
+        subtitle: fmtSubLine(dateStr, lang),
+        blocks: [
+          { type: 'paragraph', text: greeting(lang), bold: true, after: 0.6 },
+          ...spec.blocks(ctx, data),
+          ...closingBlocks({ lang, policy: policyAgent(lang), finalNote: false }),
+        ],
+      },
+    });
+  } catch (e) {
+    if (!res.headersSent) res.status(e?.status || 500).json({ error: e.message || String(e) });
+  }
+});
 
-    applyFont(doc, { lang });
+// ─────────────────────────────────────────────────────────────────────────────
+// MANTRA → PDF
+// ─────────────────────────────────────────────────────────────────────────────
+function mantraReportTemplate({ sign, lang, user, brand, tone }) {
+  const L = labeler(lang);
+  const { dateStr } = toISTParts(new Date());
+  const planet = rulerForSign(sign);
+  const hi = lang === 'hi';
+  return {
+    lang, brand, user,
+    title: `${L('Mantra Guidance', 'मंत्र मार्गदर्शन')} — ${signDisplay(sign, lang)}`,
+    subtitle: fmtSubLine(dateStr, lang),
+    blocks: [
+      { type: 'paragraph', text: greeting(lang), bold: true, after: 0.6 },
+      { type: 'section', heading: L('Planetary Tone', 'ग्रह प्रवृत्ति (टोन)'), paragraphs: [`${planet.toUpperCase()} — ${tone}`] },
+      { type: 'section', heading: L('Primary Mantra', 'मुख्य मंत्र'), paragraphs: [mantraForPlanet(planet).seed] },
+      { type: 'section', heading: L('Practice', 'अनुष्ठान / नियम'), paragraphs: hi
+        ? ['समय: सूर्योदय/सूर्यास्त','गणना: 108×','आसन: रीढ़ सीधी','पूर्व/पश्चात: दीपक/अगरबत्ती','नियम: हफ्ते में 4 दिन+']
+        : ['Timing: Sunrise/Sunset','Count: 108×','Posture: Spine tall','Before/After: diya/incense','Cadence: 4+ days/week'] },
+      { type: 'section', heading: L('Sankalpa (intention)', 'संकल्प (एक वाक्य)'), paragraphs: [hi
+        ? '“मैं शुद्ध भाव और अनुशासन के साथ जप करता/करती हूँ; मार्ग प्रशस्त हो।”'
+        : '“I chant with pure intention and discipline; may right paths open.”'] },
+      { type: 'section', heading: L('Power of the Mantra', 'मंत्र की शक्ति'), paragraphs: [powerMantraText(lang)] },
+      ...closingBlocks({ lang, policy: policyAgent(lang) }),
+    ],
+  };
+}
+
+app.post('/report/mantra', async (req, res) => {
+  try {
+    const { user={}, brand={}, lang: rawLang } = req.body || {};
+    const outLang = pdfLangFor(res, pickLang({ lang: rawLang }, req.headers));
+    const lang    = contentLang(outLang);
+    const { sign, signRule } = pickSign(req.body, outLang);
+    const { dateStr } = toISTParts(new Date());
+    const tone = await tx(lang, MANTRA_TONE, 'mantra');
 
-    const subLine = fmtSubLine(dateStr, lang);
-    const brandFixed = ensureBrandWithLogo({ ...brand, appName: brand?.appName || 'Astro-Baba' });
-    addBrandHeader(doc, { lang, brand: brandFixed, titleLine, subLine });
+    setSignRuleHeader(res, signRule);
+    sendReport(res, {
+      outLang,
+      filename: `AstroBaba_Mantra_${sign}_${dateStr}_${outLang}.pdf`,
+      template: mantraReportTemplate({ sign, lang, user, brand, tone }),
+    });
+  } catch (e) { if (!res.headersSent) res.status(e?.status || 500).json({ error: e.message || String(e) }); }
+});
 
-    addUserBlock(doc, { lang, user: { name:user?.name, phone:user?.phone, email:user?.email, gender:user?.gender, dob:user?.dob, tob:user?.time || user?.tob, place:user?.place } });
+// ─────────────────────────────────────────────────────────────────────────────
+// KUNDLI → PDF (North + South Indian charts, planet table)
+// ─────────────────────────────────────────────────────────────────────────────
+const SIGN_ORDER = ['aries','taurus','gemini','cancer','leo','virgo','libra','scorpio','sagittarius','capricorn','aquarius','pisces'];
 
-    applyFont(doc, { lang, weight: 'bold' }); doc.fontSize(12).text(greeting(lang)); applyFont(doc, { lang }); doc.moveDown(0.6);
+// "12°34′"
+function fmtDegree(deg) {
+  const d = Math.floor(deg);
+  const m = Math.floor((deg - d) * 60);
+  return `${d}°${String(m).padStart(2, '0')}′`;
+}
+// Chart-cell abbreviation, "(R)" for retrograde (वक्री in Hindi)
+function grahaAbbr(g, lang) {
+  const abbr = lang === 'hi' ? g.abbr.hi : g.abbr.en;
+  return g.retrograde && g.key !== 'rahu' && g.key !== 'ketu' ? `${abbr}${lang === 'hi' ? '(व)' : '(R)'}` : abbr;
+}
+// Centered lines of small text inside a chart cell
+function chartCellText(doc, { lang, lines, cx, cy, width }) {
+  const lh = 10;
+  let y = cy - (lines.length * lh) / 2;
+  lines.forEach(({ text, color = 'black', bold = false, size = 8 }) => {
+    applyFont(doc, { lang, weight: bold ? 'bold' : 'regular' });
+    doc.fontSize(size).fillColor(color).text(text, cx - width / 2, y, { width, align: 'center', lineBreak: false });
+    y += lh;
+  });
+  doc.fillColor('black');
+}
+function houseLines(kundli, house, lang) {
+  const names = kundli.grahas.filter((g) => g.house === house).map((g) => grahaAbbr(g, lang));
+  const lines = [];
+  for (let i = 0; i < names.length; i += 3) lines.push({ text: names.slice(i, i + 3).join(' '), bold: true });
+  return lines;
+}
 
-    addSection(doc, { lang, heading: lang === 'hi' ? 'परिचय' : 'Introduction', paragraphs: intro });
+// North Indian: fixed houses (1 = top diamond, counter-clockwise), rashi numbers move
+const NORTH_CELLS = [
+  [0.5, 0.25], [0.25, 0.1], [0.1, 0.25], [0.25, 0.5], [0.1, 0.75], [0.25, 0.9],
+  [0.5, 0.75], [0.75, 0.9], [0.9, 0.75], [0.75, 0.5], [0.9, 0.25], [0.75, 0.1],
+];
+function drawNorthIndianChart(doc, { kundli, lang, x, y, size }) {
+  const L = labeler(lang);
+  doc.save().lineWidth(1).strokeColor('#7a4b00');
+  doc.rect(x, y, size, size).stroke();
+  doc.moveTo(x, y).lineTo(x + size, y + size).stroke();
+  doc.moveTo(x + size, y).lineTo(x, y + size).stroke();
+  doc.moveTo(x + size / 2, y).lineTo(x + size, y + size / 2).lineTo(x + size / 2, y + size).lineTo(x, y + size / 2).closePath().stroke();
+  doc.restore();
+
+  kundli.houses.forEach((h, i) => {
+    const [fx, fy] = NORTH_CELLS[i];
+    const big = [0, 3, 6, 9].includes(i);
+    const lines = [{ text: String(h.signIndex + 1), color: '#888' }, ...houseLines(kundli, h.house, lang)];
+    if (i === 0) lines.unshift({ text: L('Asc', 'लग्न'), color: '#7a4b00', bold: true });
+    chartCellText(doc, { lang, lines, cx: x + fx * size, cy: y + fy * size, width: size * (big ? 0.3 : 0.18) });
+  });
+}
 
-    applyFont(doc, { lang, weight: 'bold' }); doc.fontSize(14).text(lang === 'hi' ? 'अवसर' : 'Opportunities'); applyFont(doc, { lang });
-    drawBullets(doc, opp, { lang }); doc.moveDown(0.4);
+// South Indian: fixed rashis around a 4×4 grid (Pisces top-left, clockwise)
+const SOUTH_CELLS = [[0, 1], [0, 2], [0, 3], [1, 3], [2, 3], [3, 3], [3, 2], [3, 1], [3, 0], [2, 0], [1, 0], [0, 0]]; // [row, col] for Aries…Pisces
+function drawSouthIndianChart(doc, { kundli, lang, x, y, size }) {
+  const L = labeler(lang);
+  const cell = size / 4;
+  const lagnaIdx = kundli.houses[0].signIndex;
+  doc.save().lineWidth(1).strokeColor('#7a4b00');
+  SOUTH_CELLS.forEach(([r, c]) => doc.rect(x + c * cell, y + r * cell, cell, cell).stroke());
+  // Lagna cell: the traditional diagonal mark in its corner
+  const [lr, lc] = SOUTH_CELLS[lagnaIdx];
+  doc.moveTo(x + lc * cell, y + lr * cell + cell * 0.3).lineTo(x + lc * cell + cell * 0.3, y + lr * cell).stroke();
+  doc.restore();
+
+  SOUTH_CELLS.forEach(([r, c], signIdx) => {
+    const house = ((signIdx - lagnaIdx + 12) % 12) + 1;
+    const lines = [{ text: signDisplay(SIGN_ORDER[signIdx], lang), color: '#888', size: 7 }, ...houseLines(kundli, house, lang)];
+    if (signIdx === lagnaIdx) lines.unshift({ text: L('Asc', 'लग्न'), color: '#7a4b00', bold: true });
+    chartCellText(doc, { lang, lines, cx: x + c * cell + cell / 2, cy: y + r * cell + cell / 2, width: cell - 6 });
+  });
+  applyFont(doc, { lang, weight: 'bold' });
+  doc.fontSize(10).fillColor('#7a4b00').text(L('Rashi Chart', 'राशि चक्र'), x + cell, y + size / 2 - 6, { width: cell * 2, align: 'center', lineBreak: false });
+  doc.fillColor('black');
+}
 
-    applyFont(doc, { lang, weight: 'bold' }); doc.fontSize(14).text(lang === 'hi' ? 'सावधानियाँ' : 'Cautions'); applyFont(doc, { lang });
-    drawBullets(doc, caut, { lang }); doc.moveDown(0.4);
+function addPlanetTable(doc, { kundli, lang }) {
+  const L = labeler(lang);
+  const names = getVedicNames(lang);
+  const left = doc.page.margins.left;
+  const bottom = doc.page.height - doc.page.margins.bottom;
+  const cols = [
+    [L('Graha', 'ग्रह'), 80], [L('Rashi', 'राशि'), 90], [L('Degree', 'अंश'), 60],
+    [`${names.nakshatra} (${L('Pada', 'पद')})`, 150], [L('House', 'भाव'), 50], [L('Retrograde', 'वक्री'), 70],
+  ];
+  const row = (cells, { bold = false } = {}) => {
+    if (doc.y > bottom - 16) doc.addPage();
+    const y = doc.y;
+    let cx = left;
+    applyFont(doc, { lang, weight: bold ? 'bold' : 'regular' });
+    cells.forEach((text, i) => {
+      doc.fontSize(10).text(String(text), cx, y, { width: cols[i][1] - 6, lineBreak: false });
+      cx += cols[i][1];
+    });
+    doc.x = left;
+    doc.y = y + 16;
+  };
+  row(cols.map(([h]) => h), { bold: true });
+  doc.moveTo(left, doc.y - 3).lineTo(left + cols.reduce((w, [, cw]) => w + cw, 0), doc.y - 3).strokeColor('#cccccc').stroke().strokeColor('black');
+  const yes = L('Yes', 'हाँ');
+  [{ key: 'lagna', en: 'Lagna', hi: 'लग्न', ...kundli.lagna, house: 1, retrograde: false }, ...kundli.grahas].forEach((g) => {
+    row([
+      localized(g, lang),
+      signDisplay(g.sign, lang),
+      fmtDegree(g.degree),
+      `${localized(g.nakshatra, lang)} (${g.nakshatra.pada})`,
+      g.house,
+      g.retrograde ? yes : '—',
+    ]);
+  });
+  applyFont(doc, { lang });
+  doc.fontSize(12).moveDown(0.6);
+}
 
-    addSection(doc, { lang, heading: lang === 'hi' ? 'अभ्यास/उपाय' : 'Practice / Remedy', paragraphs: [remedy] });
+// Side of each chart, and the space the captioned pair needs on a page
+const kundliChartSize = (doc) => (doc.page.width - doc.page.margins.left - doc.page.margins.right - 30) / 2;
+const kundliChartsHeight = (doc) => kundliChartSize(doc) + 34;
 
-    doc.moveDown(0.8);
-    applyFont(doc, { lang, weight: 'bold' });
-    doc.fontSize(12).text(lang === 'hi' ? BLESS.hi : BLESS.en);
-    applyFont(doc, { lang });
+// North and South Indian charts side by side, captioned
+function addKundliCharts(doc, { kundli, lang }) {
+  const L = labeler(lang);
+  const left = doc.page.margins.left;
+  const size = kundliChartSize(doc);
+  const top = doc.y;
+  applyFont(doc, { lang, weight: 'bold' });
+  doc.fontSize(11).text(L('North Indian', 'उत्तर भारतीय'), left, top, { width: size, align: 'center' });
+  doc.fontSize(11).text(L('South Indian', 'दक्षिण भारतीय'), left + size + 30, top, { width: size, align: 'center' });
+  applyFont(doc, { lang });
+  drawNorthIndianChart(doc, { kundli, lang, x: left, y: top + 18, size });
+  drawSouthIndianChart(doc, { kundli, lang, x: left + size + 30, y: top + 18, size });
+  doc.x = left;
+  doc.y = top + 18 + size + 16;
+}
 
-    const pol = policyAgent(lang);
-    doc.moveDown(0.6);
-    const year = new Date().getFullYear();
-    doc.fontSize(9).fillColor('#555').text(`© ${year} ${pol.footerBrand}`, { align: 'center' });
-    doc.fillColor('black');
+function kundliReportTemplate({ lang, brand, user, kundli, date, place }) {
+  const L = labeler(lang);
+  const names = getVedicNames(lang);
+  const moon = kundli.grahas.find((g) => g.key === 'moon');
+  const u = user || {};
+  return {
+    lang, brand,
+    user: { name: u.name, phone: u.phone, email: u.email, gender: u.gender, dob: kundli.birth.dob, tob: kundli.birth.tob, place },
+    title: `${L('Kundli', 'कुंडली')} — ${L('Lagna', 'लग्न')} ${signDisplay(kundli.lagna.sign, lang)}`,
+    subtitle: fmtSubLine(date, lang),
+    blocks: [
+      { type: 'paragraph', size: 11, text: [
+        `${L('Lagna', 'लग्न')}: ${signDisplay(kundli.lagna.sign, lang)} ${fmtDegree(kundli.lagna.degree)}`,
+        `${names.moonSign}: ${signDisplay(moon.sign, lang)}`,
+        `${names.nakshatra}: ${localized(moon.nakshatra, lang)} (${L('Pada', 'पद')} ${moon.nakshatra.pada})`,
+      ].join('  •  ') },
+      { type: 'paragraph', size: 9, color: '#666', after: 0.8,
+        text: `${L('Ayanamsa', 'अयनांश')}: ${kundli.ayanamsa.name} ${fmtDegree(kundli.ayanamsa.value)}` },
+      { type: 'kundliCharts', kundli, toc: L('Kundli', 'कुंडली') },
+      { type: 'heading', text: L('Planetary Positions', 'ग्रह स्थिति'), after: 0.3 },
+      { type: 'planetTable', kundli },
+      { type: 'paragraph', size: 9, color: '#666', after: 0.6, text: L(
+        'Sidereal positions computed offline; whole-sign houses from the Lagna. Rahu/Ketu are mean nodes.',
+        'निरयन स्थितियाँ ऑफ़लाइन गणना; भाव लग्न राशि से। राहु/केतु माध्य पात हैं।',
+      ) },
+      ...closingBlocks({ lang, policy: policyAgent(lang), blessing: false }),
+    ],
+  };
+}
 
-    doc.end();
+// POST /report/kundli { user:{ name, dob, tob|time, place | lat, lon, tz }, brand, lang, ayanamsa }
+app.post('/report/kundli', async (req, res) => {
+  try {
+    const { user = {}, brand = {}, lang: rawLang, ayanamsa } = req.body || {};
+    const outLang = pdfLangFor(res, pickLang({ lang: rawLang }, req.headers));
+    const lang = contentLang(outLang);
+    const src = { ...(user || {}), ...req.body };
+    // Computed before any header so bad birth details still answer as JSON 400s
+    const kundli = kundliChart({
+      dob: src.dob, tob: src.tob, time: src.time,
+      place: src.birthPlace ?? src.placeOfBirth ?? src.place,
+      lat: src.lat, lon: src.lon, tz: src.tz,
+      ayanamsa, lang: outLang,
+    });
+    const { dateStr } = toISTParts(new Date());
+    sendReport(res, {
+      outLang,
+      filename: `AstroBaba_Kundli_${kundli.lagna.sign}_${dateStr}_${outLang}.pdf`,
+      template: kundliReportTemplate({
+        lang, brand, user, kundli, date: dateStr, place: src.birthPlace ?? src.placeOfBirth ?? src.place,
+      }),
+    });
   } catch (e) {
-    if (!res.headersSent) res.status(500).json({ error: e.message || String(e) });
+    if (!res.headersSent) res.status(e?.status || 500).json({ ok: false, error: e?.message || String(e) });
   }
 });
 
 // ─────────────────────────────────────────────────────────────────────────────
-// MANTRA → PDF
+// KUNDLI MILAN (Ashtakoot compatibility) — JSON + two-person PDF
 // ─────────────────────────────────────────────────────────────────────────────
-app.post('/report/mantra', async (req, res) => {
-  try {
-    const { sign='aries', user={}, brand={}, lang: rawLang } = req.body || {};
-    const lang    = pickLang({ lang: rawLang }, req.headers);
-    const { dateStr } = toISTParts(new Date());
-    const subLine = fmtSubLine(dateStr, lang);
-    const planet  = rulerForSign(sign);
-    const seedMan = mantraForPlanet(planet);
+// Both routes take { groom|boy: {...}, bride|girl: {...}, lang, ayanamsa };
+// each person is { name, dob, tob|time, place | lat, lon, tz }.
+function pickCouple(body = {}) {
+  return { groom: body.groom ?? body.boy, bride: body.bride ?? body.girl };
+}
 
-    res.setHeader('Content-Type', 'application/pdf');
-    res.setHeader('Content-Disposition', `attachment; filename="AstroBaba_Mantra_${sign}_${dateStr}_${lang}.pdf"`);
-    const doc = new PDFDocument({ margin: 36, bufferPages: true });
-    doc.pipe(res);
+function milanJson(match, { groom, bride }, lang) {
+  const L = labeler(lang);
+  const tr = (x) => L(x.en, x.hi);
+  const person = (chart, src = {}) => {
+    const moon = chart.grahas.find((g) => g.key === 'moon');
+    return {
+      name: src.name || null,
+      birth: chart.birth,
+      moon: { sign: moon.sign, label: signDisplay(moon.sign, lang), degree: moon.degree },
+      nakshatra: { ...moon.nakshatra, label: localized(moon.nakshatra, lang) },
+      lagna: { sign: chart.lagna.sign, label: signDisplay(chart.lagna.sign, lang), degree: chart.lagna.degree },
+    };
+  };
+  const manglik = (m) => ({ ...m, cancellations: m.cancellations.map((c) => ({ key: c.key, text: tr(c) })) });
+  return {
+    total: match.total,
+    max: match.max,
+    verdict: { key: match.verdict.key, label: tr(match.verdict) },
+    kootas: match.kootas.map((k) => ({
+      key: k.key, label: tr(k), score: k.score, max: k.max, groom: tr(k.groom), bride: tr(k.bride),
+    })),
+    doshas: match.doshas.map((d) => ({
+      key: d.key, label: tr(d), cancelled: d.cancelled, reasons: d.reasons.map((r) => ({ key: r.key, text: tr(r) })),
+    })),
+    manglik: {
+      groom: manglik(match.manglik.groom),
+      bride: manglik(match.manglik.bride),
+      match: { key: match.manglik.match.key, text: tr(match.manglik.match) },
+    },
+    people: {
+      groom: person(match.charts.groom, groom),
+      bride: person(match.charts.bride, bride),
+    },
+  };
+}
+
+// POST /compatibility → { ok, lang, total, max, verdict, kootas[], doshas[], manglik, people }
+app.post('/compatibility', (req, res) => {
+  try {
+    const lang = pickLang(req.body || {}, req.headers);
+    const couple = pickCouple(req.body);
+    const match = compatibility({ ...couple, ayanamsa: req.body?.ayanamsa, lang });
+    res.json({ ok: true, lang, ...milanJson(match, couple, lang) });
+  } catch (e) {
+    res.status(e?.status || 500).json({ ok: false, error: e?.message || String(e) });
+  }
+});
 
+// Groom and bride details side by side
+function addCoupleColumns(doc, { lang, people }) {
+  const L = labeler(lang);
+  const names = getVedicNames(lang);
+  const left = doc.page.margins.left;
+  const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+  const colW = (width - 20) / 2;
+  const top = doc.y;
+  let bottom = top;
+  [[L('Groom', 'वर'), people.groom], [L('Bride', 'वधू'), people.bride]].forEach(([heading, p], i) => {
+    const x = left + i * (colW + 20);
+    applyFont(doc, { lang, weight: 'bold' });
+    doc.fontSize(12).text(p.name ? `${heading}: ${cleanText(p.name)}` : heading, x, top, { width: colW });
     applyFont(doc, { lang });
+    doc.fontSize(10);
+    [
+      `${L('DOB', 'जन्म तिथि')}: ${p.birth.dob}  •  ${L('Time', 'जन्म समय')}: ${p.birth.tob}`,
+      `${L('Place', 'जन्म स्थान')}: ${p.birth.place || `${p.birth.lat.toFixed(2)}, ${p.birth.lon.toFixed(2)}`}`,
+      `${names.moonSign}: ${p.moon.label}`,
+      `${names.nakshatra}: ${p.nakshatra.label} (${L('Pada', 'पद')} ${p.nakshatra.pada})`,
+      `${L('Lagna', 'लग्न')}: ${p.lagna.label}`,
+      `${L('Manglik', 'मांगलिक')}: ${p.manglik}`,
+    ].forEach((line) => doc.text(line, x, doc.y, { width: colW }));
+    bottom = Math.max(bottom, doc.y);
+  });
+  doc.x = left;
+  doc.y = bottom + 10;
+}
 
-    const titleLine = lang==='hi'
-         ? `मंत्र मार्गदर्शन — ${signDisplay(sign, 'hi')}`
-         : `Mantra Guidance — ${capSign(sign)}`;
-    const brandFixed = ensureBrandWithLogo({ ...brand, appName: brand?.appName || 'Astro-Baba' });
-    addBrandHeader(doc, { lang, brand: brandFixed, titleLine, subLine });
+function milanReportTemplate({ lang, brand, couple, milan, date }) {
+  const L = labeler(lang);
+  const pair = [couple.groom?.name, couple.bride?.name].filter(Boolean).map(cleanText).join(' & ');
+  const manglikLine = (m) => (!m.manglik ? L('No', 'नहीं') : m.cancelled ? L('Yes (cancelled)', 'हाँ (निरस्त)') : L('Yes', 'हाँ'));
+  const doshaLines = milan.doshas.map((d) => (d.cancelled
+    ? `${d.label}: ${L('cancelled', 'निरस्त')} — ${d.reasons.map((r) => r.text).join(' ')}`
+    : `${d.label}: ${L('present; consult an astrologer for remedies.', 'उपस्थित; उपाय हेतु ज्योतिषी से परामर्श करें।')}`));
+  const manglikPara = (heading, m) => {
+    if (!m.manglik) return `${heading}: ${L('not Manglik.', 'मांगलिक नहीं।')}`;
+    const refs = { lagna: L('from the Lagna', 'लग्न से'), moon: L('from the Moon', 'चंद्र से'), venus: L('from Venus', 'शुक्र से') };
+    const houses = m.indications.map((k) => `${m.from[k]} ${refs[k]}`).join(', ');
+    const base = `${heading}: ${L('Manglik — Mars in house', 'मांगलिक — मंगल भाव')} ${houses}.`;
+    return m.cancelled ? `${base} ${L('Cancelled:', 'निरस्त:')} ${m.cancellations.map((c) => c.text).join(' ')}` : base;
+  };
+  return {
+    lang, brand,
+    title: pair ? `${L('Kundli Milan', 'कुंडली मिलान')} — ${pair}` : L('Kundli Milan', 'कुंडली मिलान'),
+    subtitle: fmtSubLine(date, lang),
+    blocks: [
+      { type: 'coupleColumns', people: {
+        groom: { ...milan.people.groom, manglik: manglikLine(milan.manglik.groom) },
+        bride: { ...milan.people.bride, manglik: manglikLine(milan.manglik.bride) },
+      } },
+      { type: 'heading', text: L('Ashtakoot Guna Milan', 'अष्टकूट गुण मिलान'), after: 0.3 },
+      { type: 'gunaTable', milan },
+      { type: 'paragraph', bold: true, size: 13, color: '#7a4b00', after: 0.6,
+        text: `${milan.verdict.label} — ${milan.total} / ${milan.max} ${L('gunas', 'गुण')}` },
+      { type: 'section', heading: L('Doshas', 'दोष'),
+        paragraphs: doshaLines.length ? doshaLines : [L('No Nadi, Bhakoot or Gana dosha.', 'नाड़ी, भकूट या गण दोष नहीं है।')] },
+      { type: 'section', heading: L('Manglik Dosha', 'मांगलिक दोष'), paragraphs: [
+        manglikPara(L('Groom', 'वर'), milan.manglik.groom),
+        manglikPara(L('Bride', 'वधू'), milan.manglik.bride),
+        milan.manglik.match.text,
+      ] },
+      { type: 'paragraph', size: 9, color: '#666', after: 0.6, text: L(
+        'Ashtakoot is read from each person’s sidereal Moon sign and nakshatra, computed offline; Manglik from the Lagna and the Moon.',
+        'अष्टकूट दोनों की निरयन चंद्र राशि और नक्षत्र से, ऑफ़लाइन गणना; मांगलिक लग्न और चंद्र से।',
+      ) },
+      ...closingBlocks({ lang, policy: policyAgent(lang), blessing: false }),
+    ],
+  };
+}
 
-    addUserBlock(doc, { lang, user: {
-      name:user?.name, phone:user?.phone, email:user?.email, gender:user?.gender,
-      dob:user?.dob, tob:user?.time || user?.tob, place:user?.place,
-    }});
+function addGunaTable(doc, { lang, milan }) {
+  const L = labeler(lang);
+  const left = doc.page.margins.left;
+  const cols = [[L('Koota', 'कूट'), 120], [L('Groom', 'वर'), 135], [L('Bride', 'वधू'), 135], [L('Gunas', 'गुण'), 80]];
+  const row = (cells, { bold = false } = {}) => {
+    if (doc.y > doc.page.height - doc.page.margins.bottom - 16) doc.addPage();
+    const y = doc.y;
+    let cx = left;
+    applyFont(doc, { lang, weight: bold ? 'bold' : 'regular' });
+    cells.forEach((text, i) => {
+      doc.fontSize(10).text(String(text), cx, y, { width: cols[i][1] - 6, lineBreak: false });
+      cx += cols[i][1];
+    });
+    doc.x = left;
+    doc.y = y + 16;
+  };
+  const rule = () => doc.moveTo(left, doc.y - 3).lineTo(left + cols.reduce((w, [, cw]) => w + cw, 0), doc.y - 3)
+    .strokeColor('#cccccc').stroke().strokeColor('black');
+  row(cols.map(([h]) => h), { bold: true });
+  rule();
+  milan.kootas.forEach((k) => row([k.label, k.groom, k.bride, `${k.score} / ${k.max}`]));
+  rule();
+  row([L('Total', 'कुल'), '', '', `${milan.total} / ${milan.max}`], { bold: true });
+  applyFont(doc, { lang });
+  doc.fontSize(12).moveDown(0.6);
+}
 
-    applyFont(doc, { lang, weight: 'bold' }); doc.fontSize(12).text(greeting(lang)); applyFont(doc, { lang }); doc.moveDown(0.6);
-
-    const toneHead = lang==='hi' ? 'ग्रह प्रवृत्ति (टोन)' : 'Planetary Tone';
-    const toneText = await tx(lang, 'supportive vibration for balance and progress.');
-    const toneLine = lang==='hi'
-      ? `${planet.toUpperCase()} — ${toneText}`
-      : `${planet.toUpperCase()} — supportive vibration for balance and progress.`;
-    addSection(doc, { lang, heading: toneHead, paragraphs: [toneLine] });
-
-    const manHead  = lang==='hi' ? 'मुख्य मंत्र' : 'Primary Mantra';
-    const manLine  = seedMan.seed;
-    const schedHead= lang==='hi' ? 'अनुष्ठान / नियम' : 'Practice';
-    const sched = lang==='hi'
-      ? ['समय: सूर्योदय/सूर्यास्त','गणना: 108×','आसन: रीढ़ सीधी','पूर्व/पश्चात: दीपक/अगरबत्ती','नियम: हफ्ते में 4 दिन+']
-      : ['Timing: Sunrise/Sunset','Count: 108×','Posture: Spine tall','Before/After: diya/incense','Cadence: 4+ days/week'];
-    addSection(doc, { lang, heading: manHead, paragraphs: [manLine] });
-    addSection(doc, { lang, heading: schedHead, paragraphs: sched });
-
-    const sankHead = lang==='hi' ? 'संकल्प (एक वाक्य)' : 'Sankalpa (intention)';
-    const sankLine = lang==='hi'
-      ? '“मैं शुद्ध भाव और अनुशासन के साथ जप करता/करती हूँ; मार्ग प्रशस्त हो।”'
-      : '“I chant with pure intention and discipline; may right paths open.”';
-    addSection(doc, { lang, heading: sankHead, paragraphs: [sankLine] });
-
-    addSection(doc, { lang, heading: lang==='hi'?'मंत्र की शक्ति':'Power of the Mantra', paragraphs: [powerMantraText(lang)] });
-
-    const pol = policyAgent(lang);
-    doc.moveDown(0.8);
-    applyFont(doc, { lang, weight: 'bold' }); doc.fontSize(12).text(lang==='hi' ? 'अंतिम नोट' : 'Final Note'); applyFont(doc, { lang });
-    doc.moveDown(0.2); doc.fontSize(11).text(pol.disclaimer);
-    doc.moveDown(0.6); doc.fontSize(12).text(pol.thanks);
-    doc.moveDown(0.2); applyFont(doc, { lang, weight: 'bold' }); doc.fontSize(12).text(lang==='hi' ? BLESS.hi : BLESS.en); applyFont(doc, { lang });
-    const year = new Date().getFullYear();
-    doc.moveDown(0.8); doc.fontSize(9).fillColor('#555').text(`© ${year} ${pol.footerBrand}`, { align:'center' }); doc.fillColor('black');
-
-    doc.end();
-  } catch (e) { if (!res.headersSent) res.status(500).json({ error: e.message || String(e) }); }
+// POST /report/compatibility → PDF (same body as /compatibility, plus brand)
+app.post('/report/compatibility', async (req, res) => {
+  try {
+    const { brand = {}, lang: rawLang, ayanamsa } = req.body || {};
+    const outLang = pdfLangFor(res, pickLang({ lang: rawLang }, req.headers));
+    const lang = contentLang(outLang);
+    const couple = pickCouple(req.body);
+    // Computed before any header so bad birth details still answer as JSON 400s
+    const match = compatibility({ ...couple, ayanamsa, lang: outLang });
+    const milan = milanJson(match, couple, lang);
+    const { dateStr } = toISTParts(new Date());
+    sendReport(res, {
+      outLang,
+      filename: `AstroBaba_KundliMilan_${dateStr}_${outLang}.pdf`,
+      template: milanReportTemplate({ lang, brand, couple, milan, date: dateStr }),
+    });
+  } catch (e) {
+    if (!res.headersSent) res.status(e?.status || 500).json({ ok: false, error: e?.message || String(e) });
+  }
 });
 
 // ─────────────────────────────────────────────────────────────────────────────
 // YEARLY (Option D) — helpers + routes (flow layout, single definitions)
 // ─────────────────────────────────────────────────────────────────────────────
 
-// Small helpers for this section (unique names to avoid conflicts)
+// Small date helpers for the yearly header and details
 function fmtDateShortDisplay(isoDate /* 'YYYY-MM-DD' */) {
   try {
     const d = new Date(isoDate);
@@ -1008,56 +2734,104 @@ function anchorRangeLabel(anchor /* Date at start-of-month UTC */) {
   const end   = new Date(Date.UTC(anchor.getUTCFullYear(), anchor.getUTCMonth() + 11, 1));
   return `${monthYearShortUTC(start)} TO ${monthYearShortUTC(end)}`;
 }
-function addUserDetailsYearly(doc, { user = {} }) {
-  // no "Details:" heading, no Time line
-  const rows = [];
-  if (user.name)       rows.push(['Name', user.name]);
-  if (user.phone)      rows.push(['Phone', user.phone]);
-  if (user.email)      rows.push(['Email', user.email]);
-  if (user.gender)     rows.push(['Gender', user.gender]);
-  if (user.dob)        rows.push(['DOB', formatDOBPretty(user.dob)]);
-  if (user.place)      rows.push(['Place of Birth', user.place]);
-  if (user.occupation) rows.push(['Occupation', user.occupation]);
-  if (user.language)   rows.push(['Language', user.language]);
-
-  if (!rows.length) return;
-  doc.moveDown(0.2);
-  rows.forEach(([k, v]) => doc.fontSize(12).text(`${k}: ${v}`));
-  doc.moveDown(0.6);
+// Yearly user details as kv rows (no "Details:" heading, no Time line)
+function yearlyUserRows(user = {}) {
+  const u = user || {};
+  return [
+    ['Name', u.name],
+    ['Phone', u.phone],
+    ['Email', u.email],
+    ['Gender', u.gender],
+    ['DOB', u.dob ? formatDOBPretty(u.dob) : null],
+    ['Place of Birth', u.place],
+    ['Occupation', u.occupation],
+    ['Language', u.language],
+  ];
 }
 
 // Render one month in a flowing layout (add a page only if space is low)
-function renderMonthFlow(doc, { lang = 'en', m = {}, dt = new Date() }) {
-  const bottom = doc.page.height - doc.page.margins.bottom;
-  if (doc.y > bottom - 220) doc.addPage();
+// "Jupiter–Saturn" (Mahadasha–Antardasha)
+function dashaPair(a, lang) {
+  return `${localized(a.mahaNames, lang)}–${localized(a, lang)}`;
+}
+function fmtDashaDate(dateStr, lang) {
+  return new Date(`${dateStr}T00:00:00Z`)
+    .toLocaleDateString(intlLocale(lang), { day: 'numeric', month: 'short', year: 'numeric', timeZone: 'UTC' });
+}
+function untilDate(dateStr, lang) {
+  return labeler(lang)('until {date}', '{date} तक').replace('{date}', fmtDashaDate(dateStr, lang));
+}
+// "Dasha periods in this window": every Antardasha overlapping the report's months
+function addDashaWindow(doc, { lang, dasha, from, to }) {
+  const L = labeler(lang);
+  const periods = antardashasBetween(dasha, from.getTime(), to.getTime());
+  if (!periods.length) return;
+  const nak = dasha.natal.nakshatra;
+  addSection(doc, {
+    lang,
+    heading: L('Dasha periods in this window', 'इस अवधि की दशाएँ'),
+    paragraphs: [`${L('Vimshottari Dasha from the Moon’s birth nakshatra', 'चंद्र के जन्म नक्षत्र से विंशोत्तरी दशा')}: ${localized(nak, lang)} (${L('Pada', 'पद')} ${nak.pada}).`],
+  });
+  drawBullets(doc, periods.map((a) =>
+    `${dashaPair(a, lang)}: ${fmtDashaDate(a.start, lang)} → ${fmtDashaDate(a.end, lang)}`), { lang });
+  doc.moveDown(0.4);
+}
+
+// Space a month needs at the bottom of a page before it starts on the next one
+const MONTH_MIN_SPACE = 220;
 
-  const locale = lang === 'hi' ? 'hi-IN' : 'en-GB';
-  const monthTitle = dt.toLocaleDateString(locale, { month: 'long', year: 'numeric', timeZone: 'UTC' });
+// "October 2026 — <model label>"
+function monthFlowTitle(m = {}, dt, lang) {
+  const monthTitle = dt.toLocaleDateString(intlLocale(lang), { month: 'long', year: 'numeric', timeZone: 'UTC' });
   const sub = String(m.label || '').replace(/^.*?—\s*/, '').trim();
-  const title = sub ? `${monthTitle} — ${sub}` : monthTitle;
+  return sub ? `${monthTitle} — ${sub}` : monthTitle;
+}
 
+function renderMonthFlow(doc, { lang = 'en', m = {}, dt = new Date(), dasha = null }) {
+  const bottom = doc.page.height - doc.page.margins.bottom;
+  if (doc.y > bottom - MONTH_MIN_SPACE) doc.addPage();
+
+  const L = labeler(lang);
   applyFont(doc, { lang, weight: 'bold' });
-  doc.fontSize(14).text(title);
+  doc.fontSize(14).text(monthFlowTitle(m, dt, lang));
   applyFont(doc, { lang });
   doc.moveDown(0.25);
 
+  // Antardasha(s) running this month, on a highlight band
+  if (dasha?.length) {
+    const line = `${L('Antardasha', 'अंतर्दशा')}: ` + dasha
+      .map((a) => `${dashaPair(a, lang)} (${untilDate(a.end, lang)})`)
+      .join(' → ');
+    const left = doc.page.margins.left;
+    const width = doc.page.width - left - doc.page.margins.right;
+    applyFont(doc, { lang, weight: 'bold' });
+    doc.fontSize(11);
+    const h = doc.heightOfString(line, { width: width - 12 });
+    doc.rect(left, doc.y - 2, width, h + 6).fill('#fff4d6');
+    doc.fillColor('#7a4b00').text(line, left + 6, doc.y + 1, { width: width - 12 });
+    doc.fillColor('black');
+    doc.x = left;
+    applyFont(doc, { lang });
+    doc.moveDown(0.4);
+  }
+
   const healthConcerns = (m?.health?.concerns || '').trim();
   const healthTips = (m?.health?.tips || '').trim();
   const healthText = (healthConcerns || healthTips)
-    ? `${healthConcerns}${healthConcerns && healthTips ? ' — ' : ''}${lang === 'hi' ? 'सुझाव' : 'Tips'}: ${healthTips}`
+    ? `${healthConcerns}${healthConcerns && healthTips ? ' — ' : ''}${L('Tips', 'सुझाव')}: ${healthTips}`
     : '';
 
   const kv = [
-    [lang === 'hi' ? 'परिदृश्य' : 'Outlook', m.outlook],
-    [lang === 'hi' ? 'घर/रूटीन' : 'Home & Routine', m.career],
-    [lang === 'hi' ? 'धन/आवश्यकताएँ' : 'Money & Essentials', m.money],
-    [lang === 'hi' ? 'संबंध/परिवार' : 'Relationships/Family', m.relationships],
-    [lang === 'hi' ? 'स्वास्थ्य' : 'Health', healthText],
-    [lang === 'hi' ? 'सीख' : 'Learning', m.learning],
-    [lang === 'hi' ? 'यात्रा/आवागमन' : 'Travel/Movement', m.travel],
-    [lang === 'hi' ? 'अवसर' : 'Opportunity', m.opportunity],
-    [lang === 'hi' ? 'रक्षा' : 'Protection', m?.protection?.text || ''],
-    [lang === 'hi' ? 'चेकपॉइंट' : 'Checkpoint', m.checkpoint],
+    [L('Outlook', 'परिदृश्य'), m.outlook],
+    [L('Home & Routine', 'घर/रूटीन'), m.career],
+    [L('Money & Essentials', 'धन/आवश्यकताएँ'), m.money],
+    [L('Relationships/Family', 'संबंध/परिवार'), m.relationships],
+    [L('Health', 'स्वास्थ्य'), healthText],
+    [L('Learning', 'सीख'), m.learning],
+    [L('Travel/Movement', 'यात्रा/आवागमन'), m.travel],
+    [L('Opportunity', 'अवसर'), m.opportunity],
+    [L('Protection', 'रक्षा'), m?.protection?.text || ''],
+    [L('Checkpoint', 'चेकपॉइंट'), m.checkpoint],
   ];
 
   kv.forEach(([k, v]) => {
@@ -1108,144 +2882,87 @@ app.get('/debug/yearly-check', async (req, res) => {
 });
 
 // YEARLY → PDF (Option D flow layout) — header & start polished per spec
+function yearlyReportTemplate({ Y, lang, user, brand, dasha }) {
+  const L = labeler(lang);
+  const { dateStr } = toISTParts(new Date());
+  const H = Y.meta || {};
+  const anchor = Y.anchor;
+  // Holistic Overview with ASCII "TO" range; "<name> ji, " leads the paragraph
+  const range = anchor ? anchorRangeLabel(anchor) : null;
+  const nameJi = user?.name ? `${user.name} ji, ` : '';
+  const list = (heading, items) => ({ type: 'bullets', heading, headingGap: 0.2, items: items || [] });
+
+  const months = Array.from({ length: 12 }, (_, i) => {
+    const dt = new Date(Date.UTC(anchor.getUTCFullYear(), anchor.getUTCMonth() + i, 1));
+    const monthDasha = dasha ? antardashasBetween(dasha, dt.getTime(), addMonthsUTC(dt, 1).getTime()) : null;
+    return { type: 'month', month: Y.months[i] || {}, dt, dasha: monthDasha, tocLevel: 1 };
+  });
+
+  return {
+    lang, brand,
+    // Title: no sign; subtitle: "21 Aug 2025"
+    title: L('Yearly Horoscope', 'वार्षिक राशिफल'),
+    subtitle: fmtDateShortDisplay(dateStr),
+    blocks: [
+      { type: 'kv', rows: yearlyUserRows(user), before: 0.2, after: 0.6 },
+      { type: 'paragraph', text: L('Namaste ji', 'नमस्ते जी'), after: 0.4 },
+      { type: 'contents' },
+      { type: 'section',
+        heading: range ? `${L('Holistic Overview', 'समग्र झलक')} (${range})` : L('Holistic Overview', 'समग्र झलक'),
+        paragraphs: [H.holisticOverview ? `${nameJi}${H.holisticOverview}` : ''] },
+      list(L('Vedic Sciences (soft tone)', 'वैदिक संकेत (मृदु स्वर)'), H.vedicSciences),
+      list(L('Numerology arc', 'अंक-स्वर'), H.numerologyArc),
+      H.summary && { type: 'section', heading: L('Summary', 'सार'), paragraphs: [H.summary] },
+      list(L('Planetary Highlights', 'ग्रह-हाइलाइट्स'), H.planetHighlights),
+      list(L('Favorable Windows (timing hygiene)', 'शुभ समय-खिड़कियाँ'), H.favorableWindows),
+      { type: 'section', heading: L('Phases at a Glance', 'चरण एक नज़र में'), paragraphs: [] },
+      { type: 'phaseBlocks', phaseBlocks: Y.phaseBlocks },
+      list(L('New Opportunities', 'नए अवसर'), H.newOpportunities),
+      list(L('Remedies & Mantras (by phase)', 'उपाय एवं मंत्र'), H.remediesMantras),
+      H.gemstoneNote && { type: 'section', heading: L('Gemstones', 'रत्न'), paragraphs: [H.gemstoneNote] },
+      // Months — continuous
+      { type: 'heading', text: L('Month by Month', 'माह-दर-माह'), size: 16, after: 0.4, keep: MONTH_MIN_SPACE + 40 },
+      dasha && { type: 'dashaWindow', dasha, from: anchor, to: addMonthsUTC(anchor, 12) },
+      ...months,
+      ...(H.notesCare?.length ? [
+        { type: 'pageBreak' },
+        { type: 'heading', text: L('Notes & Care', 'टिप्पणियाँ एवं देखभाल'), size: 16, underline: true, after: 0.4 },
+        { type: 'bullets', items: H.notesCare },
+      ] : []),
+      ...closingBlocks({
+        lang, policy: policyAgent(lang), finalNote: false,
+        blessing: L(
+          'Have a blessed year! We wish you a cheerful, prosperous, and wonderful year ahead with many blessings.',
+          'आपका वर्ष मंगलमय हो! हम आपको हर्ष, समृद्धि और शुभाशीष से भरे वर्ष की शुभकामनाएँ देते हैं।'),
+      }),
+    ],
+  };
+}
+
 app.post('/report/yearly', async (req, res) => {
   try {
-    const { sign = 'aries', persona = 'homemaker', brand = {}, lang: rawLang, anchorDate = null } = req.body || {};
+    const { persona = 'homemaker', brand = {}, lang: rawLang, anchorDate = null } = req.body || {};
     const lang    = pickLang({ lang: rawLang }, req.headers);
-    const effLang = (lang === 'hi' && !FONTS_READY) ? 'en' : lang;
+    const outLang = pdfLangFor(res, lang);
+    const effLang = contentLang(outLang);
+    const { sign, signRule } = pickSign(req.body, outLang);
 
-    // Get content: agent first, then fallback
-    let Y, source = 'fallback';
-    if (typeof getYearlyForUser === 'function') {
-      try {
-        Y = await getYearlyForUser({ sign, persona, anchorDate, lang: effLang });
-        source = 'agent';
-      } catch {}
-    }
-    if (!Y) Y = fallbackYearly({ sign, persona, anchorDate });
+    // Vimshottari Dasha when the user block carries full birth details
+    const details = birthDetails(req.body?.user);
+    const dasha = details ? dashaForBirth({ ...details, ayanamsa: req.body?.ayanamsa, lang: outLang }) : null;
+
+    const { Y, source } = await loadYearly({ sign, persona, anchorDate, lang: effLang, dob: req.body?.user?.dob });
     res.setHeader('X-AB-Yearly-Source', source);
+    setSignRuleHeader(res, signRule);
 
-    // Headers BEFORE streaming
     const { dateStr } = toISTParts(new Date());
-    res.setHeader('Content-Type', 'application/pdf');
-    res.setHeader('Content-Disposition',
-      `attachment; filename="AstroBaba_Yearly_${sign}_${dateStr}_${effLang}.pdf"`);
-
-    // PDF
-    const doc = new PDFDocument({ margin: 36, bufferPages: true });
-    doc.pipe(res);
-    applyFont(doc, { lang: effLang });
-
-    // Title: no sign; Subline: "21 Aug 2025"
-    const titleLine = effLang === 'hi' ? 'वार्षिक राशिफल' : 'Yearly Horoscope';
-    const subLine   = fmtDateShortDisplay(dateStr);
-
-    const brandFixed = ensureBrandWithLogo({ ...brand, appName: brand?.appName || 'Astro-Baba' });
-    addBrandHeader(doc, { lang: effLang, brand: brandFixed, titleLine, subLine });
-
-    // Clean user details (no "Details:", no Time)
-    addUserDetailsYearly(doc, { user: req.body?.user || {} });
-
-    // Greeting line (without name)
-    doc.fontSize(12).text(effLang === 'hi' ? 'नमस्ते जी' : 'Namaste ji');
-    doc.moveDown(0.4);
-
-    // Holistic Overview with ASCII "TO" range; prefix "<name> ji, " to paragraph if name present
-    const H = Y.meta || {};
-    const range = Y?.anchor ? anchorRangeLabel(Y.anchor) : null;
-    const nameJi = req.body?.user?.name ? `${req.body.user.name} ji, ` : '';
-    const overviewPara = H.holisticOverview ? `${nameJi}${H.holisticOverview}` : '';
-
-    addSection(doc, {
-      lang: effLang,
-      heading: range
-        ? (effLang === 'hi' ? `समग्र झलक (${range})` : `Holistic Overview (${range})`)
-        : (effLang === 'hi' ? 'समग्र झलक' : 'Holistic Overview'),
-      paragraphs: [overviewPara]
+    sendReport(res, {
+      outLang,
+      filename: `AstroBaba_Yearly_${sign}_${dateStr}_${outLang}.pdf`,
+      template: yearlyReportTemplate({ Y, lang: effLang, user: req.body?.user || {}, brand, dasha }),
     });
-
-    // Remaining sections unchanged
-    if (H.vedicSciences?.length) {
-      applyFont(doc, { lang: effLang, weight: 'bold' });
-      doc.fontSize(14).text(effLang === 'hi' ? 'वैदिक संकेत (मृदु स्वर)' : 'Vedic Sciences (soft tone)');
-      applyFont(doc, { lang: effLang }); doc.moveDown(0.2);
-      drawBullets(doc, H.vedicSciences, { lang: effLang });
-    }
-    if (H.numerologyArc?.length) {
-      applyFont(doc, { lang: effLang, weight: 'bold' });
-      doc.fontSize(14).text(effLang === 'hi' ? 'अंक-स्वर' : 'Numerology arc');
-      applyFont(doc, { lang: effLang }); doc.moveDown(0.2);
-      drawBullets(doc, H.numerologyArc, { lang: effLang });
-    }
-    if (H.summary) {
-      addSection(doc, { lang: effLang, heading: effLang === 'hi' ? 'सार' : 'Summary', paragraphs: [H.summary] });
-    }
-    if (H.planetHighlights?.length) {
-      applyFont(doc, { lang: effLang, weight: 'bold' });
-      doc.fontSize(14).text(effLang === 'hi' ? 'ग्रह-हाइलाइट्स' : 'Planetary Highlights');
-      applyFont(doc, { lang: effLang }); doc.moveDown(0.2);
-      drawBullets(doc, H.planetHighlights, { lang: effLang });
-    }
-    if (H.favorableWindows?.length) {
-      applyFont(doc, { lang: effLang, weight: 'bold' });
-      doc.fontSize(14).text(effLang === 'hi' ? 'शुभ समय-खिड़कियाँ' : 'Favorable Windows (timing hygiene)');
-      applyFont(doc, { lang: effLang }); doc.moveDown(0.2);
-      drawBullets(doc, H.favorableWindows, { lang: effLang });
-    }
-
-    addSection(doc, { lang: effLang, heading: effLang === 'hi' ? 'चरण एक नज़र में' : 'Phases at a Glance', paragraphs: [] });
-    addPhaseBlocks(doc, { lang: effLang, phaseBlocks: Y.phaseBlocks });
-
-    if (H.newOpportunities?.length) {
-      applyFont(doc, { lang: effLang, weight: 'bold' });
-      doc.fontSize(14).text(effLang === 'hi' ? 'नए अवसर' : 'New Opportunities');
-      applyFont(doc, { lang: effLang }); doc.moveDown(0.2);
-      drawBullets(doc, H.newOpportunities, { lang: effLang });
-    }
-    if (H.remediesMantras?.length) {
-      applyFont(doc, { lang: effLang, weight: 'bold' });
-      doc.fontSize(14).text(effLang === 'hi' ? 'उपाय एवं मंत्र' : 'Remedies & Mantras (by phase)');
-      applyFont(doc, { lang: effLang }); doc.moveDown(0.2);
-      drawBullets(doc, H.remediesMantras, { lang: effLang });
-    }
-    if (H.gemstoneNote) {
-      addSection(doc, { lang: effLang, heading: effLang === 'hi' ? 'रत्न' : 'Gemstones', paragraphs: [H.gemstoneNote] });
-    }
-
-    // Months — continuous
-    const anchor = Y.anchor;
-    for (let i = 0; i < 12; i++) {
-      const dt = new Date(Date.UTC(anchor.getUTCFullYear(), anchor.getUTCMonth() + i, 1));
-      const m = Y.months[i] || {};
-      renderMonthFlow(doc, { lang: effLang, m, dt });
-    }
-
-    // Notes & Care
-    if (H.notesCare?.length) {
-      doc.addPage();
-      applyFont(doc, { lang: effLang, weight: 'bold' });
-      doc.fontSize(16).text(effLang === 'hi' ? 'टिप्पणियाँ एवं देखभाल' : 'Notes & Care', { underline: true });
-      applyFont(doc, { lang: effLang }); doc.moveDown(0.4);
-      drawBullets(doc, H.notesCare, { lang: effLang });
-    }
-
-    // Blessing/footer
-    doc.moveDown(0.8);
-    applyFont(doc, { lang: effLang, weight: 'bold' });
-    doc.fontSize(12).text(effLang === 'hi'
-      ? 'आपका वर्ष मंगलमय हो! हम आपको हर्ष, समृद्धि और शुभाशीष से भरे वर्ष की शुभकामनाएँ देते हैं।'
-      : 'Have a blessed year! We wish you a cheerful, prosperous, and wonderful year ahead with many blessings.');
-    applyFont(doc, { lang: effLang });
-
-    const pol = policyAgent(effLang);
-    const year = new Date().getFullYear();
-    doc.moveDown(0.6);
-    doc.fontSize(9).fillColor('#555').text(`© ${year} ${pol.footerBrand || 'Astro-Baba.com'}`, { align: 'center' });
-    doc.fillColor('black');
-
-    doc.end();
   } catch (e) {
-    if (!res.headersSent) res.status(500).json({ error: e?.message || String(e) });
+    if (!res.headersSent) res.status(e?.status || 500).json({ error: e?.message || String(e) });
   }
 });
 
@@ -1409,6 +3126,7 @@ function saveCachedDaily(dateStr, sign, lang, d) {
 // ─────────────────────────────────────────────────────────────────────────────
 app.listen(PORT, () => {
   console.log('OPENAI_API_KEY:', maskKey(OPENAI_API_KEY));
+  console.log('Chat provider:', process.env.CHAT_PROVIDER || 'openai');
   console.log(`Fonts ready: ${FONTS_READY}`);
   console.log(`Astro-Baba Chat API listening on ${PORT}`);
 });
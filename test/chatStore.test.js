@@ -0,0 +1,12 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { factsFromText } from '../agents/chatStore.js';
+
+test('profile facts stated in a chat message', () => {
+  assert.deepEqual(factsFromText('I am a student, please reply in Hindi'), { persona: 'student', lang: 'hi' });
+  assert.deepEqual(factsFromText("I'm a Leo, born 1990-05-12"), { dob: '1990-05-12', sign: 'leo' });
+  assert.deepEqual(factsFromText('I run my own business. Answer in Tamil'), { persona: 'self_employed', lang: 'ta' });
+  assert.deepEqual(factsFromText('I work at a bank, hinglish mein batao'), { persona: 'job_working', lang: 'hi-Latn' });
+  assert.equal(factsFromText("I'm not working right now").persona, 'not_working');
+  assert.deepEqual(factsFromText('Translate this into Hindi'), {});
+});
@@ -0,0 +1,20 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { compatibility, MAX_GUNAS } from '../agents/compatibility.js';
+
+const DELHI = { lat: 28.6139, lon: 77.209, tz: 'Asia/Kolkata' };
+
+test('same nakshatra scores 28 of 36 with Nadi dosha', () => {
+  const person = { dob: '1990-03-20', tob: '14:05', ...DELHI };
+  const match = compatibility({ groom: person, bride: { ...person } });
+  assert.equal(match.max, MAX_GUNAS);
+  assert.deepEqual(Object.fromEntries(match.kootas.map((k) => [k.key, k.score])), {
+    varna: 1, vashya: 2, tara: 3, yoni: 4, maitri: 5, gana: 6, bhakoot: 7, nadi: 0,
+  });
+  assert.equal(match.total, 28);
+  assert.ok(match.doshas.some((d) => d.key === 'nadi'));
+});
+
+test('missing partner details are a 400', () => {
+  assert.throws(() => compatibility({ groom: { dob: '1990-03-20' } }), { status: 400, code: 'bad_partner' });
+});
@@ -0,0 +1,24 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { vimshottari, DASHA_YEARS } from '../agents/dasha.js';
+
+const BIRTH = Date.UTC(2000, 0, 1);
+
+test('Vimshottari balance from the Moon longitude', () => {
+  // 0° Ashwini: the whole 7-year Ketu dasha is still ahead
+  assert.deepEqual({ ...vimshottari(0, BIRTH).balance }, { lord: 'ketu', en: 'Ketu', hi: 'केतु', years: 7 });
+  // 10° is three quarters through Ashwini (0°–13°20′): 7 × 0.25 years of Ketu left
+  assert.equal(vimshottari(10, BIRTH).balance.years, 1.75);
+  // 100° is 6°40′ into Pushya (93°20′–106°40′), half of Saturn's 19 years
+  const pushya = vimshottari(100, BIRTH);
+  assert.equal(pushya.balance.lord, 'saturn');
+  assert.equal(pushya.balance.years, 9.5);
+  assert.equal(pushya.mahadashas[1].lord, 'mercury');
+});
+
+test('the nine Mahadashas cover 120 years', () => {
+  const { mahadashas } = vimshottari(200, BIRTH);
+  assert.equal(mahadashas.length, 9);
+  assert.equal(Object.values(DASHA_YEARS).reduce((a, b) => a + b, 0), 120);
+  for (let i = 1; i < mahadashas.length; i++) assert.equal(mahadashas[i].startMs, mahadashas[i - 1].endMs);
+});
@@ -0,0 +1,16 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { lifePath, reduceNumber } from '../agents/numerology.js';
+
+test('master numbers survive reduction unless disabled', () => {
+  assert.equal(reduceNumber(29), 11);
+  assert.equal(reduceNumber(29, { masters: false }), 2);
+  assert.equal(reduceNumber(1990), 1);
+});
+
+test('life path 11 is kept as a master number', () => {
+  // 1 + 1 + (1989 → 27 → 9) = 11
+  assert.equal(lifePath({ y: 1989, m: 1, d: 1 }), 11);
+  // 11 + (29 → 11) + (1982 → 20 → 2) = 24 → 6
+  assert.equal(lifePath({ y: 1982, m: 11, d: 29 }), 6);
+});
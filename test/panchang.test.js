@@ -0,0 +1,58 @@
+// Reference values for New Delhi (Drik Panchang), allowing a minute or two of
+// rounding against our low-precision ephemeris.
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { panchangAgent, panchangElements } from '../agents/panchang.js';
+import { choghadiyaAgent } from '../agents/choghadiya.js';
+
+const minutes = (hhmm) => { const [h, m] = hhmm.split(':').map(Number); return h * 60 + m; };
+const near = (actual, expected, tol = 2) =>
+  assert.ok(Math.abs(minutes(actual) - minutes(expected)) <= tol, `${actual} not within ${tol} min of ${expected}`);
+
+// Monday 1 Jan 2024, New Delhi: sunrise 07:14, sunset 17:35, Rahu Kaal 08:32–09:50
+const MONDAY = new Date('2024-01-01T06:30:00Z');
+
+test('Delhi sunrise, sunset and Rahu Kaal on a Monday', () => {
+  const p = panchangAgent({ date: MONDAY });
+  assert.equal(p.date, '2024-01-01');
+  assert.equal(p.weekday, 1);
+  assert.equal(p.approx, false);
+  near(p.sunrise, '07:14');
+  near(p.sunset, '17:35');
+  const [start, end] = p.rahuKaal.split('–');
+  near(start, '08:32');
+  near(end, '09:50');
+});
+
+test('tithi and nakshatra at fixed instants', () => {
+  // Hours before the 8 Apr 2024 new moon (18:21 UTC), Moon in Revati
+  const amavasya = panchangElements(Date.parse('2024-04-08T12:00:00Z'));
+  assert.equal(amavasya.tithi.en, 'Amavasya');
+  assert.equal(amavasya.paksha.key, 'krishna');
+  assert.equal(amavasya.nakshatra.en, 'Revati');
+  assert.equal(amavasya.moonSign.key, 'pisces');
+
+  // Full moon of 23 Apr 2024 (23:49 UTC), Moon in Swati
+  const purnima = panchangElements(Date.parse('2024-04-23T23:49:00Z'));
+  assert.equal(purnima.tithi.en, 'Purnima');
+  assert.equal(purnima.nakshatra.en, 'Swati');
+});
+
+test('unknown ayanamsa names are reported as the Lahiri actually used', () => {
+  const p = panchangAgent({ date: MONDAY, ayanamsa: 'foo' });
+  assert.equal(p.ayanamsa.name, 'lahiri');
+  assert.equal(panchangAgent({ date: MONDAY, ayanamsa: 'KP' }).ayanamsa.name, 'kp');
+});
+
+test('Monday Choghadiya runs Amrit→Amrit by day and Char→Char by night', () => {
+  const c = choghadiyaAgent({ date: MONDAY });
+  assert.equal(c.available, true);
+  assert.deepEqual(c.choghadiya.day.map((s) => s.key),
+    ['amrit', 'kaal', 'shubh', 'rog', 'udveg', 'char', 'labh', 'amrit']);
+  assert.deepEqual(c.choghadiya.night.map((s) => s.key),
+    ['char', 'rog', 'kaal', 'labh', 'udveg', 'shubh', 'amrit', 'char']);
+  assert.equal(c.choghadiya.day[0].start, c.sunrise);
+  assert.equal(c.choghadiya.night[0].start, c.sunset);
+  // The first hora of a day belongs to its weekday lord
+  assert.equal(c.hora[0].key, 'moon');
+});
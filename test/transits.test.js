@@ -0,0 +1,26 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { saturnStatus } from '../agents/transits.js';
+
+// Sidereal Saturn is in Pisces from March 2025 to mid-2027
+const AT = Date.parse('2026-01-15T00:00:00Z');
+
+test('Saturn in Pisces: Sade Sati stages and the other phases', () => {
+  const stage = (moonSign) => {
+    const s = saturnStatus(moonSign, AT);
+    assert.equal(s.sign, 'pisces');
+    return [s.house, s.phase, s.stage];
+  };
+  assert.deepEqual(stage('aries'), [12, 'sadeSati', 'rising']);
+  assert.deepEqual(stage('pisces'), [1, 'sadeSati', 'peak']);
+  assert.deepEqual(stage('aquarius'), [2, 'sadeSati', 'setting']);
+  assert.deepEqual(stage('leo'), [8, 'ashtama', null]);
+  assert.deepEqual(stage('virgo'), [7, 'kantaka', null]);
+  assert.deepEqual(stage('taurus'), [11, null, null]);
+});
+
+test('Sade Sati for Aquarius ends when Saturn enters Aries', () => {
+  const { until } = saturnStatus('aquarius', AT);
+  assert.ok(until > AT);
+  assert.equal(saturnStatus('aquarius', until + 86400000).phase, null);
+});
@@ -0,0 +1,16 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { poolCoverage } from '../agents/translate.js';
+import { LEADS, OPP_POOL, CAUT_POOL, REMEDY_MAP } from '../agents/variety.js';
+import { QUOTES, AFFIRMATIONS, MOODS } from '../agents/quoteMood.js';
+
+const POOLS = {
+  LEADS, OPP_POOL, CAUT_POOL, REMEDY_MAP: Object.values(REMEDY_MAP), QUOTES, AFFIRMATIONS, MOODS,
+};
+
+for (const [name, list] of Object.entries(POOLS)) {
+  test(`glossary covers every ${name} line in Hindi`, () => {
+    const { missing } = poolCoverage(list);
+    assert.deepEqual(missing.map((r) => r.text), []);
+  });
+}
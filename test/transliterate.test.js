@@ -0,0 +1,13 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { romanizeText, transliterate } from '../agents/transliterate.js';
+
+test('labels capitalize words but not postpositions', () => {
+  assert.equal(romanizeText('राहु काल'), 'Rahu Kaal');
+  assert.equal(romanizeText('27 नव॰ 2026 तक'), '27 Nav. 2026 tak');
+});
+
+test('"tak" reads the same in labels and sentences', () => {
+  assert.match(romanizeText('अष्टमी (10:52 तक)'), /\(10:52 tak\)$/);
+  assert.match(transliterate('उत्तराषाढ़ा, चरण 3 (15:38 तक)'), /\(15:38 tak\)$/);
+});